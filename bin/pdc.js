@@ -7,35 +7,185 @@
 
 const { Command } = require('commander');
 const { execSync } = require('child_process');
-const fs = require('fs');
 const path = require('path');
+const readline = require('readline');
+const {
+  scan,
+  analyzePeers,
+  checkUpgrade,
+  planUpgrade,
+  whyPeer,
+  buildMatrix,
+  resolveCompatible,
+  checkEngines,
+  listUpgrades,
+  createImpactChecker,
+  installUpgrades,
+  findFixes,
+  applyFixes,
+  findOverrides,
+  writeOverrides,
+  clearCache,
+  getCacheStats,
+  loadConfig
+} = require('../src');
+const { DEFAULTS, shouldLog } = require('../src/config');
+const {
+  renderScan,
+  renderAnalysis,
+  renderCheck,
+  renderPrecheck,
+  renderPlan,
+  renderWhy,
+  renderMatrix,
+  renderResolve,
+  renderEngines,
+  renderUpgrades,
+  renderUpgradeInstall,
+  renderFixes,
+  renderFixesApplied,
+  renderOverrides,
+  renderCacheStats,
+  renderCacheClear,
+  renderJson,
+  stripDecorations
+} = require('../src/report');
+const { EXIT_CODES, meetsThreshold, mergeSummaries } = require('../src/severity');
+const { selectUpgrades } = require('../src/upgrade-ui');
 
-console.log('🔍 peer-dependency-checker by hyperdrift\n');
+// Function to guess the output format and log level before commander parses, so the banner stays out of JSON
+function getStartupConfig() {
+  const args = process.argv.slice(2);
+  // The config file is resolved like getConfig() does, from -c/--config before PDC_CONFIG
+  const configIndex = args.findIndex(arg => ['-c', '--config'].includes(arg));
+  const inlineConfig = args.find(arg => arg.startsWith('--config='));
+  const configFile = configIndex !== -1 ? args[configIndex + 1] : inlineConfig && inlineConfig.slice('--config='.length);
+  let config;
+  try {
+    config = loadConfig({ configFile });
+  } catch {
+    config = { ...DEFAULTS };
+  }
+
+  const flagIndex = args.findIndex(arg => ['-f', '--format', '--output-format'].includes(arg));
+  const inline = args.find(arg => /^--(output-)?format=/.test(arg));
+  if (flagIndex !== -1) config.outputFormat = args[flagIndex + 1];
+  else if (inline) config.outputFormat = inline.split('=')[1];
+  return config;
+}
+
+// Function to print a progress line, unless JSON was requested or logLevel is below info
+function printInfo(text, config) {
+  if (config.outputFormat === 'json' || !shouldLog(config, 'info')) return;
+  console.log(config.outputFormat === 'minimal' ? stripDecorations(text) : text);
+}
+
+printInfo('🔍 peer-dependency-checker by hyperdrift\n', getStartupConfig());
 
 const program = new Command();
 
 program
   .name('pdc')
   .description('Smart dependency compatibility checker')
-  .version('1.0.0');
+  .version('1.0.0')
+  .option('-c, --config <file>', 'Path to a config file (default: .pdcrc.json)')
+  .option('--pm <manager>', 'Override package manager detection (npm|yarn|pnpm|bun)')
+  .option('--risk-tolerance <level>', 'Override riskTolerance (low|medium|high)')
+  .option('--output-format <format>', 'Override outputFormat (colored|json|minimal)')
+  .option('--exclude <packages>', 'Comma-separated packages to skip, added to excludePackages')
+  .option('--prod', 'Only analyze production dependencies')
+  .option('--workspace <names>', 'Comma-separated workspaces to analyze (package name or directory)')
+  .option('--registry <url>', 'Registry URL used for package information')
+  .option('--timeout <ms>', 'Timeout for registry and package manager commands')
+  .option('--fail-on <severity>', 'Exit with code 1 when findings reach this severity (error|warning|none)');
+
+// Function to collect config overrides from global and command CLI flags
+function getFlags(commandOptions = {}) {
+  const options = program.opts();
+  return {
+    packageManager: options.pm,
+    riskTolerance: options.riskTolerance,
+    outputFormat: commandOptions.format || options.outputFormat,
+    includeDevDependencies: options.prod ? false : undefined,
+    workspaces: options.workspace,
+    registry: options.registry,
+    timeout: options.timeout,
+    failOn: options.failOn
+  };
+}
+
+// Function to load the effective config, exiting on invalid settings
+function getConfig(commandOptions = {}) {
+  const options = program.opts();
+  try {
+    const config = loadConfig({ configFile: options.config, flags: getFlags(commandOptions) });
+    if (options.exclude) {
+      config.excludePackages = [...config.excludePackages, ...options.exclude.split(',').map(name => name.trim())];
+    }
+    if (shouldLog(config, 'debug')) {
+      console.error(`🐛 Effective config: ${JSON.stringify(config)}`);
+    }
+    return config;
+  } catch (error) {
+    console.error('❌ Configuration error:', error.message);
+    process.exit(EXIT_CODES.incomplete);
+  }
+}
+
+// Function to print a command result in the configured output format
+function printResult(command, data, renderText, config) {
+  if (config.outputFormat === 'json') {
+    console.log(renderJson(command, data));
+  } else if (config.outputFormat === 'minimal') {
+    console.log(stripDecorations(renderText()));
+  } else {
+    console.log(renderText());
+  }
+}
+
+// Function to report a failed command, as a JSON document when JSON was requested
+function printError(command, label, error, config) {
+  if (config && config.outputFormat === 'json') {
+    console.log(renderJson(command, { error: { message: error.message } }));
+  } else if (!config || shouldLog(config, 'error')) {
+    console.error(`❌ ${label}:`, error.message);
+  }
+  process.exitCode = EXIT_CODES.incomplete;
+}
+
+// Function to ask a yes/no question in the terminal
+function confirm(question) {
+  const rl = readline.createInterface({ input: process.stdin, output: process.stdout });
+  return new Promise(resolve => rl.question(question, answer => {
+    rl.close();
+    resolve(/^y(es)?$/i.test(answer.trim()));
+  }));
+}
+
+// Function to set the exit code from a result summary and the failOn threshold
+function setExitCode(summary, config, incomplete = false) {
+  if (incomplete) {
+    process.exitCode = EXIT_CODES.incomplete;
+  } else if (meetsThreshold(summary, config.failOn)) {
+    process.exitCode = EXIT_CODES.conflicts;
+  } else {
+    process.exitCode = EXIT_CODES.clean;
+  }
+}
 
 program
   .command('scan')
   .description('Analyze current project for upgrade opportunities')
   .option('-q, --quick', 'Quick scan with minimal output')
-  .action((options) => {
-    if (!options.quick) {
-      console.log('🔍 Scanning your project...\n');
-    }
-    
+  .option('-f, --format <format>', 'Output format (colored|json|minimal)')
+  .action(async (options) => {
+    const config = getConfig(options);
     try {
-      const scriptPath = path.join(__dirname, '..', 'src', 'upgrade-check.js');
-      const args = options.quick ? ['--quick', '--brief'] : [];
-      const command = `node "${scriptPath}" ${args.join(' ')}`.trim();
-      
-      execSync(command, { stdio: 'inherit' });
+      const result = await scan({ config, quick: options.quick });
+      printResult('scan', result, () => renderScan(result, { quick: options.quick, brief: options.quick }), config);
+      setExitCode(result.summary, config);
     } catch (error) {
-      console.error('❌ Error running scan:', error.message);
+      printError('scan', 'Error running scan', error, config);
     }
   });
 
@@ -43,19 +193,17 @@ program
   .command('analyze')
   .description('Deep peer dependency analysis')
   .option('-b, --brief', 'Brief analysis with key findings only')
-  .action((options) => {
-    if (options.brief) {
-      console.log('🔬 Brief analysis...');
-    } else {
-      console.log('🔬 Running deep analysis...\n');
-    }
+  .option('-f, --format <format>', 'Output format (colored|json|minimal)')
+  .action(async (options) => {
+    const config = getConfig(options);
+    printInfo(options.brief ? '🔬 Brief analysis...' : '🔬 Running deep analysis...\n', config);
     
     try {
-      const scriptPath = path.join(__dirname, '..', 'src', 'peer-check.js');
-      const env = options.brief ? { ...process.env, BRIEF_MODE: 'true' } : process.env;
-      execSync(`node "${scriptPath}"`, { stdio: 'inherit', env });
+      const result = await analyzePeers({ config, brief: options.brief });
+      printResult('analyze', result, () => renderAnalysis(result, { config, brief: options.brief }), config);
+      setExitCode(result.summary, config, Boolean(result.error));
     } catch (error) {
-      console.error('❌ Error running analysis:', error.message);
+      printError('analyze', 'Error running analysis', error, config);
     }
   });
 
@@ -63,42 +211,24 @@ program
   .command('precheck')
   .description('Pre-installation compatibility check')
   .argument('[packages...]', 'Packages to check before installing')
-  .action((packages) => {
-    console.log('🛡️  Running pre-installation checks...\n');
-    
-    if (packages && packages.length > 0) {
-      // Check specific packages
-      console.log(`📦 Checking ${packages.length} package(s) for conflicts...\n`);
-      
-      packages.forEach(pkg => {
-        console.log(`🔍 ${pkg}`);
-        try {
-          const [name, version] = pkg.includes('@') ? pkg.split('@') : [pkg, 'latest'];
-          const result = execSync(`npm info ${name}@${version || 'latest'} peerDependencies`, { 
-            encoding: 'utf8',
-            stdio: 'pipe'
-          });
-          
-          if (result.trim()) {
-            console.log(`   └── Peer deps: ${result.trim()}`);
-          } else {
-            console.log('   └── No peer dependencies required');
-          }
-        } catch (error) {
-          console.log(`   └── ⚠️  Could not fetch info for ${pkg}`);
-        }
-      });
-    } else {
-      // General project health check
-      try {
-        const scriptPath = path.join(__dirname, '..', 'src', 'peer-check.js');
-        execSync(`node "${scriptPath}"`, { 
-          stdio: 'inherit',
-          env: { ...process.env, BRIEF_MODE: 'true' }
-        });
-      } catch (error) {
-        console.error('❌ Error running precheck:', error.message);
+  .action(async (packages) => {
+    const config = getConfig();
+    printInfo('🛡️  Running pre-installation checks...\n', config);
+
+    try {
+      if (packages && packages.length > 0) {
+        // Check specific packages
+        const results = await checkUpgrade(packages, { config });
+        console.log(renderPrecheck(results));
+        setExitCode(mergeSummaries(results.map(result => result.summary)), config, results.some(result => result.error));
+      } else {
+        // General project health check
+        const result = await analyzePeers({ config, brief: true });
+        console.log(renderAnalysis(result, { config, brief: true }));
+        setExitCode(result.summary, config, Boolean(result.error));
       }
+    } catch (error) {
+      printError('precheck', 'Error running precheck', error, config);
     }
   });
 
@@ -106,33 +236,239 @@ program
   .command('check')
   .argument('[packages...]', 'Packages to check')
   .description('Test specific package upgrades')
-  .action((packages) => {
+  .option('-f, --format <format>', 'Output format (colored|json|minimal)')
+  .action(async (packages, options) => {
     if (!packages || packages.length === 0) {
       console.log('⚠️  Please specify packages to check. Example:');
       console.log('  pdc check react@19 react-dom@19');
+      process.exitCode = EXIT_CODES.incomplete;
       return;
     }
 
-    console.log(`🧪 Testing ${packages.length} package(s)...\n`);
-    
-    packages.forEach(pkg => {
-      console.log(`✅ ${pkg}`);
-      try {
-        const [name, version] = pkg.includes('@') ? pkg.split('@') : [pkg, 'latest'];
-        const result = execSync(`npm info ${name}@${version || 'latest'} peerDependencies`, { 
-          encoding: 'utf8',
-          stdio: 'pipe'
-        });
-        
-        if (result.trim()) {
-          console.log(`   └── Peer deps: ${result.trim()}`);
+    const config = getConfig(options);
+    try {
+      const results = await checkUpgrade(packages, { config });
+      printResult('check', { results }, () => renderCheck(results, { config }), config);
+      setExitCode(mergeSummaries(results.map(result => result.summary)), config, results.some(result => result.error));
+    } catch (error) {
+      printError('check', 'Error running check', error, config);
+    }
+  });
+
+program
+  .command('plan')
+  .argument('[packages...]', 'Packages to upgrade')
+  .description('Work out the companion upgrades a target upgrade requires')
+  .option('-f, --format <format>', 'Output format (colored|json|minimal)')
+  .action(async (packages, options) => {
+    if (!packages || packages.length === 0) {
+      console.log('⚠️  Please specify packages to upgrade. Example:');
+      console.log('  pdc plan react@19');
+      process.exitCode = EXIT_CODES.incomplete;
+      return;
+    }
+
+    const config = getConfig(options);
+    try {
+      const result = await planUpgrade(packages, { config });
+      printResult('plan', result, () => renderPlan(result), config);
+      setExitCode(result.summary, config, Boolean(result.error));
+    } catch (error) {
+      printError('plan', 'Error planning upgrade', error, config);
+    }
+  });
+
+program
+  .command('why')
+  .argument('<package>', 'Package to look up')
+  .description('Show which installed packages declare a package as a peer')
+  .option('-f, --format <format>', 'Output format (colored|json|minimal)')
+  .action(async (packageName, options) => {
+    const config = getConfig(options);
+    try {
+      const result = await whyPeer(packageName, { config });
+      printResult('why', result, () => renderWhy(result), config);
+      setExitCode(result.summary, config);
+    } catch (error) {
+      printError('why', 'Error looking up peers', error, config);
+    }
+  });
+
+program
+  .command('matrix')
+  .argument('<package>', 'Package to compare, optionally with a range of versions (react@>=16)')
+  .description('Show which installed packages accept each published version of a package as a peer')
+  .option('--by <level>', 'One column per minor or per major release (minor|major)', 'minor')
+  .option('-f, --format <format>', 'Output format (colored|json|minimal)')
+  .action(async (spec, options) => {
+    const config = getConfig(options);
+    try {
+      const result = await buildMatrix(spec, { config, by: options.by });
+      printResult('matrix', result, () => renderMatrix(result), config);
+      setExitCode(result.summary, config);
+    } catch (error) {
+      printError('matrix', 'Error building compatibility matrix', error, config);
+    }
+  });
+
+program
+  .command('resolve')
+  .argument('<package>', 'Package to resolve, optionally limited to a range (eslint@^8)')
+  .description('Find the newest version of a package that fits the installed project')
+  .option('-f, --format <format>', 'Output format (colored|json|minimal)')
+  .action(async (spec, options) => {
+    const config = getConfig(options);
+    try {
+      const result = await resolveCompatible(spec, { config });
+      printResult('resolve', result, () => renderResolve(result), config);
+      setExitCode(result.summary, config);
+    } catch (error) {
+      printError('resolve', 'Error resolving version', error, config);
+    }
+  });
+
+program
+  .command('engines')
+  .description('Check installed packages and latest versions against your Node version and engines')
+  .option('-f, --format <format>', 'Output format (colored|json|minimal)')
+  .action(async (options) => {
+    const config = getConfig(options);
+    try {
+      const result = await checkEngines({ config });
+      printResult('engines', result, () => renderEngines(result), config);
+      setExitCode(result.summary, config, Boolean(result.error));
+    } catch (error) {
+      printError('engines', 'Error checking Node engines', error, config);
+    }
+  });
+
+program
+  .command('upgrade')
+  .description('List upgrades by patch/minor/major, or pick and install them with -i')
+  .option('-i, --interactive', 'Pick upgrades in the terminal, see their peer impact and install them')
+  .option('-f, --format <format>', 'Output format (colored|json|minimal)')
+  .action(async (options) => {
+    const config = getConfig(options);
+    try {
+      const result = await listUpgrades({ config });
+      if (!options.interactive || result.upgrades.length === 0) {
+        printResult('upgrade', result, () => renderUpgrades(result), config);
+        setExitCode(result.summary, config, !result.available);
+        return;
+      }
+
+      if (!process.stdin.isTTY) {
+        printError('upgrade', 'Error selecting upgrades', new Error('pdc upgrade -i needs an interactive terminal'), config);
+        return;
+      }
+
+      const selection = await selectUpgrades(result.groups, { checkImpact: createImpactChecker({ config }) });
+      if (!selection || selection.length === 0) {
+        console.log('\n👋 No upgrades selected');
+        return;
+      }
+
+      const installed = await installUpgrades(selection, {
+        config,
+        onCommand: command => printInfo(`\n📦 ${command}\n`, config)
+      });
+      printResult('upgrade', installed, () => renderUpgradeInstall(installed, { config }), config);
+      setExitCode(installed.installed ? installed.analysis.summary : null, config, !installed.installed);
+    } catch (error) {
+      printError('upgrade', 'Error upgrading packages', error, config);
+    }
+  });
+
+program
+  .command('fix')
+  .description('Show the package.json edits that resolve current peer issues, and apply them')
+  .option('-y, --yes', 'Apply the edits without asking')
+  .option('-f, --format <format>', 'Output format (colored|json|minimal)')
+  .action(async (options) => {
+    const config = getConfig(options);
+    try {
+      const result = await findFixes({ config });
+      const ask = !options.yes && result.edits.length > 0 && config.outputFormat !== 'json' && process.stdin.isTTY;
+
+      if (ask) {
+        printResult('fix', result, () => renderFixes(result, { confirming: true }), config);
+        if (await confirm('\n❓ Apply these changes? (y/N) ')) {
+          result.written = await applyFixes(result.edits, { config });
+          result.applied = true;
+          printResult('fix', result, () => renderFixesApplied(result), config);
         } else {
-          console.log('   └── No peer dependencies required');
+          console.log('👋 No files changed');
         }
-      } catch (error) {
-        console.log(`   └── Error: Could not fetch info for ${pkg}`);
+      } else {
+        if (options.yes && result.edits.length > 0) {
+          result.written = await applyFixes(result.edits, { config });
+          result.applied = true;
+        }
+        printResult('fix', result, () => renderFixes(result), config);
+      }
+      setExitCode(result.summary, config, Boolean(result.error));
+    } catch (error) {
+      printError('fix', 'Error fixing peer issues', error, config);
+    }
+  });
+
+program
+  .command('override')
+  .argument('[packages...]', 'Only conflicts involving these packages')
+  .description('Generate overrides/resolutions for peer conflicts that upgrading cannot fix')
+  .option('-w, --write', 'Add the block to package.json')
+  .option('-f, --format <format>', 'Output format (colored|json|minimal)')
+  .action(async (packages, options) => {
+    const config = getConfig(options);
+    try {
+      const result = await findOverrides(packages, { config });
+      if (options.write && result.entries.length > 0) {
+        result.written = await writeOverrides(result.entries, { config });
       }
-    });
+      printResult('override', result, () => renderOverrides(result), config);
+      setExitCode(result.summary, config, Boolean(result.error));
+    } catch (error) {
+      printError('override', 'Error generating overrides', error, config);
+    }
+  });
+
+program
+  .command('config')
+  .description('Show the effective configuration after applying all sources')
+  .action(() => {
+    console.log(JSON.stringify(getConfig(), null, 2));
+  });
+
+const cache = program
+  .command('cache')
+  .description('Manage the registry metadata cache in cacheDirectory');
+
+cache
+  .command('stats')
+  .description('Show how many packages are cached and how many are still fresh')
+  .option('-f, --format <format>', 'Output format (colored|json|minimal)')
+  .action(async (options) => {
+    const config = getConfig(options);
+    try {
+      const stats = await getCacheStats({ config });
+      printResult('cache stats', stats, () => renderCacheStats(stats), config);
+    } catch (error) {
+      printError('cache stats', 'Error reading cache', error, config);
+    }
+  });
+
+cache
+  .command('clear')
+  .description('Delete all cached registry metadata')
+  .option('-f, --format <format>', 'Output format (colored|json|minimal)')
+  .action(async (options) => {
+    const config = getConfig(options);
+    try {
+      const result = await clearCache({ config });
+      printResult('cache clear', result, () => renderCacheClear(result), config);
+    } catch (error) {
+      printError('cache clear', 'Error clearing cache', error, config);
+    }
   });
 
 program
@@ -143,7 +479,8 @@ program
     
     try {
       const scriptPath = path.join(__dirname, 'setup.js');
-      execSync(`node "${scriptPath}"`, { stdio: 'inherit' });
+      const { pm } = program.opts();
+      execSync(`node "${scriptPath}"${pm ? ` --pm ${pm}` : ''}`, { stdio: 'inherit' });
     } catch (error) {
       console.error('❌ Setup failed:', error.message);
       process.exit(1);
@@ -159,4 +496,4 @@ if (process.argv.length <= 2) {
   process.exit(0);
 }
 
-program.parse();
\ No newline at end of file
+program.parseAsync();
\ No newline at end of file
@@ -8,6 +8,8 @@
 const fs = require('fs');
 const path = require('path');
 const { execSync } = require('child_process');
+const { loadConfig } = require('../src/config');
+const { detectPackageManager } = require('../src/package-manager');
 
 // Import chalk with proper error handling
 const chalk = require('chalk');
@@ -58,9 +60,11 @@ async function main() {
     const packageJson = JSON.parse(fs.readFileSync(packageJsonPath, 'utf8'));
     console.log(chalk.green(`📦 Found project: ${packageJson.name || 'unnamed'}`));
     
-    // 2. Detect package manager
-    const packageManager = detectPackageManager(cwd);
-    console.log(chalk.blue(`🔧 Detected package manager: ${packageManager}`));
+    // 2. Detect package manager (--pm and .pdcrc.json win, like in every pdc command)
+    const config = loadConfig({ cwd, flags: { packageManager: getRequestedPackageManager() } });
+    const detected = detectPackageManager(cwd, config, { probe: true });
+    const packageManager = detected.name;
+    console.log(chalk.blue(`🔧 Detected package manager: ${packageManager}${detected.version ? ` ${detected.version}` : ''}`));
     
     // 3. Install peer-dependency-checker as devDependency (if not already global)
     await installPeerDependencyChecker(packageManager);
@@ -90,30 +94,13 @@ async function main() {
   }
 }
 
-function detectPackageManager(projectPath) {
-  // Check for lock files to determine package manager
-  if (fs.existsSync(path.join(projectPath, 'bun.lockb'))) return 'bun';
-  if (fs.existsSync(path.join(projectPath, 'pnpm-lock.yaml'))) return 'pnpm';
-  if (fs.existsSync(path.join(projectPath, 'yarn.lock'))) return 'yarn';
-  if (fs.existsSync(path.join(projectPath, 'package-lock.json'))) return 'npm';
-  
-  // Check which package manager is available
-  try {
-    execSync('bun --version', { stdio: 'pipe' });
-    return 'bun';
-  } catch {}
-  
-  try {
-    execSync('pnpm --version', { stdio: 'pipe' });
-    return 'pnpm';
-  } catch {}
-  
-  try {
-    execSync('yarn --version', { stdio: 'pipe' });
-    return 'yarn';
-  } catch {}
-  
-  return 'npm'; // fallback
+// Function to read the --pm option (also accepted as --pm=<manager>)
+function getRequestedPackageManager() {
+  const args = process.argv.slice(2);
+  const index = args.indexOf('--pm');
+  if (index !== -1) return args[index + 1];
+  const inline = args.find(arg => arg.startsWith('--pm='));
+  return inline ? inline.slice('--pm='.length) : undefined;
 }
 
 async function installPeerDependencyChecker(packageManager) {
@@ -175,7 +162,9 @@ function getScriptsForPackageManager(pm) {
   const commonScripts = {
     'pdc:scan': 'pdc scan',
     'pdc:check': 'pdc scan --quick || true',
-    'pdc:analyze': 'pdc analyze --brief || true'
+    'pdc:analyze': 'pdc analyze --brief || true',
+    // Unlike the install hooks, this one is meant to fail the build
+    'pdc:ci': 'pdc analyze --fail-on error'
   };
   
   // Different package managers handle pre/post hooks differently
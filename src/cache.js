@@ -0,0 +1,113 @@
+/**
+ * On-disk metadata cache
+ * Keeps registry responses in `cacheDirectory` with their fetch time and ETag
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+// Bump when the entry format changes; entries with another version are ignored
+const CACHE_VERSION = 1;
+
+// Function to get the absolute cache directory for a project
+function getCacheDirectory(config, cwd = process.cwd()) {
+  return path.resolve(cwd, config.cacheDirectory);
+}
+
+// Function to map a cache key (registry URL + package name) to its file
+function entryPath(directory, key) {
+  const hash = crypto.createHash('sha1').update(key).digest('hex');
+  return path.join(directory, `${hash}.json`);
+}
+
+// Function to read a cache entry, or null when it is missing or unreadable
+function readEntry(directory, key) {
+  try {
+    const entry = JSON.parse(fs.readFileSync(entryPath(directory, key), 'utf8'));
+    return entry.version === CACHE_VERSION && entry.key === key ? entry : null;
+  } catch {
+    return null;
+  }
+}
+
+// Function to write a cache entry; a cache that cannot be written is skipped, not fatal
+function writeEntry(directory, key, { etag, data }) {
+  const entry = { version: CACHE_VERSION, key, fetchedAt: Date.now(), etag: etag || null, data };
+  try {
+    fs.mkdirSync(directory, { recursive: true });
+    // Write then rename, so a concurrent run never reads half an entry
+    const file = entryPath(directory, key);
+    const temporary = `${file}.${process.pid}.tmp`;
+    fs.writeFileSync(temporary, JSON.stringify(entry));
+    fs.renameSync(temporary, file);
+  } catch {
+    // Read-only checkouts still work, just without caching
+  }
+  return entry;
+}
+
+// Function to check whether an entry is younger than the configured TTL
+function isFresh(entry, config) {
+  return Boolean(entry) && Date.now() - entry.fetchedAt < config.cacheTtl;
+}
+
+// Function to list the entry files in a cache directory
+function listEntryFiles(directory) {
+  try {
+    return fs.readdirSync(directory)
+      .filter(file => file.endsWith('.json'))
+      .map(file => path.join(directory, file));
+  } catch {
+    return [];
+  }
+}
+
+// Function to delete every cache entry
+function clearCache(config, cwd = process.cwd()) {
+  const directory = getCacheDirectory(config, cwd);
+  let removed = 0;
+  let bytes = 0;
+  for (const file of listEntryFiles(directory)) {
+    bytes += fs.statSync(file).size;
+    fs.rmSync(file, { force: true });
+    removed++;
+  }
+  return { directory, removed, bytes };
+}
+
+// Function to summarize what the cache holds
+function getCacheStats(config, cwd = process.cwd()) {
+  const directory = getCacheDirectory(config, cwd);
+  const stats = { directory, ttl: config.cacheTtl, entries: 0, fresh: 0, stale: 0, bytes: 0, oldest: null, newest: null };
+
+  for (const file of listEntryFiles(directory)) {
+    let entry;
+    try {
+      entry = JSON.parse(fs.readFileSync(file, 'utf8'));
+    } catch {
+      continue;
+    }
+    if (entry.version !== CACHE_VERSION) continue;
+
+    stats.entries++;
+    stats.bytes += fs.statSync(file).size;
+    if (isFresh(entry, config)) stats.fresh++;
+    else stats.stale++;
+    if (stats.oldest === null || entry.fetchedAt < stats.oldest) stats.oldest = entry.fetchedAt;
+    if (stats.newest === null || entry.fetchedAt > stats.newest) stats.newest = entry.fetchedAt;
+  }
+
+  stats.oldest = stats.oldest && new Date(stats.oldest).toISOString();
+  stats.newest = stats.newest && new Date(stats.newest).toISOString();
+  return stats;
+}
+
+module.exports = {
+  getCacheDirectory,
+  readEntry,
+  writeEntry,
+  isFresh,
+  clearCache,
+  getCacheStats
+};
@@ -0,0 +1,180 @@
+/**
+ * Upgrade compatibility checker
+ * Compares a target version's peer ranges against the current project
+ */
+
+const semver = require('semver');
+const { resolveVersion, getPeerDependencies, getPeerDependenciesMeta, mapWithConcurrency } = require('./registry');
+const { parseSpec } = require('./spec');
+const { DEFAULTS, isExcluded, dependencyFields } = require('./config');
+const { SEVERITIES, summarizeFindings, isConflict } = require('./severity');
+const { describeGap } = require('./ranges');
+const { readPackageJson, getDeclaredRange, getInstalledManifest } = require('./project');
+const { detectPackageManager } = require('./package-manager');
+const { loadInstalledGraph, readFlatGraph, overlayGraph, findPeerDependents } = require('./peer-graph');
+
+const SEMVER_OPTIONS = { includePrerelease: true };
+
+// Function to build the project context shared by the evaluators
+function loadProject(cwd = process.cwd(), config = DEFAULTS) {
+  return { cwd, config, packageJson: readPackageJson(cwd) };
+}
+
+// Function to load the installed tree a check runs against: the lockfile graph, else the top-level node_modules
+function loadCheckGraph(project) {
+  const packageManager = detectPackageManager(project.cwd, project.config).name;
+  return loadInstalledGraph(project.cwd, packageManager, project.packageJson) || readFlatGraph(project);
+}
+
+// Function to evaluate one peer range against what the project has (`meta` is its peerDependenciesMeta entry)
+function evaluatePeer(peerName, range, project, meta = {}) {
+  const { cwd, config, packageJson } = project;
+  const optional = Boolean(meta && meta.optional);
+  const result = { name: peerName, range, optional, current: null, source: null, status: 'missing', severity: null, gap: null };
+
+  // Callers with an installed graph pass installedVersion; otherwise the hoisted node_modules copy counts
+  const installed = project.installedVersion
+    ? project.installedVersion(peerName)
+    : (getInstalledManifest(peerName, cwd) || {}).version;
+  const declared = getDeclaredRange(packageJson, peerName, [...dependencyFields(config), 'peerDependencies']);
+
+  if (!semver.validRange(range, SEMVER_OPTIONS)) {
+    result.status = 'unknown';
+    result.severity = SEVERITIES.unknown;
+    return result;
+  }
+
+  if (installed) {
+    result.current = installed;
+    result.source = project.requested && project.requested.has(peerName) ? 'requested' : 'installed';
+    if (semver.satisfies(installed, range, SEMVER_OPTIONS)) {
+      result.status = 'satisfied';
+    } else {
+      result.status = 'violated';
+      result.gap = describeGap(installed, range);
+    }
+  } else if (declared && semver.validRange(declared)) {
+    result.current = declared;
+    result.source = 'declared';
+    if (semver.intersects(declared, range, SEMVER_OPTIONS)) {
+      result.status = 'satisfied';
+    } else {
+      result.status = 'violated';
+      result.gap = describeGap(semver.minVersion(declared).version, range);
+    }
+  } else if (optional) {
+    // An optional peer only has to match when it is there
+    result.status = 'satisfied';
+  }
+
+  result.severity = SEVERITIES[result.status];
+  return result;
+}
+
+// Function to find installed packages whose peer range on a package rejects a version
+function findDependents(packageName, version, project) {
+  // pnpm's .pnpm store and Yarn PnP keep dependents out of the top-level node_modules, so the lockfile graph is read
+  const graph = project.graph || loadCheckGraph(project);
+  const dependents = new Map();
+  for (const dependent of findPeerDependents(graph, project, packageName)) {
+    const key = `${dependent.package}@${dependent.version}`;
+    if (dependents.has(key)) continue;
+    const satisfied = !semver.validRange(dependent.range, SEMVER_OPTIONS) ||
+      semver.satisfies(version, dependent.range, SEMVER_OPTIONS);
+    dependents.set(key, {
+      name: dependent.package,
+      version: dependent.version,
+      range: dependent.range,
+      optional: dependent.optional,
+      path: dependent.path,
+      status: satisfied ? 'satisfied' : 'violated',
+      severity: satisfied ? null : SEVERITIES.violated
+    });
+  }
+  return [...dependents.values()];
+}
+
+// Function to resolve one spec to the version it would install and that version's peers, or why it cannot be checked
+async function resolveTarget(spec, project) {
+  const { config } = project;
+  const parsed = parseSpec(spec);
+  const { name } = parsed;
+
+  const empty = {
+    spec,
+    name,
+    alias: parsed.type === 'alias' ? parsed.registryName : null,
+    requested: parsed.range,
+    version: null,
+    peers: [],
+    dependents: [],
+    summary: summarizeFindings([])
+  };
+
+  if (parsed.error) {
+    return { result: { ...empty, skipped: false, error: `Cannot analyze ${spec}: ${parsed.error}` } };
+  }
+
+  if (isExcluded(name, config)) {
+    return { result: { ...empty, skipped: true, error: null } };
+  }
+
+  // Tags and ranges are resolved to the version the package manager would install
+  const version = await resolveVersion(parsed.registryName, parsed.range, project);
+  if (!version) {
+    return { result: { ...empty, skipped: false, error: `Could not resolve ${spec}` } };
+  }
+
+  const peerDependencies = await getPeerDependencies(parsed.registryName, version, project);
+  if (!peerDependencies) {
+    return { result: { ...empty, version, skipped: false, error: `Could not fetch info for ${spec}` } };
+  }
+
+  const peerDependenciesMeta = (await getPeerDependenciesMeta(parsed.registryName, version, project)) || {};
+  return { result: { ...empty, version, skipped: false, error: null }, peerDependencies, peerDependenciesMeta };
+}
+
+// Function to evaluate a resolved target's peers and dependents against the project with every target installed
+function evaluateTarget(target, project) {
+  const { result, peerDependencies, peerDependenciesMeta } = target;
+  const { config } = project;
+  const peers = Object.entries(peerDependencies)
+    .filter(([peerName]) => !isExcluded(peerName, config))
+    .map(([peerName, peerRange]) => evaluatePeer(peerName, peerRange, project, peerDependenciesMeta[peerName]));
+  const dependents = findDependents(result.name, result.version, project);
+  const summary = summarizeFindings([
+    ...peers.filter(peer => isConflict(peer.status, config)),
+    ...dependents
+  ]);
+
+  return { ...result, peers, dependents, summary };
+}
+
+// Function to check "name@version" upgrades against the project, as a set installed together
+async function checkUpgrade(specs, options = {}) {
+  const config = options.config || DEFAULTS;
+  const base = loadProject(options.cwd || process.cwd(), config);
+  const graph = loadCheckGraph(base);
+  const targets = await mapWithConcurrency([].concat(specs), config.concurrency, spec => resolveTarget(spec, base));
+
+  // react@19 alongside react-dom@19 must see each other, not the react-dom@18 they replace
+  const upgrades = new Map(targets
+    .filter(target => target.peerDependencies)
+    .map(({ result, peerDependencies, peerDependenciesMeta }) => [result.name, { version: result.version, peerDependencies, peerDependenciesMeta }]));
+  const overlay = overlayGraph(graph, upgrades);
+  const project = {
+    ...base,
+    graph: overlay,
+    requested: upgrades,
+    installedVersion: packageName => (overlay.resolve(overlay.root, packageName) || {}).version || null
+  };
+
+  return targets.map(target => (target.peerDependencies ? evaluateTarget(target, project) : target.result));
+}
+
+module.exports = {
+  loadProject,
+  evaluatePeer,
+  findDependents,
+  checkUpgrade
+};
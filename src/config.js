@@ -0,0 +1,178 @@
+/**
+ * Configuration loader
+ * Resolves settings from CLI flags, environment, .pdcrc.json, package.json and defaults
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { normalizeRegistry } = require('./npmrc');
+
+const CONFIG_FILE = '.pdcrc.json';
+
+const DEFAULTS = {
+  packageManager: null,
+  riskTolerance: 'medium',
+  autoCheck: true,
+  checkOnInstall: true,
+  checkOnUpgrade: true,
+  excludePackages: [],
+  workspaces: [],
+  singletons: [],
+  includeDevDependencies: true,
+  outputFormat: 'colored',
+  timeout: 30000,
+  concurrency: 8,
+  registry: null,
+  cacheDirectory: '.pdc-cache',
+  cacheTtl: 3600000,
+  logLevel: 'info',
+  failOn: 'error'
+};
+
+const CHOICES = {
+  packageManager: ['npm', 'yarn', 'pnpm', 'bun'],
+  riskTolerance: ['low', 'medium', 'high'],
+  outputFormat: ['colored', 'json', 'minimal'],
+  logLevel: ['silent', 'error', 'warn', 'info', 'debug'],
+  failOn: ['error', 'warning', 'none']
+};
+
+// Function to turn a config key into its environment variable name
+function envName(key) {
+  return `PDC_${key.replace(/[A-Z]/g, letter => `_${letter}`).toUpperCase()}`;
+}
+
+// Function to coerce a raw string (env or CLI) to the type of the default
+function coerce(key, value) {
+  if (typeof value !== 'string') return value;
+
+  if (['excludePackages', 'workspaces', 'singletons'].includes(key)) {
+    return value.split(',').map(entry => entry.trim()).filter(Boolean);
+  }
+  if (typeof DEFAULTS[key] === 'boolean') {
+    return !['false', '0', 'no', 'off'].includes(value.toLowerCase());
+  }
+  if (typeof DEFAULTS[key] === 'number') {
+    return Number(value);
+  }
+  return value;
+}
+
+// Function to read a JSON config source, failing loudly on invalid syntax
+function readConfigFile(filePath) {
+  if (!fs.existsSync(filePath)) return {};
+
+  try {
+    return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  } catch (error) {
+    throw new Error(`Invalid JSON in ${path.basename(filePath)}: ${error.message}`);
+  }
+}
+
+// Function to read settings from PDC_* environment variables
+function readEnvConfig(env = process.env) {
+  const config = {};
+  for (const key of Object.keys(DEFAULTS)) {
+    if (env[envName(key)] !== undefined && env[envName(key)] !== '') {
+      config[key] = coerce(key, env[envName(key)]);
+    }
+  }
+  return config;
+}
+
+// Function to keep only known keys that were actually set
+function pickKnown(source) {
+  const picked = {};
+  for (const key of Object.keys(DEFAULTS)) {
+    if (source && source[key] !== undefined) {
+      picked[key] = coerce(key, source[key]);
+    }
+  }
+  return picked;
+}
+
+// Function to reject values outside the documented options
+function validateConfig(config) {
+  for (const [key, choices] of Object.entries(CHOICES)) {
+    if (config[key] !== null && !choices.includes(config[key])) {
+      throw new Error(`Invalid ${key} "${config[key]}" (expected one of: ${choices.join(', ')})`);
+    }
+  }
+  if (!Array.isArray(config.excludePackages)) {
+    throw new Error('Invalid excludePackages (expected an array of package names)');
+  }
+  if (!Array.isArray(config.singletons)) {
+    throw new Error('Invalid singletons (expected an array of package names)');
+  }
+  if (!Array.isArray(config.workspaces)) {
+    throw new Error('Invalid workspaces (expected an array of workspace names or directories)');
+  }
+  if (!Number.isFinite(config.timeout) || config.timeout <= 0) {
+    throw new Error(`Invalid timeout "${config.timeout}" (expected a positive number of milliseconds)`);
+  }
+  if (!Number.isInteger(config.concurrency) || config.concurrency < 1) {
+    throw new Error(`Invalid concurrency "${config.concurrency}" (expected a positive whole number of requests)`);
+  }
+  if (!Number.isFinite(config.cacheTtl) || config.cacheTtl < 0) {
+    throw new Error(`Invalid cacheTtl "${config.cacheTtl}" (expected a number of milliseconds, 0 to always revalidate)`);
+  }
+  if (config.registry !== null) {
+    const registry = normalizeRegistry(config.registry);
+    if (!registry) throw new Error(`Invalid registry "${config.registry}" (expected an http or https URL)`);
+    config.registry = registry;
+  }
+  return config;
+}
+
+/**
+ * Load the effective configuration for a project.
+ * Precedence, highest first: CLI flags, PDC_* environment variables,
+ * .pdcrc.json (or --config file), package.json "pdc" key, defaults.
+ */
+function loadConfig(options = {}) {
+  const cwd = options.cwd || process.cwd();
+  const env = options.env || process.env;
+  const configFile = options.configFile || env.PDC_CONFIG || CONFIG_FILE;
+
+  const packageJson = readConfigFile(path.join(cwd, 'package.json'));
+  const fileConfig = readConfigFile(path.resolve(cwd, configFile));
+
+  return validateConfig({
+    ...DEFAULTS,
+    ...pickKnown(packageJson.pdc),
+    ...pickKnown(fileConfig),
+    ...readEnvConfig(env),
+    ...pickKnown(options.flags)
+  });
+}
+
+// Function to check whether messages of a level ('error', 'warn', 'info' or 'debug') are shown under logLevel
+function shouldLog(config, level) {
+  return CHOICES.logLevel.indexOf(level) <= CHOICES.logLevel.indexOf(config.logLevel || DEFAULTS.logLevel);
+}
+
+// Function to check a package name against excludePackages (supports * wildcards)
+function isExcluded(packageName, config) {
+  return (config.excludePackages || []).some(pattern => {
+    if (!pattern.includes('*')) return pattern === packageName;
+    const escaped = pattern.split('*').map(part => part.replace(/[.+?^${}()|[\]\\/]/g, '\\$&'));
+    return new RegExp(`^${escaped.join('.*')}$`).test(packageName);
+  });
+}
+
+// Function to get the dependency fields the config asks to analyze
+function dependencyFields(config) {
+  return config.includeDevDependencies
+    ? ['dependencies', 'devDependencies', 'optionalDependencies']
+    : ['dependencies', 'optionalDependencies'];
+}
+
+module.exports = {
+  CONFIG_FILE,
+  DEFAULTS,
+  loadConfig,
+  shouldLog,
+  isExcluded,
+  dependencyFields,
+  envName
+};
@@ -0,0 +1,78 @@
+/**
+ * Text diffs
+ * Line-based unified diffs for showing file edits before they are written
+ */
+
+// Lines of unchanged context shown around each change
+const CONTEXT = 3;
+
+// Function to compute the line operations turning one list of lines into another (longest common subsequence)
+function diffLines(before, after) {
+  const lengths = Array.from({ length: before.length + 1 }, () => new Array(after.length + 1).fill(0));
+  for (let i = before.length - 1; i >= 0; i--) {
+    for (let j = after.length - 1; j >= 0; j--) {
+      lengths[i][j] = before[i] === after[j]
+        ? lengths[i + 1][j + 1] + 1
+        : Math.max(lengths[i + 1][j], lengths[i][j + 1]);
+    }
+  }
+
+  const operations = [];
+  let i = 0;
+  let j = 0;
+  while (i < before.length || j < after.length) {
+    if (i < before.length && j < after.length && before[i] === after[j]) {
+      operations.push({ type: ' ', line: before[i], oldLine: i++, newLine: j++ });
+    } else if (i < before.length && (j === after.length || lengths[i + 1][j] >= lengths[i][j + 1])) {
+      // Removed lines come before the lines replacing them, like `git diff`
+      operations.push({ type: '-', line: before[i], oldLine: i++, newLine: j });
+    } else {
+      operations.push({ type: '+', line: after[j], oldLine: i, newLine: j++ });
+    }
+  }
+  return operations;
+}
+
+/**
+ * Build a unified diff between two versions of a file, or an empty string when they match.
+ * `file` is the path shown in the ---/+++ header lines.
+ */
+function createDiff(oldText, newText, file) {
+  if (oldText === newText) return '';
+  // A final newline does not make an extra line
+  const toLines = text => text.replace(/\r?\n$/, '').split(/\r?\n/);
+  const operations = diffLines(toLines(oldText), toLines(newText));
+  const lines = [`--- a/${file}`, `+++ b/${file}`];
+
+  let index = 0;
+  while (index < operations.length) {
+    if (operations[index].type === ' ') {
+      index++;
+      continue;
+    }
+
+    // Grow the hunk while changes are closer together than twice the context
+    const start = Math.max(0, index - CONTEXT);
+    let end = index;
+    let quiet = 0;
+    while (end < operations.length && quiet <= CONTEXT * 2) {
+      quiet = operations[end].type === ' ' ? quiet + 1 : 0;
+      end++;
+    }
+    end = Math.min(operations.length, end - Math.max(0, quiet - CONTEXT));
+
+    const hunk = operations.slice(start, end);
+    const oldCount = hunk.filter(operation => operation.type !== '+').length;
+    const newCount = hunk.filter(operation => operation.type !== '-').length;
+    lines.push(`@@ -${hunk[0].oldLine + 1},${oldCount} +${hunk[0].newLine + 1},${newCount} @@`);
+    hunk.forEach(operation => lines.push(`${operation.type}${operation.line}`));
+    index = end;
+  }
+
+  return lines.join('\n');
+}
+
+module.exports = {
+  diffLines,
+  createDiff
+};
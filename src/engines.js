@@ -0,0 +1,221 @@
+/**
+ * Node engines compatibility
+ * Compares the engines.node ranges of installed packages and upgrade targets with the Node
+ * versions the project declares (package.json engines, .nvmrc, .node-version) and the one running
+ */
+
+const fs = require('fs');
+const path = require('path');
+const semver = require('semver');
+const { DEFAULTS, isExcluded, dependencyFields } = require('./config');
+const { loadProject } = require('./check');
+const { parseSpec } = require('./spec');
+const { getInstalledManifest } = require('./project');
+const { summarizeFindings } = require('./severity');
+const { detectPackageManager } = require('./package-manager');
+const { fetchPackument, mapWithConcurrency } = require('./registry');
+const { dependencyPaths } = require('./peer-graph');
+const { getAnalysisTargets, loadAnalysisGraph, describeMissingTree } = require('./peer-check');
+const { findWorkspaceNode, getWorkspaceVersion } = require('./workspaces');
+
+const SEMVER_OPTIONS = { includePrerelease: true };
+
+// Version files nvm, fnm and CI setup actions read, in the order they are checked
+const VERSION_FILES = ['.nvmrc', '.node-version'];
+
+// Function to read a Node version file ("v20.11.0", "20", "lts/iron") as a range, when it is one
+function readVersionFile(cwd, file) {
+  let text;
+  try {
+    text = fs.readFileSync(path.join(cwd, file), 'utf8').trim().split(/\r?\n/)[0].trim();
+  } catch {
+    return null;
+  }
+  if (!text) return null;
+  const range = text.replace(/^v(?=\d)/, '');
+  return semver.validRange(range)
+    ? { source: file, value: text, range }
+    : { source: file, value: text, range: null, note: `${text} is an alias pdc cannot compare` };
+}
+
+/**
+ * List the Node versions a project targets: the package.json engines.node range, .nvmrc and
+ * .node-version, and the running Node. Aliases such as "lts/iron" are kept with a null range.
+ */
+function readNodeTargets(cwd, packageJson, runningVersion = process.version) {
+  const targets = [];
+  const declared = packageJson.engines && packageJson.engines.node;
+  if (declared) {
+    targets.push(semver.validRange(declared)
+      ? { source: 'package.json engines', value: declared, range: declared }
+      : { source: 'package.json engines', value: declared, range: null, note: `${declared} is not a valid range` });
+  }
+  for (const file of VERSION_FILES) {
+    const target = readVersionFile(cwd, file);
+    if (target) targets.push(target);
+  }
+  targets.push({ source: 'running Node', value: runningVersion, range: semver.clean(runningVersion) });
+  return targets;
+}
+
+// Function to read the engines.node range of a package, or null when it has none
+function getNodeRange(engines) {
+  const range = engines && typeof engines === 'object' && !Array.isArray(engines) ? engines.node : null;
+  return typeof range === 'string' && range.trim() ? range.trim() : null;
+}
+
+// Function to compare a package's engines.node range with each Node version the project targets
+function compareEngines(range, targets) {
+  if (!semver.validRange(range, SEMVER_OPTIONS)) return [];
+  const conflicts = [];
+
+  for (const target of targets) {
+    if (!target.range) continue;
+    if (semver.valid(target.range)) {
+      if (!semver.satisfies(target.range, range, SEMVER_OPTIONS)) {
+        conflicts.push({ source: target.source, value: target.value, overlap: false, message: `${target.source} is ${target.value}` });
+      }
+    } else if (!semver.intersects(target.range, range, SEMVER_OPTIONS)) {
+      conflicts.push({ source: target.source, value: target.value, overlap: false, message: `${target.source} allows ${target.value}, none of which it supports` });
+    } else if (!semver.subset(target.range, range, SEMVER_OPTIONS)) {
+      conflicts.push({ source: target.source, value: target.value, overlap: true, message: `${target.source} allows ${target.value}, not all of which it supports` });
+    }
+  }
+  return conflicts;
+}
+
+// Function to build a finding from a package's engine conflicts
+function toFinding(entry, conflicts, severity) {
+  const label = entry.from ? `${entry.package} ${entry.from} → ${entry.version}` : `${entry.package}@${entry.version}`;
+  return {
+    ...entry,
+    conflicts,
+    severity,
+    message: `${label} requires node ${entry.engines}; ${conflicts.map(conflict => conflict.message).join('; ')}`
+  };
+}
+
+/**
+ * Check the engines.node range of every installed package against the project's Node targets.
+ * A package the running Node (or any declared version) cannot run is an error; one that only
+ * drops part of a declared range is a warning.
+ */
+function findInstalledEngineIssues(graph, project, targets) {
+  if (!graph) return [];
+  const { config, cwd } = project;
+  const paths = dependencyPaths(graph);
+  const findings = [];
+
+  for (const node of graph.nodes.values()) {
+    if (node === graph.root || node.link || node.importer || !node.version) continue;
+    if (node.dev && !config.includeDevDependencies) continue;
+    if (isExcluded(node.name, config)) continue;
+
+    // Lockfiles without engines (yarn berry) fall back to the installed manifest
+    let engines = node.engines;
+    if (engines === undefined) {
+      const manifest = getInstalledManifest(node.name, cwd);
+      engines = manifest && manifest.version === node.version ? manifest.engines : null;
+    }
+    const range = getNodeRange(engines);
+    if (!range) continue;
+
+    const conflicts = compareEngines(range, targets);
+    if (conflicts.length === 0) continue;
+    findings.push(toFinding({
+      package: node.name,
+      version: node.version,
+      location: node.location,
+      path: paths.get(node.id) || [graph.root.name, node.name],
+      engines: range
+    }, conflicts, conflicts.some(conflict => !conflict.overlap) ? 'error' : 'warning'));
+  }
+
+  return findings.sort((a, b) => a.package.localeCompare(b.package));
+}
+
+// Function to list the direct dependencies (of the analyzed workspaces) with a newer latest version
+async function listUpgradeTargets(graph, project) {
+  const { config, cwd } = project;
+  const candidates = new Map();
+  for (const target of getAnalysisTargets(project).targets) {
+    const node = findWorkspaceNode(graph, target.dir);
+    for (const field of dependencyFields(config)) {
+      for (const [name, declared] of Object.entries(target.packageJson[field] || {})) {
+        const spec = parseSpec(`${name}@${declared}`);
+        if (candidates.has(name) || spec.error || isExcluded(name, config)) continue;
+        candidates.set(name, { name, registryName: spec.registryName, current: getWorkspaceVersion(graph, node, name, cwd, target.dir) });
+      }
+    }
+  }
+
+  const upgrades = await mapWithConcurrency([...candidates.values()], config.concurrency, async (candidate) => {
+    const packument = await fetchPackument(candidate.registryName, project);
+    const latest = packument && (packument['dist-tags'] || {}).latest;
+    if (!latest || (candidate.current && !semver.gt(latest, candidate.current))) return null;
+    return { ...candidate, latest };
+  });
+  return upgrades.filter(Boolean);
+}
+
+/**
+ * Check the engines.node range of upgrade targets ({ name, current, latest }) against the
+ * project's Node targets, reading each target version's manifest from the registry. Upgrades
+ * are not installed yet, so their conflicts are warnings.
+ */
+async function findUpgradeEngineIssues(upgrades, project, targets) {
+  const findings = await mapWithConcurrency(upgrades, project.config.concurrency, async (upgrade) => {
+    if (!upgrade.latest || isExcluded(upgrade.name, project.config)) return null;
+    const packument = await fetchPackument(upgrade.registryName || upgrade.name, project);
+    const manifest = packument && packument.versions && packument.versions[upgrade.latest];
+    const range = getNodeRange(manifest && manifest.engines);
+    if (!range) return null;
+
+    const conflicts = compareEngines(range, targets);
+    if (conflicts.length === 0) return null;
+    const currentManifest = upgrade.current && packument.versions[upgrade.current];
+    return toFinding({
+      package: upgrade.name,
+      from: upgrade.current || null,
+      version: upgrade.latest,
+      engines: range,
+      previousEngines: getNodeRange(currentManifest && currentManifest.engines)
+    }, conflicts, 'warning');
+  });
+  return findings.filter(Boolean);
+}
+
+/**
+ * Check Node engine compatibility: installed packages and the latest version of every direct
+ * dependency against package.json engines.node, .nvmrc / .node-version and the running Node
+ * (`nodeVersion` overrides process.version).
+ */
+async function checkEngines(options = {}) {
+  const config = options.config || DEFAULTS;
+  const project = loadProject(options.cwd || process.cwd(), config);
+  const packageManager = detectPackageManager(project.cwd, config).name;
+  const graph = loadAnalysisGraph(project, packageManager);
+  const targets = readNodeTargets(project.cwd, project.packageJson, options.nodeVersion);
+
+  const installed = findInstalledEngineIssues(graph, project, targets);
+  const upgrades = await findUpgradeEngineIssues(await listUpgradeTargets(graph, project), project, targets);
+
+  return {
+    packageManager,
+    node: targets,
+    lockfile: graph.type !== 'node_modules',
+    installedTree: graph.type,
+    error: describeMissingTree(graph, project, packageManager),
+    installed,
+    upgrades,
+    summary: summarizeFindings([...installed, ...upgrades])
+  };
+}
+
+module.exports = {
+  readNodeTargets,
+  compareEngines,
+  findInstalledEngineIssues,
+  findUpgradeEngineIssues,
+  checkEngines
+};
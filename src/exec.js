@@ -0,0 +1,55 @@
+/**
+ * Command execution helpers
+ * Runs package manager commands without leaking their output
+ */
+
+const { execSync } = require('child_process');
+
+// Function to run commands silently and return trimmed stdout (or fallback on failure)
+function runCommandSilent(command, options = {}, fallback = null) {
+  try {
+    return execSync(command, {
+      encoding: 'utf8',
+      stdio: 'pipe',
+      cwd: options.cwd,
+      timeout: options.timeout || 10000
+    }).trim();
+  } catch (error) {
+    return fallback;
+  }
+}
+
+// Function to run a command with its output shown in the terminal, returning whether it succeeded
+function runCommandVisible(command, options = {}) {
+  try {
+    execSync(command, { stdio: 'inherit', cwd: options.cwd });
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+// Function to parse JSON command output, tolerating newline-delimited JSON
+function parseJsonOutput(output) {
+  if (!output) return null;
+  try {
+    return JSON.parse(output);
+  } catch {
+    const lines = output.split('\n').filter(line => line.trim().startsWith('{'));
+    const parsed = [];
+    for (const line of lines) {
+      try {
+        parsed.push(JSON.parse(line));
+      } catch {
+        // Skip progress lines and partial output
+      }
+    }
+    return parsed.length > 0 ? parsed : null;
+  }
+}
+
+module.exports = {
+  runCommandSilent,
+  runCommandVisible,
+  parseJsonOutput
+};
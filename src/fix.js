@@ -0,0 +1,276 @@
+/**
+ * Peer conflict fixes
+ * Turns current peer issues into package.json edits: bump a dependency, add a missing peer or move a peer
+ */
+
+const fs = require('fs');
+const path = require('path');
+const semver = require('semver');
+const { DEFAULTS, isExcluded } = require('./config');
+const { loadProject } = require('./check');
+const { parseSpec } = require('./spec');
+const { isDevOnly } = require('./project');
+const { summarizeFindings } = require('./severity');
+const { detectPackageManager } = require('./package-manager');
+const { fetchPackument } = require('./registry');
+const { intersectRanges } = require('./ranges');
+const { dependencyPaths, findPeerIssues } = require('./peer-graph');
+const { getAnalysisTargets, loadAnalysisGraph, describeMissingTree } = require('./peer-check');
+const { findWorkspaceNode } = require('./workspaces');
+const { createDiff } = require('./diff');
+const { setDependency, removeDependency, updatePackageJsonText, writePackageJsonText } = require('./package-json');
+
+const SEMVER_OPTIONS = { includePrerelease: true };
+
+// Fields a fix may edit, in the order a declaration is looked up
+const FIX_FIELDS = ['dependencies', 'devDependencies', 'optionalDependencies'];
+
+// Function to find the dependency field that declares a package
+function findDeclaringField(packageJson, name, fields = FIX_FIELDS) {
+  return fields.find(field => packageJson[field] && packageJson[field][name] !== undefined) || null;
+}
+
+// Function to write a version as a range in the style of the existing declaration ("~1.2.0", "1.2.0", "npm:pkg@^1.2.0")
+function toRange(version, declared) {
+  const spec = declared ? parseSpec(`x@${declared}`) : null;
+  const range = spec && spec.range;
+  let written = `^${version}`;
+  if (range && semver.valid(range)) written = version;
+  else if (range && range.startsWith('~')) written = `~${version}`;
+  return spec && spec.type === 'alias' ? `npm:${spec.registryName}@${written}` : written;
+}
+
+// Function to list a package's published release versions, newest first, with their manifests
+async function getPublished(context, name) {
+  if (!context.packuments.has(name)) {
+    context.packuments.set(name, fetchPackument(name, context.project));
+  }
+  const packument = await context.packuments.get(name);
+  return Object.entries((packument && packument.versions) || {})
+    .filter(([version, manifest]) => semver.valid(version) && !semver.prerelease(version) && !manifest.deprecated)
+    .sort(([a], [b]) => semver.rcompare(a, b))
+    .map(([version, manifest]) => ({ version, manifest }));
+}
+
+// Function to collect the ranges every package reachable from a target accepts for a peer
+function collectPeerRanges(graph, paths, peerName) {
+  const ranges = [];
+  for (const node of graph.nodes.values()) {
+    if (!paths.has(node.id) || !node.peerDependencies) continue;
+    const range = node.peerDependencies[peerName];
+    if (range && semver.validRange(range, SEMVER_OPTIONS)) ranges.push(range);
+  }
+  return ranges;
+}
+
+// Function to find the newest published version of a peer that every dependent in the target accepts
+async function findAcceptedPeerVersion(context, target, peerName) {
+  const common = intersectRanges(collectPeerRanges(context.graph, target.paths, peerName));
+  if (!common) return null;
+  const declared = target.packageJson[findDeclaringField(target.packageJson, peerName)];
+  const registryName = declared ? parseSpec(`${peerName}@${declared}`).registryName || peerName : peerName;
+  const match = (await getPublished(context, registryName))
+    .find(published => semver.satisfies(published.version, common, SEMVER_OPTIONS));
+  return match ? match.version : null;
+}
+
+// Function to find the newest published version of a package, newer than the installed one, that accepts a peer version
+async function findAcceptingVersion(context, target, issue) {
+  const declared = target.packageJson[findDeclaringField(target.packageJson, issue.package)];
+  const registryName = parseSpec(`${issue.package}@${declared}`).registryName || issue.package;
+  const match = (await getPublished(context, registryName)).find(({ version, manifest }) => {
+    if (!semver.gt(version, issue.version)) return false;
+    const range = (manifest.peerDependencies || {})[issue.peer];
+    return !range || semver.satisfies(issue.installed, range, SEMVER_OPTIONS);
+  });
+  return match ? match.version : null;
+}
+
+// Function to describe an edit in one line
+function describeEdit(edit) {
+  if (edit.type === 'move') return `Move ${edit.name} from ${edit.fromField} to ${edit.field}`;
+  if (edit.type === 'add') return `Add ${edit.name}@${edit.to} to ${edit.field}`;
+  return `Bump ${edit.name} in ${edit.field} from ${edit.from} to ${edit.to}`;
+}
+
+// Function to work out the edit that resolves one peer issue in a target, or why there is none
+async function findIssueFix(context, target, issue) {
+  const { packageJson } = target;
+  const reason = `${issue.package}@${issue.version} requires ${issue.peer} ${issue.range}`;
+  const base = { file: target.file, workspace: target.workspace, name: issue.peer, reason, severity: issue.severity };
+  const peerField = findDeclaringField(packageJson, issue.peer);
+
+  if (issue.status === 'missing') {
+    if (peerField) {
+      return { unresolved: `${issue.peer} is declared but not installed; run ${context.packageManager} install` };
+    }
+    // A package's own peerDependencies are not installed for it, so development needs a copy
+    if (findDeclaringField(packageJson, issue.peer, ['peerDependencies'])) {
+      const range = packageJson.peerDependencies[issue.peer];
+      return { edit: { ...base, type: 'add', field: 'devDependencies', from: null, to: range } };
+    }
+    const version = await findAcceptedPeerVersion(context, target, issue.peer);
+    if (!version) return { unresolved: `No published version of ${issue.peer} satisfies every package that requires it` };
+    const via = issue.path[1];
+    const field = via && isDevOnly(packageJson, via) ? 'devDependencies' : 'dependencies';
+    return { edit: { ...base, type: 'add', field, from: null, to: `^${version}` } };
+  }
+
+  if (issue.status !== 'violated') {
+    return { unresolved: `${issue.peer} ${issue.installed} cannot be compared with ${issue.range}` };
+  }
+
+  // Moving the peer forward is preferred; otherwise a newer release of the dependent may accept it
+  if (peerField) {
+    const version = await findAcceptedPeerVersion(context, target, issue.peer);
+    if (version && issue.installed && semver.gt(version, issue.installed)) {
+      const from = packageJson[peerField][issue.peer];
+      return { edit: { ...base, type: 'bump', field: peerField, from, to: toRange(version, from) } };
+    }
+  }
+
+  const dependentField = findDeclaringField(packageJson, issue.package);
+  if (dependentField) {
+    const version = await findAcceptingVersion(context, target, issue);
+    if (version) {
+      const from = packageJson[dependentField][issue.package];
+      return {
+        edit: { ...base, name: issue.package, type: 'bump', field: dependentField, from, to: toRange(version, from) }
+      };
+    }
+  }
+
+  return { unresolved: `${issue.message}; no release of ${issue.peer} or ${issue.package} resolves it` };
+}
+
+// Function to find required peers of production dependencies that are only declared as devDependencies
+function findMisplacedPeers(context, target) {
+  const { packageJson, node } = target;
+  const { graph, project } = context;
+  const edits = [];
+
+  for (const name of Object.keys(packageJson.dependencies || {})) {
+    const child = graph.resolve(node, name);
+    if (!child || isExcluded(name, project.config)) continue;
+    for (const peer of Object.keys(child.peerDependencies || {})) {
+      const meta = (child.peerDependenciesMeta || {})[peer];
+      if ((meta && meta.optional) || isExcluded(peer, project.config)) continue;
+      if (findDeclaringField(packageJson, peer) !== 'devDependencies') continue;
+      if (edits.some(edit => edit.name === peer)) continue;
+      edits.push({
+        file: target.file,
+        workspace: target.workspace,
+        type: 'move',
+        name: peer,
+        fromField: 'devDependencies',
+        field: 'dependencies',
+        from: packageJson.devDependencies[peer],
+        to: packageJson.devDependencies[peer],
+        reason: `${child.name}@${child.version} is a dependency and requires ${peer}, which production installs leave out`,
+        severity: 'warning'
+      });
+    }
+  }
+
+  return edits;
+}
+
+// Function to apply a file's edits to its text
+function applyEditsToText(text, edits) {
+  return updatePackageJsonText(text, packageJson => {
+    for (const edit of edits) {
+      if (edit.type === 'move') removeDependency(packageJson, edit.fromField, edit.name);
+      setDependency(packageJson, edit.field, edit.name, edit.to);
+    }
+  });
+}
+
+// Function to build the diff of every file the edits touch
+function buildFileChanges(cwd, edits) {
+  const files = [...new Set(edits.map(edit => edit.file))];
+  return files.map(file => {
+    const before = fs.readFileSync(path.join(cwd, file), 'utf8');
+    const after = applyEditsToText(before, edits.filter(edit => edit.file === file));
+    return { file, diff: createDiff(before, after, file), before, after };
+  });
+}
+
+/**
+ * Work out the package.json edits that resolve the project's current peer issues: bump the
+ * peer or the package requiring it to a compatible release, add a missing required peer, or
+ * move a peer a production dependency needs out of devDependencies. Nothing is written;
+ * `files` holds a unified diff per package.json and `unresolved` the issues with no edit.
+ */
+async function findFixes(options = {}) {
+  const config = options.config || DEFAULTS;
+  const project = loadProject(options.cwd || process.cwd(), config);
+  const packageManager = detectPackageManager(project.cwd, config).name;
+  const graph = loadAnalysisGraph(project, packageManager);
+
+  const result = {
+    packageManager,
+    installedTree: graph.type,
+    error: describeMissingTree(graph, project, packageManager),
+    edits: [],
+    files: [],
+    unresolved: [],
+    applied: false,
+    summary: summarizeFindings([])
+  };
+  if (result.error) return result;
+
+  const analysis = getAnalysisTargets(project);
+  const context = { project, graph, packageManager, packuments: new Map() };
+  const edits = new Map();
+
+  for (const entry of analysis.targets) {
+    const node = findWorkspaceNode(graph, entry.dir);
+    if (!node) continue;
+    const target = {
+      node,
+      packageJson: entry.packageJson,
+      file: entry.dir ? path.posix.join(entry.dir, 'package.json') : 'package.json',
+      workspace: entry.dir ? entry.name : null,
+      paths: dependencyPaths(graph, node)
+    };
+    const issues = analysis.workspaces.length === 0 ? findPeerIssues(graph, project) : findPeerIssues(graph, project, node);
+
+    for (const issue of issues) {
+      const { edit, unresolved } = await findIssueFix(context, target, issue);
+      if (unresolved) {
+        result.unresolved.push({ package: issue.package, peer: issue.peer, severity: issue.severity, message: unresolved });
+        continue;
+      }
+      // Several issues often share one fix, e.g. two packages requiring the same newer react
+      const key = `${edit.file}|${edit.name}`;
+      if (!edits.has(key)) edits.set(key, { ...edit, reasons: [] });
+      edits.get(key).reasons.push(edit.reason);
+    }
+
+    for (const edit of findMisplacedPeers(context, target)) {
+      const key = `${edit.file}|${edit.name}`;
+      if (!edits.has(key)) edits.set(key, { ...edit, reasons: [edit.reason] });
+    }
+  }
+
+  result.edits = [...edits.values()].map(({ reason, ...edit }) => ({ ...edit, message: describeEdit(edit) }));
+  result.files = buildFileChanges(project.cwd, result.edits).map(({ file, diff }) => ({ file, diff }));
+  result.summary = summarizeFindings(result.unresolved);
+  return result;
+}
+
+/**
+ * Write the edits of findFixes() to their package.json files, keeping each file's formatting.
+ * Resolves to the list of files that changed.
+ */
+async function applyFixes(edits, options = {}) {
+  const cwd = options.cwd || process.cwd();
+  return buildFileChanges(cwd, edits)
+    .filter(change => writePackageJsonText(path.join(cwd, change.file), change.after))
+    .map(change => change.file);
+}
+
+module.exports = {
+  findFixes,
+  applyFixes
+};
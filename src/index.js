@@ -0,0 +1,213 @@
+/**
+ * peer-dependency-checker programmatic API
+ * by hyperdrift
+ *
+ * Every function resolves to a plain result object; nothing is printed.
+ */
+
+const { loadConfig } = require('./config');
+const { scan: runScan } = require('./upgrade-check');
+const { analyzePeers: runAnalysis } = require('./peer-check');
+const { checkUpgrade: runCheck } = require('./check');
+const { planUpgrade: runPlan } = require('./plan');
+const { whyPeer: runWhy } = require('./why');
+const { buildMatrix: runBuildMatrix } = require('./matrix');
+const { resolveCompatible: runResolveCompatible } = require('./resolve');
+const { checkEngines: runCheckEngines } = require('./engines');
+const {
+  listUpgrades: runListUpgrades,
+  createImpactChecker: runCreateImpactChecker,
+  installUpgrades: runInstallUpgrades
+} = require('./upgrade');
+const { findFixes: runFindFixes, applyFixes: runApplyFixes } = require('./fix');
+const { findOverrides: runFindOverrides, writeOverrides: runWriteOverrides } = require('./overrides');
+const { clearCache: runClearCache, getCacheStats: runCacheStats } = require('./cache');
+
+// Function to resolve the project directory and effective config for an API call
+function resolveOptions(options = {}) {
+  const cwd = options.cwd || process.cwd();
+  const config = loadConfig({ cwd, configFile: options.configFile, flags: options.config });
+  return { ...options, cwd, config };
+}
+
+/**
+ * Scan a project for outdated packages, major upgrades, peer warnings, Node engine conflicts
+ * and audit results.
+ * @param {object} [options] - { cwd, configFile, config (overrides), quick, nodeVersion }
+ */
+async function scan(options = {}) {
+  return runScan(resolveOptions(options));
+}
+
+/**
+ * Analyze a project's current peer dependency issues and upgrade conflicts.
+ * @param {object} [options] - { cwd, configFile, config (overrides), brief }
+ */
+async function analyzePeers(options = {}) {
+  return runAnalysis(resolveOptions(options));
+}
+
+/**
+ * Check one or more "name@version" upgrades against a project, as if installed together.
+ * @param {string|string[]} specs - e.g. ['react@19', 'react-dom@19']
+ * @param {object} [options] - { cwd, configFile, config (overrides) }
+ */
+async function checkUpgrade(specs, options = {}) {
+  return runCheck(specs, resolveOptions(options));
+}
+
+/**
+ * Work out the companion upgrades that keep every peer constraint satisfied after upgrading
+ * to the given targets, as an ordered plan with exact versions and install commands.
+ * @param {string|string[]} specs - e.g. ['react@19']
+ * @param {object} [options] - { cwd, configFile, config (overrides) }
+ */
+async function planUpgrade(specs, options = {}) {
+  return runPlan(specs, resolveOptions(options));
+}
+
+/**
+ * List the installed packages that declare a package as a peer, the range each accepts,
+ * the path that brings it in and the versions that satisfy all of them.
+ * @param {string} packageName - e.g. 'react'
+ * @param {object} [options] - { cwd, configFile, config (overrides) }
+ */
+async function whyPeer(packageName, options = {}) {
+  return runWhy(packageName, resolveOptions(options));
+}
+
+/**
+ * Compare the published minors (or majors) of a package against the peer ranges of the
+ * installed packages that declare it and against its own peers.
+ * @param {string} spec - e.g. 'react' or 'react@>=16'
+ * @param {object} [options] - { cwd, configFile, config (overrides), by: 'minor' | 'major' }
+ */
+async function buildMatrix(spec, options = {}) {
+  return runBuildMatrix(spec, { ...resolveOptions(options), by: options.by });
+}
+
+/**
+ * Find the newest published version of a package whose own peers the installed project meets
+ * and that every installed package declaring it as a peer accepts, with the reasons each newer
+ * version was rejected.
+ * @param {string} spec - e.g. 'eslint' or 'eslint@^8'
+ * @param {object} [options] - { cwd, configFile, config (overrides) }
+ */
+async function resolveCompatible(spec, options = {}) {
+  return runResolveCompatible(spec, resolveOptions(options));
+}
+
+/**
+ * Compare the engines.node range of every installed package, and of the latest version of each
+ * direct dependency, with package.json engines.node, .nvmrc / .node-version and the running Node.
+ * @param {object} [options] - { cwd, configFile, config (overrides), nodeVersion (instead of process.version) }
+ */
+async function checkEngines(options = {}) {
+  return runCheckEngines(resolveOptions(options));
+}
+
+/**
+ * List the dependencies that have a newer version, grouped into patch, minor and major upgrades.
+ * @param {object} [options] - { cwd, configFile, config (overrides) }
+ */
+async function listUpgrades(options = {}) {
+  return runListUpgrades(resolveOptions(options));
+}
+
+/**
+ * Create a function that reports the peer constraints a selection of upgrades would break.
+ * Registry metadata is shared between calls, so it can be called on every change of a selection.
+ * @param {object} [options] - { cwd, configFile, config (overrides) }
+ * @returns {function(object[]): Promise<object>} - selection of listUpgrades() entries => { violations, summary }
+ */
+function createImpactChecker(options = {}) {
+  return runCreateImpactChecker(resolveOptions(options));
+}
+
+/**
+ * Install a selection of listUpgrades() entries with the project's package manager and
+ * re-run the peer analysis. The package manager's output goes to the terminal.
+ * @param {object[]} selection - entries of listUpgrades().upgrades
+ * @param {object} [options] - { cwd, configFile, config (overrides), onCommand }
+ */
+async function installUpgrades(selection, options = {}) {
+  return runInstallUpgrades(selection, resolveOptions(options));
+}
+
+/**
+ * Work out the package.json edits that resolve the current peer issues, with a diff per file.
+ * Nothing is written; pass the edits to applyFixes().
+ * @param {object} [options] - { cwd, configFile, config (overrides) }
+ */
+async function findFixes(options = {}) {
+  return runFindFixes(resolveOptions(options));
+}
+
+/**
+ * Write edits from findFixes() to package.json, keeping each file's formatting.
+ * @param {object[]} edits - findFixes().edits
+ * @param {object} [options] - { cwd, configFile, config (overrides) }
+ * @returns {Promise<string[]>} - the files that changed
+ */
+async function applyFixes(edits, options = {}) {
+  return runApplyFixes(edits, resolveOptions(options));
+}
+
+/**
+ * Build the overrides block (npm overrides, yarn resolutions, pnpm overrides or
+ * peerDependencyRules) that works around current peer conflicts upgrades cannot fix.
+ * @param {string|string[]} [packages] - only conflicts involving these packages
+ * @param {object} [options] - { cwd, configFile, config (overrides) }
+ */
+async function findOverrides(packages = [], options = {}) {
+  return runFindOverrides(packages, resolveOptions(options));
+}
+
+/**
+ * Write entries from findOverrides() into package.json, each with a "//" note naming its conflict.
+ * @param {object[]} entries - findOverrides().entries
+ * @param {object} [options] - { cwd, configFile, config (overrides) }
+ * @returns {Promise<boolean>} - whether package.json changed
+ */
+async function writeOverrides(entries, options = {}) {
+  return runWriteOverrides(entries, resolveOptions(options));
+}
+
+/**
+ * Delete the cached registry metadata in `cacheDirectory`.
+ * @param {object} [options] - { cwd, configFile, config (overrides) }
+ */
+async function clearCache(options = {}) {
+  const { cwd, config } = resolveOptions(options);
+  return runClearCache(config, cwd);
+}
+
+/**
+ * Count the cached registry metadata entries, their size and how many are still fresh.
+ * @param {object} [options] - { cwd, configFile, config (overrides) }
+ */
+async function getCacheStats(options = {}) {
+  const { cwd, config } = resolveOptions(options);
+  return runCacheStats(config, cwd);
+}
+
+module.exports = {
+  scan,
+  analyzePeers,
+  checkUpgrade,
+  planUpgrade,
+  whyPeer,
+  buildMatrix,
+  resolveCompatible,
+  checkEngines,
+  listUpgrades,
+  createImpactChecker,
+  installUpgrades,
+  findFixes,
+  applyFixes,
+  findOverrides,
+  writeOverrides,
+  clearCache,
+  getCacheStats,
+  loadConfig
+};
@@ -0,0 +1,107 @@
+/**
+ * package-lock.json reader
+ * Rebuilds the installed tree from lockfile v1, v2 and v3 without running npm
+ */
+
+const path = require('path');
+const { readJson } = require('../project');
+
+// Function to get the folder name a location installs to ("node_modules/@a/b" -> "@a/b")
+function nameFromLocation(location) {
+  const index = location.lastIndexOf('node_modules/');
+  return index === -1 ? null : location.slice(index + 'node_modules/'.length);
+}
+
+// Function to find the lockfile npm would use (shrinkwrap wins, then the hidden lockfile)
+function findNpmLockfile(cwd) {
+  for (const file of ['npm-shrinkwrap.json', 'package-lock.json', path.join('node_modules', '.package-lock.json')]) {
+    const lockfile = readJson(path.join(cwd, file));
+    if (lockfile) return { file, lockfile };
+  }
+  return null;
+}
+
+// Function to convert a v1 nested "dependencies" tree into v2-style location entries
+function flattenV1(dependencies, parent, packages, cwd) {
+  for (const [name, entry] of Object.entries(dependencies || {})) {
+    const location = `${parent ? `${parent}/` : ''}node_modules/${name}`;
+    // v1 does not record peers, so read them from the installed manifest when present
+    const manifest = readJson(path.join(cwd, location, 'package.json')) || {};
+    packages[location] = {
+      version: entry.version,
+      dev: entry.dev,
+      optional: entry.optional,
+      dependencies: entry.requires,
+      peerDependencies: manifest.peerDependencies,
+      peerDependenciesMeta: manifest.peerDependenciesMeta,
+      engines: manifest.engines
+    };
+    flattenV1(entry.dependencies, location, packages, cwd);
+  }
+  return packages;
+}
+
+// Function to build the dependency graph described by a package-lock.json
+function parseNpmLockfile(lockfile, options = {}) {
+  const cwd = options.cwd || process.cwd();
+  const rootManifest = options.packageJson || readJson(path.join(cwd, 'package.json')) || {};
+
+  const packages = lockfile.packages
+    ? { ...lockfile.packages }
+    : flattenV1(lockfile.dependencies, '', {}, cwd);
+  packages[''] = { ...rootManifest, ...packages[''] };
+
+  const nodes = new Map();
+  for (const [location, entry] of Object.entries(packages)) {
+    const isRoot = location === '';
+    nodes.set(location, {
+      id: location,
+      location,
+      name: isRoot ? (entry.name || rootManifest.name || 'root') : (entry.name || nameFromLocation(location) || location),
+      version: entry.version || null,
+      link: entry.link ? entry.resolved : null,
+      dev: Boolean(entry.dev),
+      optional: Boolean(entry.optional),
+      dependencies: {
+        ...entry.dependencies,
+        ...entry.optionalDependencies,
+        // The root and workspace folders install their devDependencies too
+        ...(isRoot || !location.includes('node_modules/') ? entry.devDependencies : {})
+      },
+      peerDependencies: entry.peerDependencies || {},
+      peerDependenciesMeta: entry.peerDependenciesMeta || {},
+      engines: entry.engines || null
+    });
+  }
+
+  // Function to follow workspace links to the folder they point at
+  const follow = node => (node && node.link && nodes.get(node.link)) || node;
+
+  // Node module resolution: look in <dir>/node_modules for every ancestor of the requiring package
+  const resolve = (from, name) => {
+    let dir = from.location;
+    for (;;) {
+      if (!dir.endsWith('node_modules')) {
+        const candidate = nodes.get(dir ? `${dir}/node_modules/${name}` : `node_modules/${name}`);
+        if (candidate) return follow(candidate);
+      }
+      if (!dir) return null;
+      const slash = dir.lastIndexOf('/');
+      dir = slash === -1 ? '' : dir.slice(0, slash);
+    }
+  };
+
+  return {
+    type: 'npm',
+    lockfileVersion: lockfile.lockfileVersion || 1,
+    root: nodes.get(''),
+    nodes,
+    resolve
+  };
+}
+
+module.exports = {
+  findNpmLockfile,
+  parseNpmLockfile,
+  nameFromLocation
+};
@@ -0,0 +1,168 @@
+/**
+ * pnpm-lock.yaml reader
+ * Rebuilds the installed graph from lockfile v6 and v9, including peer-suffixed snapshots
+ */
+
+const fs = require('fs');
+const path = require('path');
+const YAML = require('yaml');
+const { readJson } = require('../project');
+const { markDevOnly } = require('./reachability');
+
+const ROOT_IMPORTER = '.';
+
+// Function to split "name@version(peer@x)" (optionally "/"-prefixed) into its parts
+function parseSnapshotKey(key) {
+  const bare = key.replace(/^\//, '');
+  const suffixStart = bare.indexOf('(');
+  const base = suffixStart === -1 ? bare : bare.slice(0, suffixStart);
+  const at = base.lastIndexOf('@');
+  return {
+    name: base.slice(0, at),
+    version: base.slice(at + 1),
+    peerSuffix: suffixStart === -1 ? '' : bare.slice(suffixStart)
+  };
+}
+
+// Function to list the top-level "(peer@version)" groups of a snapshot suffix
+function parsePeerSuffix(suffix) {
+  const peers = {};
+  let depth = 0;
+  let current = '';
+  for (const char of suffix) {
+    if (char === '(') {
+      if (depth > 0) current += char;
+      depth++;
+    } else if (char === ')') {
+      depth--;
+      if (depth > 0) {
+        current += char;
+      } else {
+        const at = current.lastIndexOf('@', current.indexOf('(') === -1 ? current.length : current.indexOf('('));
+        peers[current.slice(0, at)] = current.slice(at + 1);
+        current = '';
+      }
+    } else if (depth > 0) {
+      current += char;
+    }
+  }
+  return peers;
+}
+
+// Function to find and parse a project's pnpm-lock.yaml
+function findPnpmLockfile(cwd) {
+  const file = 'pnpm-lock.yaml';
+  try {
+    const lockfile = YAML.parse(fs.readFileSync(path.join(cwd, file), 'utf8'));
+    return lockfile && typeof lockfile === 'object' ? { file, lockfile } : null;
+  } catch {
+    return null;
+  }
+}
+
+// Function to build the dependency graph described by a pnpm-lock.yaml
+function parsePnpmLockfile(lockfile, options = {}) {
+  const cwd = options.cwd || process.cwd();
+  const lockfileVersion = String(lockfile.lockfileVersion || '');
+  const isV6 = lockfileVersion.startsWith('6');
+  const nodes = new Map();
+
+  // Function to turn an importer/snapshot dependency reference into a node id
+  const refToId = (name, ref, importerPath) => {
+    const value = String(ref);
+    if (value.startsWith('link:')) {
+      return `importer:${path.posix.normalize(path.posix.join(importerPath || ROOT_IMPORTER, value.slice(5)))}`;
+    }
+    if (value.startsWith('/')) return value;
+    const base = value.replace(/\(.*$/, '');
+    // Aliases reference the real package ("string-width@4.2.3") instead of a bare version
+    const key = base.indexOf('@', 1) !== -1 ? value : `${name}@${value}`;
+    return isV6 ? `/${key}` : key;
+  };
+
+  // v6 single-project lockfiles keep the root importer at the top level
+  const importers = lockfile.importers || { [ROOT_IMPORTER]: lockfile };
+  for (const [importerPath, importer] of Object.entries(importers)) {
+    const manifest = (importerPath === ROOT_IMPORTER && options.packageJson) ||
+      readJson(path.join(cwd, importerPath, 'package.json')) || {};
+    const dependencies = {};
+    const devDependencies = {};
+    for (const field of ['dependencies', 'optionalDependencies', 'devDependencies']) {
+      for (const [name, spec] of Object.entries(importer[field] || {})) {
+        const ref = spec && typeof spec === 'object' ? spec.version : spec;
+        dependencies[name] = refToId(name, ref, importerPath);
+        if (field === 'devDependencies') devDependencies[name] = true;
+      }
+    }
+    const id = `importer:${path.posix.normalize(importerPath)}`;
+    nodes.set(id, {
+      id,
+      location: importerPath,
+      name: manifest.name || (importerPath === ROOT_IMPORTER ? 'root' : importerPath),
+      version: manifest.version || null,
+      importer: true,
+      dev: false,
+      optional: false,
+      dependencies,
+      devDependencies,
+      peerDependencies: manifest.peerDependencies || {},
+      peerDependenciesMeta: manifest.peerDependenciesMeta || {}
+    });
+  }
+
+  // v9 splits metadata (packages) from resolved instances (snapshots); v6 keeps both in packages
+  const snapshots = isV6 ? (lockfile.packages || {}) : (lockfile.snapshots || lockfile.packages || {});
+  const metadata = lockfile.packages || {};
+  for (const [key, snapshot] of Object.entries(snapshots)) {
+    const { name, version, peerSuffix } = parseSnapshotKey(key);
+    const info = (isV6 ? snapshot : metadata[`${name}@${version}`]) || {};
+    const dependencies = {};
+    for (const field of ['dependencies', 'optionalDependencies']) {
+      for (const [depName, ref] of Object.entries((snapshot || {})[field] || {})) {
+        dependencies[depName] = refToId(depName, ref);
+      }
+    }
+    nodes.set(key, {
+      id: key,
+      location: key,
+      name,
+      version,
+      dev: Boolean(snapshot && snapshot.dev),
+      optional: Boolean(snapshot && snapshot.optional),
+      dependencies,
+      resolvedPeers: parsePeerSuffix(peerSuffix),
+      peerDependencies: info.peerDependencies || {},
+      peerDependenciesMeta: info.peerDependenciesMeta || {},
+      engines: info.engines || null
+    });
+  }
+
+  // pnpm records resolved peers in each snapshot's dependencies (and in its key suffix)
+  const resolve = (from, name) => {
+    if (from.dependencies[name]) return nodes.get(from.dependencies[name]) || null;
+    if (from.resolvedPeers && from.resolvedPeers[name]) {
+      return nodes.get(refToId(name, from.resolvedPeers[name])) ||
+        { id: null, location: null, name, version: from.resolvedPeers[name].replace(/\(.*$/, '') };
+    }
+    return null;
+  };
+
+  const root = nodes.get(`importer:${ROOT_IMPORTER}`);
+  // v9 has no "dev" field, so derive it from the importers' devDependencies
+  markDevOnly(nodes, resolve);
+
+  return {
+    type: 'pnpm',
+    lockfileVersion,
+    root,
+    nodes,
+    resolve
+  };
+}
+
+module.exports = {
+  findPnpmLockfile,
+  parsePnpmLockfile,
+  parseSnapshotKey,
+  parsePeerSuffix
+};
@@ -0,0 +1,31 @@
+/**
+ * Lockfile graph helpers
+ * Shared by the readers whose lockfiles do not record which packages are dev-only
+ */
+
+// Function to flag packages only reachable through the importers' devDependencies
+function markDevOnly(nodes, resolve) {
+  const production = new Set();
+  const queue = [...nodes.values()].filter(node => node.importer);
+  queue.forEach(node => production.add(node.id));
+
+  while (queue.length > 0) {
+    const node = queue.shift();
+    for (const name of Object.keys(node.dependencies)) {
+      if (node.devDependencies && node.devDependencies[name]) continue;
+      const child = resolve(node, name);
+      if (child && child.id && !production.has(child.id)) {
+        production.add(child.id);
+        queue.push(child);
+      }
+    }
+  }
+
+  for (const node of nodes.values()) {
+    if (!node.importer && !production.has(node.id)) node.dev = true;
+  }
+}
+
+module.exports = {
+  markDevOnly
+};
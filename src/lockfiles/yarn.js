@@ -0,0 +1,324 @@
+/**
+ * yarn.lock reader
+ * Rebuilds the installed graph from classic (v1) and Berry lockfiles, applying .yarnrc.yml packageExtensions
+ */
+
+const fs = require('fs');
+const path = require('path');
+const semver = require('semver');
+const YAML = require('yaml');
+const { readJson, getInstalledManifest } = require('../project');
+const { markDevOnly } = require('./reachability');
+
+const SEMVER_OPTIONS = { includePrerelease: true };
+const ROOT_DEPENDENCY_FIELDS = ['dependencies', 'optionalDependencies', 'devDependencies'];
+
+// Function to split a descriptor ("@scope/name@npm:^1.0.0") into name and range
+function splitDescriptor(descriptor) {
+  const at = descriptor.indexOf('@', 1);
+  return at === -1
+    ? { name: descriptor, range: '' }
+    : { name: descriptor.slice(0, at), range: descriptor.slice(at + 1) };
+}
+
+// Function to strip the quotes yarn classic puts around keys and values
+function unquote(value) {
+  return value.replace(/^"(.*)"$/, '$1');
+}
+
+// Function to parse the yarn classic lockfile format into descriptor -> entry
+function parseClassicLockfile(text) {
+  const entries = {};
+  let entry = null;
+  let section = null;
+
+  for (const rawLine of text.split(/\r?\n/)) {
+    const line = rawLine.trim();
+    if (!line || line.startsWith('#')) continue;
+    const indent = rawLine.length - rawLine.trimStart().length;
+
+    if (indent === 0) {
+      // One entry can serve several descriptors: "a@^1.0.0", "a@^1.2.0":
+      entry = {};
+      section = null;
+      line.replace(/:$/, '').split(/,\s*/).forEach(descriptor => {
+        entries[unquote(descriptor)] = entry;
+      });
+    } else if (!entry) {
+      continue;
+    } else if (line.endsWith(':')) {
+      section = unquote(line.slice(0, -1));
+      entry[section] = {};
+    } else {
+      const match = line.match(/^("[^"]*"|\S+)\s+(.*)$/);
+      if (!match) continue;
+      const key = unquote(match[1]);
+      const value = unquote(match[2]);
+      if (indent > 2 && section) {
+        entry[section][key] = value;
+      } else {
+        entry[key] = value;
+        section = null;
+      }
+    }
+  }
+
+  return entries;
+}
+
+// Function to find and parse a project's yarn.lock in either format
+function findYarnLockfile(cwd) {
+  const file = 'yarn.lock';
+  let text;
+  try {
+    text = fs.readFileSync(path.join(cwd, file), 'utf8');
+  } catch {
+    return null;
+  }
+
+  try {
+    // Berry lockfiles are YAML and start with a __metadata block
+    const parsed = /^__metadata:/m.test(text) ? YAML.parse(text) : null;
+    const lockfile = parsed || { format: 'classic', entries: parseClassicLockfile(text) };
+    return { file, lockfile };
+  } catch {
+    return null;
+  }
+}
+
+// Function to read packageExtensions from .yarnrc.yml
+function readPackageExtensions(cwd) {
+  try {
+    const yarnrc = YAML.parse(fs.readFileSync(path.join(cwd, '.yarnrc.yml'), 'utf8'));
+    return (yarnrc && yarnrc.packageExtensions) || {};
+  } catch {
+    return {};
+  }
+}
+
+// Function to merge the packageExtensions matching a package into its peer metadata
+function applyPackageExtensions(name, version, entry, packageExtensions) {
+  const peerDependencies = { ...entry.peerDependencies };
+  const peerDependenciesMeta = { ...entry.peerDependenciesMeta };
+
+  for (const [selector, extension] of Object.entries(packageExtensions || {})) {
+    const target = splitDescriptor(selector);
+    if (target.name !== name) continue;
+    const range = target.range.replace(/^npm:/, '') || '*';
+    if (!semver.satisfies(version, range, SEMVER_OPTIONS)) continue;
+    Object.assign(peerDependencies, extension.peerDependencies);
+    Object.assign(peerDependenciesMeta, extension.peerDependenciesMeta);
+  }
+
+  return { peerDependencies, peerDependenciesMeta };
+}
+
+// Function to build the graph of a Berry lockfile, one node per peer-resolved (virtual) instance
+function parseBerryLockfile(lockfile, options) {
+  const { cwd, packageJson, packageExtensions } = options;
+
+  // Every key lists the descriptors that resolved to the same package
+  const resolutions = new Map();
+  const packages = new Map();
+  for (const [key, entry] of Object.entries(lockfile)) {
+    if (key === '__metadata' || !entry || !entry.resolution) continue;
+    for (const descriptor of key.split(/,\s*/)) {
+      resolutions.set(descriptor, entry.resolution);
+    }
+    packages.set(entry.resolution, entry);
+  }
+
+  // Dependencies without a protocol use the default npm: one
+  const resolveDescriptor = (name, range) => {
+    const value = String(range);
+    return resolutions.get(`${name}@${value}`) || resolutions.get(`${name}@npm:${value}`) || null;
+  };
+
+  const nodes = new Map();
+  const instances = new Map();
+
+  // Function to describe a resolution for peer lookups, preferring an instantiated node
+  const describe = (resolution) => {
+    if (instances.has(resolution)) return nodes.get(instances.get(resolution));
+    const entry = packages.get(resolution);
+    return entry ? { id: null, location: resolution, name: splitDescriptor(resolution).name, version: entry.version } : null;
+  };
+
+  // Function to create the instance of a package as seen from its parent
+  const instantiate = (resolution, parent) => {
+    const entry = packages.get(resolution);
+    const { name } = splitDescriptor(resolution);
+    const isWorkspace = /@workspace:/.test(resolution);
+    const manifest = isWorkspace
+      ? (resolution.endsWith('@workspace:.') && packageJson) ||
+        readJson(path.join(cwd, resolution.slice(resolution.indexOf('@workspace:') + 11), 'package.json')) || {}
+      : {};
+    const peers = applyPackageExtensions(name, entry.version, isWorkspace ? manifest : entry, packageExtensions);
+
+    // Peers are provided by the parent: its own dependency, or a peer it inherited
+    const peerTargets = {};
+    if (parent && !isWorkspace) {
+      for (const peerName of Object.keys(peers.peerDependencies)) {
+        const provided = parent.resolutions[peerName] || parent.peerTargets[peerName];
+        if (provided) peerTargets[peerName] = provided;
+      }
+    }
+
+    const peerSuffix = Object.entries(peerTargets)
+      .sort(([a], [b]) => a.localeCompare(b))
+      .map(([, target]) => `(${target})`)
+      .join('');
+    const id = `${resolution}${peerSuffix}`;
+    if (nodes.has(id)) return nodes.get(id);
+
+    const node = {
+      id,
+      location: resolution,
+      name: manifest.name || name,
+      version: isWorkspace ? (manifest.version || null) : entry.version,
+      importer: isWorkspace,
+      dev: false,
+      optional: false,
+      dependencies: {},
+      devDependencies: isWorkspace ? { ...manifest.devDependencies } : {},
+      resolutions: {},
+      peerTargets,
+      peerDependencies: peers.peerDependencies,
+      peerDependenciesMeta: peers.peerDependenciesMeta
+    };
+    nodes.set(id, node);
+    if (!instances.has(resolution)) instances.set(resolution, id);
+
+    for (const [depName, range] of Object.entries(entry.dependencies || {})) {
+      const target = resolveDescriptor(depName, range);
+      if (target && packages.has(target)) node.resolutions[depName] = target;
+    }
+    for (const [depName, target] of Object.entries(node.resolutions)) {
+      node.dependencies[depName] = instantiate(target, node).id;
+    }
+
+    return node;
+  };
+
+  const workspaces = [...packages.keys()].filter(resolution => /@workspace:/.test(resolution));
+  workspaces.forEach(resolution => instantiate(resolution, null));
+
+  const resolve = (from, name) => {
+    if (from.dependencies[name]) return nodes.get(from.dependencies[name]) || null;
+    if (from.peerTargets && from.peerTargets[name]) return describe(from.peerTargets[name]);
+    return null;
+  };
+
+  const rootResolution = workspaces.find(resolution => resolution.endsWith('@workspace:.')) || workspaces[0];
+  markDevOnly(nodes, resolve);
+
+  return {
+    type: 'yarn',
+    lockfileVersion: String((lockfile.__metadata && lockfile.__metadata.version) || ''),
+    root: rootResolution ? nodes.get(instances.get(rootResolution)) : null,
+    nodes,
+    resolve
+  };
+}
+
+// Function to build the graph of a classic lockfile; peers come from the installed manifests
+function parseClassicEntries(entries, options) {
+  const { cwd, packageJson } = options;
+  const nodes = new Map();
+  const versionsByName = new Map();
+
+  const idFor = (descriptor) => {
+    const entry = entries[descriptor];
+    return entry ? `${splitDescriptor(descriptor).name}@${entry.version}` : null;
+  };
+
+  for (const [descriptor, entry] of Object.entries(entries)) {
+    const { name } = splitDescriptor(descriptor);
+    const id = `${name}@${entry.version}`;
+    if (nodes.has(id)) continue;
+
+    // The lockfile does not record peers, so read them from the hoisted copy when it is this version
+    const installed = getInstalledManifest(name, cwd);
+    const manifest = installed && installed.version === entry.version ? installed : {};
+    const dependencies = {};
+    for (const field of ['dependencies', 'optionalDependencies']) {
+      for (const [depName, range] of Object.entries(entry[field] || {})) {
+        const depId = idFor(`${depName}@${range}`);
+        if (depId) dependencies[depName] = depId;
+      }
+    }
+
+    nodes.set(id, {
+      id,
+      location: id,
+      name,
+      version: entry.version,
+      dev: false,
+      optional: false,
+      dependencies,
+      peerDependencies: manifest.peerDependencies || {},
+      peerDependenciesMeta: manifest.peerDependenciesMeta || {},
+      engines: manifest.engines || null
+    });
+    versionsByName.set(name, [...(versionsByName.get(name) || []), id]);
+  }
+
+  const root = {
+    id: '',
+    location: '',
+    name: packageJson.name || 'root',
+    version: packageJson.version || null,
+    importer: true,
+    dev: false,
+    optional: false,
+    dependencies: {},
+    devDependencies: { ...packageJson.devDependencies },
+    peerDependencies: {},
+    peerDependenciesMeta: {}
+  };
+  for (const field of ROOT_DEPENDENCY_FIELDS) {
+    for (const [name, range] of Object.entries(packageJson[field] || {})) {
+      const id = idFor(`${name}@${range}`);
+      if (id) root.dependencies[name] = id;
+    }
+  }
+  nodes.set(root.id, root);
+
+  // Classic installs are hoisted: peers come from the root's copy, or the only locked version
+  const resolve = (from, name) => {
+    const id = from.dependencies[name] || root.dependencies[name] ||
+      ((versionsByName.get(name) || []).length === 1 ? versionsByName.get(name)[0] : null);
+    return id ? nodes.get(id) : null;
+  };
+
+  markDevOnly(nodes, resolve);
+
+  return {
+    type: 'yarn',
+    lockfileVersion: '1',
+    root,
+    nodes,
+    resolve
+  };
+}
+
+// Function to build the dependency graph described by a yarn.lock
+function parseYarnLockfile(lockfile, options = {}) {
+  const cwd = options.cwd || process.cwd();
+  const settings = {
+    cwd,
+    packageJson: options.packageJson || readJson(path.join(cwd, 'package.json')) || {},
+    packageExtensions: options.packageExtensions || readPackageExtensions(cwd)
+  };
+
+  return lockfile.format === 'classic'
+    ? parseClassicEntries(lockfile.entries, settings)
+    : parseBerryLockfile(lockfile, settings);
+}
+
+module.exports = {
+  findYarnLockfile,
+  parseYarnLockfile,
+  parseClassicLockfile,
+  readPackageExtensions
+};
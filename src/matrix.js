@@ -0,0 +1,190 @@
+/**
+ * Compatibility matrix
+ * For each published major/minor of a package, which installed dependents accept it as a peer
+ * and whether its own peers are met
+ */
+
+const semver = require('semver');
+const { DEFAULTS } = require('./config');
+const { loadProject } = require('./check');
+const { parseSpec } = require('./spec');
+const { summarizeFindings } = require('./severity');
+const { detectPackageManager } = require('./package-manager');
+const { fetchPackument } = require('./registry');
+const { loadInstalledGraph, readFlatGraph, findPeerDependents } = require('./peer-graph');
+
+const SEMVER_OPTIONS = { includePrerelease: true };
+
+// Majors shown when neither a range nor an installed version says where to start
+const DEFAULT_MAJORS = 4;
+
+// Function to pick the candidate versions: the newest release of each minor (or major) in the range
+function pickColumns(versions, range, by) {
+  const newest = new Map();
+  for (const version of versions) {
+    if (!semver.satisfies(version, range)) continue;
+    const key = by === 'major' ? `${semver.major(version)}` : `${semver.major(version)}.${semver.minor(version)}`;
+    if (!newest.has(key) || semver.gt(version, newest.get(key))) newest.set(key, version);
+  }
+  return [...newest.values()].sort(semver.compare);
+}
+
+// Function to work out the range of versions to compare when the spec does not give one
+function defaultRange(versions, installed) {
+  if (installed.length > 0) {
+    return `>=${Math.min(...installed.map(version => semver.major(version)))}.0.0`;
+  }
+  const majors = [...new Set(versions.map(version => semver.major(version)))].sort((a, b) => a - b);
+  return `>=${majors[Math.max(0, majors.length - DEFAULT_MAJORS)] || 0}.0.0`;
+}
+
+// Function to check whether a dependent's peer range accepts a version ("unknown" when the range cannot be read)
+function acceptsVersion(range, version) {
+  if (!semver.validRange(range, SEMVER_OPTIONS)) return 'unknown';
+  return semver.satisfies(version, range, SEMVER_OPTIONS) ? 'accepted' : 'rejected';
+}
+
+// Function to evaluate a candidate's own peer against the version the project resolves
+function evaluateOwnPeer(range, optional, installed) {
+  if (!installed) return optional ? 'accepted' : 'missing';
+  return acceptsVersion(range, installed);
+}
+
+/**
+ * Load what comparing published versions of a package needs: the project, its installed
+ * graph, the package's release versions (newest last, no prereleases or deprecated ones), the
+ * versions installed today and the installed packages that declare it as a peer.
+ */
+async function loadCandidates(spec, options = {}) {
+  const config = options.config || DEFAULTS;
+  const project = loadProject(options.cwd || process.cwd(), config);
+  const packageManager = detectPackageManager(project.cwd, config).name;
+  const parsed = parseSpec(spec);
+  if (parsed.error) throw new Error(`${spec}: ${parsed.error}`);
+
+  const graph = loadInstalledGraph(project.cwd, packageManager, project.packageJson) || readFlatGraph(project);
+  const name = parsed.name;
+  const packument = await fetchPackument(parsed.registryName, project);
+  if (!packument) throw new Error(`Could not fetch ${parsed.registryName} from the registry`);
+
+  const published = Object.entries(packument.versions || {})
+    .filter(([version, manifest]) => semver.valid(version) && !semver.prerelease(version) && !manifest.deprecated)
+    .map(([version]) => version)
+    .sort(semver.compare);
+  const installed = [...new Set([...graph.nodes.values()]
+    .filter(node => node !== graph.root && node.name === name && semver.valid(node.version))
+    .map(node => node.version))];
+
+  // Copies of a dependent installed in several places count once
+  const dependents = new Map();
+  for (const dependent of findPeerDependents(graph, project, name)) {
+    const key = `${dependent.package}@${dependent.version}`;
+    if (!dependents.has(key)) dependents.set(key, dependent);
+  }
+
+  return {
+    config,
+    project,
+    packageManager,
+    parsed,
+    name,
+    graph,
+    packument,
+    published,
+    installed,
+    dependents: [...dependents.values()]
+  };
+}
+
+// Function to get the peers a published version requires, with the version the project resolves for each
+function getOwnPeers(context, version) {
+  // The packument already holds every version's manifest, so no request per version is needed
+  const { graph } = context;
+  const manifest = context.packument.versions[version] || {};
+  const meta = manifest.peerDependenciesMeta || {};
+  return Object.entries(manifest.peerDependencies || {}).map(([peerName, range]) => {
+    const target = graph.resolve(graph.root, peerName);
+    const installed = target ? target.version : null;
+    const optional = Boolean(meta[peerName] && meta[peerName].optional);
+    return { name: peerName, range, optional, installed, status: evaluateOwnPeer(range, optional, installed) };
+  });
+}
+
+/**
+ * Build a compatibility matrix for a package: one column per published minor (or major with
+ * `by: 'major'`), one row per installed package declaring it as a peer, and one row per peer
+ * the candidate versions require themselves. `spec` may carry a range to limit the columns
+ * ("react@>=16"); otherwise they start at the installed major.
+ */
+async function buildMatrix(spec, options = {}) {
+  const by = options.by || 'minor';
+  if (!['major', 'minor'].includes(by)) throw new Error(`Cannot group versions by "${by}"; use major or minor`);
+  const context = await loadCandidates(spec, options);
+  const { packageManager, parsed, name, graph, published, installed } = context;
+  const range = parsed.type === 'tag' ? defaultRange(published, installed) : parsed.range;
+  const versions = pickColumns(published, range, by);
+
+  const dependents = context.dependents.map(dependent => ({
+    kind: 'dependent',
+    label: `${dependent.package}@${dependent.version}`,
+    package: dependent.package,
+    version: dependent.version,
+    range: dependent.range,
+    optional: dependent.optional,
+    cells: versions.map(version => ({ version, status: acceptsVersion(dependent.range, version) }))
+  }));
+
+  // The candidates' own peers, met or not by what the project resolves
+  const columns = versions.map(version => getOwnPeers(context, version));
+  const peerNames = [...new Set(columns.flatMap(peers => peers.map(peer => peer.name)))].sort();
+  const requires = peerNames.map(peerName => {
+    const target = graph.resolve(graph.root, peerName);
+    const current = target ? target.version : null;
+    const declared = columns.flat().filter(peer => peer.name === peerName);
+    const optional = declared.every(peer => peer.optional);
+    return {
+      kind: 'peer',
+      label: `needs ${optional ? 'optional ' : ''}${peerName}${current ? ` (${current})` : ''}`,
+      package: peerName,
+      version: current,
+      optional,
+      cells: columns.map((peers, index) => {
+        const peer = peers.find(candidate => candidate.name === peerName);
+        return { version: versions[index], range: peer ? peer.range : null, status: peer ? peer.status : 'none' };
+      })
+    };
+  });
+
+  const rows = [...dependents, ...requires];
+  const everyone = versions.map((version, index) => {
+    const blockers = rows.filter(row => ['rejected', 'missing'].includes(row.cells[index].status));
+    return { version, satisfied: blockers.length === 0, blockedBy: blockers.map(row => row.label) };
+  });
+  const compatible = everyone.filter(column => column.satisfied).map(column => column.version);
+
+  const findings = [];
+  if (versions.length > 0 && compatible.length === 0) {
+    findings.push({ severity: 'warning', message: `No ${name} version in ${range} satisfies every dependent` });
+  }
+
+  return {
+    name,
+    packageManager,
+    range,
+    by,
+    installed,
+    versions,
+    dependents,
+    requires,
+    everyone,
+    newest: compatible.length > 0 ? compatible[compatible.length - 1] : null,
+    summary: summarizeFindings(findings)
+  };
+}
+
+module.exports = {
+  loadCandidates,
+  getOwnPeers,
+  acceptsVersion,
+  buildMatrix
+};
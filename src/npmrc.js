@@ -0,0 +1,119 @@
+/**
+ * .npmrc reader
+ * Registry URLs, scoped registries and auth tokens, the way npm resolves them
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// Function to replace ${VAR} references (unset variables stay as written, like npm)
+function expandEnv(value, env) {
+  return value.replace(/\$\{([^}]+)\}/g, (match, name) => (env[name] !== undefined ? env[name] : match));
+}
+
+// Function to parse the ini syntax of an .npmrc file
+function parseNpmrc(text, env = process.env) {
+  const settings = {};
+  for (const rawLine of text.split(/\r?\n/)) {
+    const line = rawLine.trim();
+    if (!line || line.startsWith('#') || line.startsWith(';')) continue;
+    const separator = line.indexOf('=');
+    if (separator === -1) continue;
+    const key = expandEnv(line.slice(0, separator).trim(), env);
+    const value = line.slice(separator + 1).trim().replace(/^(["'])(.*)\1$/, '$2');
+    settings[key] = expandEnv(value, env);
+  }
+  return settings;
+}
+
+// Function to read one .npmrc file, or nothing when it does not exist
+function readNpmrcFile(file, env) {
+  try {
+    return parseNpmrc(fs.readFileSync(file, 'utf8'), env);
+  } catch {
+    return {};
+  }
+}
+
+// Function to normalize a registry URL to end in a slash, or null when it is not an http(s) URL
+function normalizeRegistry(registry) {
+  let url;
+  try {
+    url = new URL(registry);
+  } catch {
+    return null;
+  }
+  if (!['http:', 'https:'].includes(url.protocol)) return null;
+  return url.href.endsWith('/') ? url.href : `${url.href}/`;
+}
+
+// Function to normalize the registry settings of an .npmrc, failing loudly on ones npm could not use
+function normalizeRegistries(settings) {
+  for (const [key, value] of Object.entries(settings)) {
+    if (key !== 'registry' && !key.endsWith(':registry')) continue;
+    const registry = normalizeRegistry(value);
+    if (!registry) throw new Error(`Invalid ${key} "${value}" in npm config (expected an http or https URL)`);
+    settings[key] = registry;
+  }
+  return settings;
+}
+
+/**
+ * Read the npm settings that apply to a project.
+ * Precedence, highest first: npm_config_* environment variables, the project
+ * .npmrc, the user .npmrc (NPM_CONFIG_USERCONFIG or ~/.npmrc).
+ */
+function readNpmrc(cwd = process.cwd(), env = process.env) {
+  const userConfig = env.NPM_CONFIG_USERCONFIG || env.npm_config_userconfig || path.join(os.homedir(), '.npmrc');
+  const fromEnv = {};
+  for (const [name, value] of Object.entries(env)) {
+    const match = name.match(/^npm_config_(.+)$/i);
+    if (match && value !== '' && !/^userconfig$/i.test(match[1])) {
+      fromEnv[match[1].toLowerCase().replace(/_/g, '-')] = value;
+    }
+  }
+
+  return normalizeRegistries({
+    ...readNpmrcFile(userConfig, env),
+    ...readNpmrcFile(path.join(cwd, '.npmrc'), env),
+    ...fromEnv
+  });
+}
+
+// Function to pick the registry for a package: its scope's registry, the configured one, or npm's
+function getRegistryFor(packageName, npmrc, config, fallback) {
+  const scope = packageName.startsWith('@') ? packageName.slice(0, packageName.indexOf('/')) : null;
+  const registry = (scope && npmrc[`${scope}:registry`]) || config.registry || npmrc.registry || fallback;
+  const normalized = normalizeRegistry(registry);
+  if (!normalized) throw new Error(`Invalid registry "${registry}" (expected an http or https URL)`);
+  return normalized;
+}
+
+// Function to build the Authorization header npm would send for a URL, if any
+function getAuthHeader(url, npmrc) {
+  const { host, pathname } = new URL(url);
+  // Credentials are keyed by "//host/path/", most specific path first
+  const segments = pathname.split('/').slice(1, -1);
+  for (let length = segments.length; length >= 0; length--) {
+    const prefix = `//${host}/${segments.slice(0, length).map(segment => `${segment}/`).join('')}`;
+    const token = npmrc[`${prefix}:_authToken`];
+    if (token) return `Bearer ${token}`;
+    const auth = npmrc[`${prefix}:_auth`];
+    if (auth) return `Basic ${auth}`;
+    const username = npmrc[`${prefix}:username`];
+    const password = npmrc[`${prefix}:_password`];
+    if (username && password) {
+      return `Basic ${Buffer.from(`${username}:${Buffer.from(password, 'base64').toString()}`).toString('base64')}`;
+    }
+  }
+  return null;
+}
+
+module.exports = {
+  parseNpmrc,
+  readNpmrc,
+  normalizeRegistry,
+  getRegistryFor,
+  getAuthHeader
+};
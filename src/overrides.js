@@ -0,0 +1,254 @@
+/**
+ * Version overrides
+ * Builds npm overrides, yarn resolutions and pnpm overrides / peerDependencyRules for conflicts upgrades cannot fix
+ */
+
+const fs = require('fs');
+const path = require('path');
+const semver = require('semver');
+const { DEFAULTS } = require('./config');
+const { loadProject } = require('./check');
+const { parseSpec } = require('./spec');
+const { summarizeFindings } = require('./severity');
+const { detectPackageManager } = require('./package-manager');
+const { fetchPackument } = require('./registry');
+const { intersectRanges } = require('./ranges');
+const { getAnalysisTargets, loadAnalysisGraph, describeMissingTree, findCurrentIssues } = require('./peer-check');
+const { findFixes } = require('./fix');
+const { readPeerSettings, applyPeerSettings } = require('./peer-rules');
+const { createDiff } = require('./diff');
+const { updatePackageJsonText, writePackageJsonText } = require('./package-json');
+
+const SEMVER_OPTIONS = { includePrerelease: true };
+
+// Where each package manager reads forced versions from
+const FORCE_FIELDS = {
+  npm: ['overrides'],
+  bun: ['overrides'],
+  yarn: ['resolutions'],
+  pnpm: ['pnpm', 'overrides']
+};
+
+// package.json key that holds the note explaining each entry; npm, yarn and pnpm ignore it
+const NOTES_KEY = '//';
+
+// Function to check whether the root package declares a package directly
+function isDirectDependency(packageJson, name) {
+  return ['dependencies', 'devDependencies', 'optionalDependencies']
+    .some(field => packageJson[field] && packageJson[field][name] !== undefined);
+}
+
+// Function to find the newest published version that every installed package declaring a peer accepts
+async function findCommonVersion(graph, project, peerName) {
+  const ranges = [...graph.nodes.values()]
+    .map(node => node.peerDependencies && node.peerDependencies[peerName])
+    .filter(range => range && semver.validRange(range, SEMVER_OPTIONS));
+  const common = intersectRanges(ranges);
+  if (!common) return null;
+
+  const declared = project.packageJson.dependencies && project.packageJson.dependencies[peerName];
+  const registryName = (declared && parseSpec(`${peerName}@${declared}`).registryName) || peerName;
+  const packument = await fetchPackument(registryName, project);
+  const versions = Object.keys((packument && packument.versions) || {})
+    .filter(version => semver.valid(version) && !semver.prerelease(version));
+  return semver.maxSatisfying(versions, common, SEMVER_OPTIONS);
+}
+
+// Function to write the range pnpm's allowedVersions should accept for an installed version
+function toAllowedRange(version) {
+  return semver.major(version) > 0 ? String(semver.major(version)) : `^${version}`;
+}
+
+// Function to work out the entry that works around one peer issue, or why there is none
+async function findIssueOverride(context, issue) {
+  const { graph, project, packageManager } = context;
+  const { packageJson } = project;
+  const direct = isDirectDependency(packageJson, issue.peer);
+
+  if (issue.status === 'missing') {
+    if (packageManager === 'pnpm') {
+      return {
+        entry: {
+          path: ['pnpm', 'peerDependencyRules', 'ignoreMissing'],
+          value: issue.peer,
+          list: true,
+          note: `Stops pnpm from reporting ${issue.peer} as a missing peer`
+        }
+      };
+    }
+    return { unresolved: `${issue.message}; add ${issue.peer} with "pdc fix" instead of overriding it` };
+  }
+
+  if (issue.status !== 'violated') {
+    return { unresolved: `${issue.message}; the range cannot be compared, so nothing is forced` };
+  }
+
+  // Forcing one version everywhere works when every dependent accepts it and nothing declares it directly
+  const common = direct ? null : await findCommonVersion(graph, project, issue.peer);
+  if (common) {
+    return {
+      entry: {
+        path: [...(FORCE_FIELDS[packageManager] || FORCE_FIELDS.npm), issue.peer],
+        value: common,
+        note: `Forces ${issue.peer}@${common}, the newest version every dependent accepts`
+      }
+    };
+  }
+
+  // Otherwise the dependent is told to accept the installed version
+  if (packageManager === 'pnpm') {
+    return {
+      entry: {
+        path: ['pnpm', 'peerDependencyRules', 'allowedVersions', `${issue.package}>${issue.peer}`],
+        value: toAllowedRange(issue.installed),
+        note: `Lets ${issue.package} use ${issue.peer}@${issue.installed}`
+      }
+    };
+  }
+  if (packageManager === 'npm') {
+    return {
+      entry: {
+        path: ['overrides', issue.package, issue.peer],
+        value: direct ? `$${issue.peer}` : issue.installed,
+        note: `Makes ${issue.package} use ${direct ? `the project's ${issue.peer}` : `${issue.peer}@${issue.installed}`}`
+      }
+    };
+  }
+
+  const reason = direct
+    ? `${issue.peer} is a direct dependency, so bump it with "pdc fix" rather than forcing it`
+    : `no single version of ${issue.peer} satisfies every dependent, and ${packageManager} can only force one`;
+  return { unresolved: `${issue.message}; ${reason}` };
+}
+
+// Function to set a value at a path of nested objects, adding to a list when `list` is set
+function setAtPath(target, keys, value, list = false) {
+  let current = target;
+  for (const key of keys.slice(0, -1)) {
+    if (!current[key] || typeof current[key] !== 'object' || Array.isArray(current[key])) current[key] = {};
+    current = current[key];
+  }
+
+  const key = keys[keys.length - 1];
+  if (list) {
+    current[key] = Array.isArray(current[key]) ? current[key] : [];
+    if (!current[key].includes(value)) current[key].push(value);
+  } else {
+    current[key] = value;
+  }
+  return target;
+}
+
+// Function to build the package.json block for a set of entries
+function buildBlock(entries) {
+  const block = {};
+  entries.forEach(entry => setAtPath(block, entry.path, entry.value, entry.list));
+  return block;
+}
+
+// Function to describe where an entry lives, e.g. "pnpm.peerDependencyRules.allowedVersions ui-kit>react"
+function describeLocation(entry) {
+  return entry.list
+    ? `${entry.path.join('.')} ${entry.value}`
+    : `${entry.path.slice(0, -1).join('.')} ${entry.path[entry.path.length - 1]}`;
+}
+
+// Function to add an entry's note to the package.json "//" comments, once
+function addNotes(packageJson, entries) {
+  const existing = packageJson[NOTES_KEY];
+  const notes = Array.isArray(existing) ? [...existing] : existing ? [existing] : [];
+  for (const entry of entries) {
+    const note = `${describeLocation(entry)}: ${entry.conflicts.join('; ')}`;
+    if (!notes.includes(note)) notes.push(note);
+  }
+  packageJson[NOTES_KEY] = notes;
+}
+
+// Function to merge the entries into the text of package.json
+function applyEntriesToText(text, entries) {
+  return updatePackageJsonText(text, packageJson => {
+    entries.forEach(entry => setAtPath(packageJson, entry.path, entry.value, entry.list));
+    addNotes(packageJson, entries);
+  });
+}
+
+/**
+ * Work out the overrides that work around current peer conflicts, for the detected package
+ * manager: a forced version when one satisfies every dependent (npm `overrides`, yarn
+ * `resolutions`, `pnpm.overrides`), otherwise a rule letting the dependent use what is
+ * installed (nested npm `overrides`, `pnpm.peerDependencyRules`). Conflicts findFixes()
+ * resolves with an upgrade get no entry and are listed in `fixable`. `packages` limits the
+ * conflicts to those involving the named packages. Nothing is written.
+ */
+async function findOverrides(packages = [], options = {}) {
+  const config = options.config || DEFAULTS;
+  const project = loadProject(options.cwd || process.cwd(), config);
+  const detected = detectPackageManager(project.cwd, config);
+  const packageManager = detected.name;
+  const graph = loadAnalysisGraph(project, packageManager);
+  const names = [].concat(packages);
+
+  const result = {
+    packageManager,
+    installedTree: graph.type,
+    error: describeMissingTree(graph, project, packageManager),
+    file: 'package.json',
+    entries: [],
+    block: {},
+    diff: '',
+    fixable: [],
+    unresolved: [],
+    written: false,
+    summary: summarizeFindings([])
+  };
+  if (result.error) return result;
+
+  const context = { graph, project, packageManager };
+  const settings = readPeerSettings(project.cwd, detected, project.packageJson);
+  // Conflicts an existing rule already suppresses need no new entry
+  const issues = applyPeerSettings(findCurrentIssues(graph, project, getAnalysisTargets(project)), settings)
+    .filter(issue => issue.install !== 'suppressed')
+    .filter(issue => names.length === 0 || names.includes(issue.peer) || names.includes(issue.package));
+
+  // Overrides are the fallback: conflicts an upgrade from "pdc fix" resolves are left to it
+  const fixes = await findFixes({ cwd: project.cwd, config });
+  const unfixed = new Set(fixes.unresolved.map(issue => `${issue.package}>${issue.peer}`));
+  result.fixable = issues.filter(issue => !unfixed.has(`${issue.package}>${issue.peer}`)).map(issue => issue.message);
+  const entries = new Map();
+
+  for (const issue of issues.filter(issue => unfixed.has(`${issue.package}>${issue.peer}`))) {
+    const { entry, unresolved } = await findIssueOverride(context, issue);
+    if (unresolved) {
+      result.unresolved.push({ package: issue.package, peer: issue.peer, severity: issue.severity, message: unresolved });
+      continue;
+    }
+    const key = `${entry.path.join('\0')}\0${entry.list ? entry.value : ''}`;
+    if (!entries.has(key)) entries.set(key, { ...entry, conflicts: [] });
+    entries.get(key).conflicts.push(issue.message);
+  }
+
+  result.entries = [...entries.values()];
+  result.block = buildBlock(result.entries);
+  if (result.entries.length > 0) {
+    const before = fs.readFileSync(path.join(project.cwd, result.file), 'utf8');
+    result.diff = createDiff(before, applyEntriesToText(before, result.entries), result.file);
+  }
+  result.summary = summarizeFindings(result.unresolved);
+  return result;
+}
+
+/**
+ * Write entries from findOverrides() into package.json, with a "//" note per entry naming
+ * the conflict it works around. Resolves to true when the file changed.
+ */
+async function writeOverrides(entries, options = {}) {
+  const file = path.join(options.cwd || process.cwd(), 'package.json');
+  return writePackageJsonText(file, applyEntriesToText(fs.readFileSync(file, 'utf8'), entries));
+}
+
+module.exports = {
+  NOTES_KEY,
+  describeLocation,
+  findOverrides,
+  writeOverrides
+};
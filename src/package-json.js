@@ -0,0 +1,205 @@
+/**
+ * package.json editing
+ * Changes dependency entries in place, leaving the rest of the file's text untouched
+ */
+
+const fs = require('fs');
+
+// Function to detect how a JSON file is laid out, so it can be written back the same way
+function detectFormat(text) {
+  const indent = (text.match(/^[ \t]+(?=")/m) || ['  '])[0];
+  return {
+    indent,
+    eol: text.includes('\r\n') ? '\r\n' : '\n',
+    finalNewline: /\r?\n$/.test(text)
+  };
+}
+
+// Function to skip whitespace from a position
+function skipWhitespace(text, pos) {
+  while (pos < text.length && /\s/.test(text[pos])) pos++;
+  return pos;
+}
+
+// Function to find where a JSON string starting at a position ends
+function scanString(text, pos) {
+  let index = pos + 1;
+  while (text[index] !== '"') index += text[index] === '\\' ? 2 : 1;
+  return index + 1;
+}
+
+// Function to locate every value of a JSON text: objects keep their members and arrays their items, with offsets
+function locateNode(text, pos) {
+  const start = skipWhitespace(text, pos);
+  const char = text[start];
+
+  if (char === '{' || char === '[') {
+    const close = char === '{' ? '}' : ']';
+    const children = [];
+    let index = skipWhitespace(text, start + 1);
+    while (text[index] !== close) {
+      if (char === '{') {
+        const keyEnd = scanString(text, index);
+        const value = locateNode(text, skipWhitespace(text, keyEnd) + 1);
+        children.push({ key: JSON.parse(text.slice(index, keyEnd)), keyStart: index, keyEnd, value });
+        index = skipWhitespace(text, value.end);
+      } else {
+        const item = locateNode(text, index);
+        children.push(item);
+        index = skipWhitespace(text, item.end);
+      }
+      if (text[index] === ',') index = skipWhitespace(text, index + 1);
+    }
+    return char === '{'
+      ? { type: 'object', start, end: index + 1, members: children }
+      : { type: 'array', start, end: index + 1, items: children };
+  }
+
+  const end = char === '"' ? scanString(text, start) : start + text.slice(start).match(/^[^,}\]\s]+/)[0].length;
+  return { type: 'value', start, end };
+}
+
+// Function to read the indentation of the line a position is on
+function lineIndent(text, pos) {
+  return text.slice(text.lastIndexOf('\n', pos - 1) + 1).match(/^[ \t]*/)[0];
+}
+
+// Function to compare two JSON values
+function isSameJson(a, b) {
+  return JSON.stringify(a) === JSON.stringify(b);
+}
+
+// Function to check whether a value is a plain JSON object
+function isObject(value) {
+  return Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+}
+
+// Function to serialize a new value, multi-line at an indentation or on one line inside inline objects
+function serializeValue(value, layout, indent) {
+  if (layout.inline) {
+    if (Array.isArray(value)) return value.length === 0 ? '[]' : `[${value.map(item => serializeValue(item, layout, indent)).join(', ')}]`;
+    if (isObject(value)) {
+      const entries = Object.entries(value).map(([key, item]) => `${JSON.stringify(key)}: ${serializeValue(item, layout, indent)}`);
+      return entries.length === 0 ? '{}' : `{ ${entries.join(', ')} }`;
+    }
+    return JSON.stringify(value);
+  }
+  return JSON.stringify(value, null, layout.indent).replace(/\n/g, `${layout.eol}${indent}`);
+}
+
+// Function to render an object whose members changed, keeping the text of everything that did not
+function renderObject(text, node, before, after, layout) {
+  const { members } = node;
+  const keys = Object.keys(after);
+  if (keys.length === 0) return '{}';
+
+  const outer = lineIndent(text, node.start);
+  const first = members[0];
+  const last = members[members.length - 1];
+  const leading = first ? text.slice(node.start + 1, first.keyStart) : `${layout.eol}${outer}${layout.indent}`;
+  const trailing = last ? text.slice(last.value.end, node.end - 1) : `${layout.eol}${outer}`;
+  const inline = !leading.includes('\n');
+  const separator = members.length > 1
+    ? text.slice(first.value.end, members[1].keyStart)
+    : `,${inline ? (leading || ' ') : leading}`;
+  const colon = first ? text.slice(first.keyEnd, first.value.start) : ': ';
+  const indent = first ? lineIndent(text, first.keyStart) : `${outer}${layout.indent}`;
+
+  const pieces = keys.map(key => {
+    const index = members.findIndex(member => member.key === key);
+    if (index === -1) {
+      return { index, text: `${JSON.stringify(key)}${colon}${serializeValue(after[key], { ...layout, inline }, indent)}` };
+    }
+    const member = members[index];
+    return { index, text: `${text.slice(member.keyStart, member.value.start)}${renderNode(text, member.value, before[key], after[key], layout)}` };
+  });
+
+  // Members that were next to each other keep the whitespace between them
+  const body = pieces.map((piece, position) => {
+    if (position === 0) return piece.text;
+    const previous = pieces[position - 1];
+    const between = previous.index !== -1 && piece.index === previous.index + 1
+      ? text.slice(members[previous.index].value.end, members[piece.index].keyStart)
+      : separator;
+    return `${between}${piece.text}`;
+  }).join('');
+  return `{${leading}${body}${trailing}}`;
+}
+
+// Function to render an array that only gained items at its end
+function renderAppended(text, node, before, after, layout) {
+  const { items } = node;
+  const last = items[items.length - 1];
+  const leading = text.slice(node.start + 1, items[0].start);
+  const inline = !leading.includes('\n');
+  const separator = items.length > 1
+    ? text.slice(items[0].end, items[1].start)
+    : `,${inline ? (leading || ' ') : leading}`;
+  const indent = lineIndent(text, items[0].start);
+  const added = after.slice(before.length).map(item => `${separator}${serializeValue(item, { ...layout, inline }, indent)}`);
+  return `${text.slice(node.start, last.end)}${added.join('')}${text.slice(last.end, node.end)}`;
+}
+
+// Function to render a value's new text, reusing the original text wherever the value is unchanged
+function renderNode(text, node, before, after, layout) {
+  if (isSameJson(before, after)) return text.slice(node.start, node.end);
+  if (node.type === 'object' && isObject(before) && isObject(after)) {
+    return renderObject(text, node, before, after, layout);
+  }
+  const appended = node.type === 'array' && node.items.length > 0 && Array.isArray(after) &&
+    after.length > before.length && before.every((item, index) => isSameJson(item, after[index]));
+  if (appended) return renderAppended(text, node, before, after, layout);
+  return serializeValue(after, { ...layout, inline: false }, lineIndent(text, node.start));
+}
+
+// Function to set a dependency, keeping existing keys in place and new ones in alphabetical position
+function setDependency(packageJson, field, name, range) {
+  const current = packageJson[field] || {};
+  if (Object.prototype.hasOwnProperty.call(current, name)) {
+    current[name] = range;
+    packageJson[field] = current;
+    return packageJson;
+  }
+
+  const entries = Object.entries(current);
+  const index = entries.findIndex(([other]) => other.localeCompare(name) > 0);
+  entries.splice(index === -1 ? entries.length : index, 0, [name, range]);
+  packageJson[field] = Object.fromEntries(entries);
+  return packageJson;
+}
+
+// Function to remove a dependency, dropping the field when it becomes empty
+function removeDependency(packageJson, field, name) {
+  if (!packageJson[field]) return packageJson;
+  delete packageJson[field][name];
+  if (Object.keys(packageJson[field]).length === 0) delete packageJson[field];
+  return packageJson;
+}
+
+/**
+ * Apply `update(packageJson)` to the text of a package.json and return the new text. Only the
+ * values the update changed are rewritten; every other byte, inline objects and arrays
+ * included, is kept as it was. New entries follow the file's indentation and line endings.
+ */
+function updatePackageJsonText(text, update) {
+  const before = JSON.parse(text);
+  const after = JSON.parse(text);
+  update(after);
+  const root = locateNode(text, 0);
+  return `${text.slice(0, root.start)}${renderNode(text, root, before, after, detectFormat(text))}${text.slice(root.end)}`;
+}
+
+// Function to write a package.json only when its content changed
+function writePackageJsonText(file, text) {
+  if (fs.existsSync(file) && fs.readFileSync(file, 'utf8') === text) return false;
+  fs.writeFileSync(file, text);
+  return true;
+}
+
+module.exports = {
+  detectFormat,
+  setDependency,
+  removeDependency,
+  updatePackageJsonText,
+  writePackageJsonText
+};
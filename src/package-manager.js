@@ -0,0 +1,94 @@
+/**
+ * Package manager detection
+ * One precedence for every command: --pm / config, the packageManager field, lockfiles, then npm
+ */
+
+const fs = require('fs');
+const path = require('path');
+const semver = require('semver');
+const { readJson } = require('./project');
+const { runCommandSilent } = require('./exec');
+
+const PACKAGE_MANAGERS = ['npm', 'yarn', 'pnpm', 'bun'];
+
+// Lockfiles in the order they are checked when several are present
+const LOCKFILES = [
+  { file: 'pnpm-lock.yaml', name: 'pnpm' },
+  { file: 'yarn.lock', name: 'yarn' },
+  { file: 'bun.lock', name: 'bun' },
+  { file: 'bun.lockb', name: 'bun' },
+  { file: 'npm-shrinkwrap.json', name: 'npm' },
+  { file: 'package-lock.json', name: 'npm' }
+];
+
+// Function to parse the corepack "packageManager" field ("pnpm@9.1.0+sha512.abc")
+function parsePackageManagerField(value) {
+  if (typeof value !== 'string') return null;
+  const match = value.match(/^(npm|yarn|pnpm|bun)@([^+]+)/);
+  if (!match) return null;
+  return { name: match[1], version: semver.valid(match[2]) ? match[2] : null };
+}
+
+// Function to find the first lockfile in a project
+function findLockfile(cwd) {
+  return LOCKFILES.find(lockfile => fs.existsSync(path.join(cwd, lockfile.file))) || null;
+}
+
+// Function to find the first package manager installed on this machine
+function probeInstalled(timeout) {
+  return ['bun', 'pnpm', 'yarn'].find(name => runCommandSilent(`${name} --version`, { timeout })) || null;
+}
+
+// Function to get the version of the package manager that will run
+function getVersion(name, cwd, timeout) {
+  // Package manager scripts announce themselves, e.g. "npm/10.2.4 node/v20.11.0 linux x64"
+  const agent = (process.env.npm_config_user_agent || '').match(/^(\w+)\/(\S+)/);
+  if (agent && agent[1] === name && semver.valid(agent[2])) return agent[2];
+
+  const output = runCommandSilent(`${name} --version`, { cwd, timeout });
+  const version = output && semver.valid(semver.coerce(output.split('\n').pop()));
+  return version || null;
+}
+
+/**
+ * Detect the project's package manager and its version.
+ * `config.packageManager` (set by --pm, PDC_PACKAGE_MANAGER or a config file) wins, then the
+ * corepack "packageManager" field, then lockfiles. `probe` also looks for installed binaries
+ * before falling back to npm, for projects with no lockfile yet.
+ */
+function detectPackageManager(cwd = process.cwd(), config = {}, options = {}) {
+  const field = parsePackageManagerField((readJson(path.join(cwd, 'package.json')) || {}).packageManager);
+  const lockfile = findLockfile(cwd);
+
+  let name;
+  let source;
+  if (config.packageManager) {
+    name = config.packageManager;
+    source = 'config';
+  } else if (field) {
+    name = field.name;
+    source = 'packageManager';
+  } else if (lockfile) {
+    name = lockfile.name;
+    source = 'lockfile';
+  } else {
+    name = (options.probe && probeInstalled(config.timeout)) || 'npm';
+    source = name === 'npm' ? 'default' : 'installed';
+  }
+
+  const version = (field && field.name === name && field.version) || getVersion(name, cwd, config.timeout);
+
+  return {
+    name,
+    version,
+    major: version ? semver.major(version) : null,
+    source,
+    lockfile: lockfile && lockfile.name === name ? lockfile.file : null
+  };
+}
+
+module.exports = {
+  PACKAGE_MANAGERS,
+  detectPackageManager,
+  parsePackageManagerField
+};
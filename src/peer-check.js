@@ -1,168 +1,240 @@
-#!/usr/bin/env node
-
 /**
  * Clean peer dependency compatibility checker
  * Focuses on actionable peer dependency insights
  */
 
-const { execSync } = require('child_process');
-const fs = require('fs');
-
-// Environment flags
-const BRIEF_MODE = process.env.BRIEF_MODE === 'true';
-
-// Function to run commands silently
-function runCommandSilent(command, fallback = null) {
-  try {
-    return execSync(command, { 
-      encoding: 'utf8', 
-      stdio: 'pipe',
-      timeout: 10000
-    }).trim();
-  } catch (error) {
-    return fallback;
+const semver = require('semver');
+const { DEFAULTS, isExcluded, dependencyFields } = require('./config');
+const { getPeerDependencies, getPeerDependenciesMeta, resolveVersion, mapWithConcurrency } = require('./registry');
+const { detectPackageManager } = require('./package-manager');
+const { loadProject, evaluatePeer } = require('./check');
+const { parseSpec } = require('./spec');
+const { summarizeFindings, isConflict } = require('./severity');
+const { loadInstalledGraph, readFlatGraph, findPeerIssues } = require('./peer-graph');
+const { findDuplicateSingletons } = require('./singletons');
+const { readPeerSettings, applyPeerSettings, findStaleRules, hasActiveIssues } = require('./peer-rules');
+const {
+  listWorkspaces,
+  selectWorkspaces,
+  findWorkspaceNode,
+  getWorkspaceVersion,
+  findWorkspaceDrift
+} = require('./workspaces');
+
+// Function to list the root and workspaces to analyze, honoring the `workspaces` filter
+function getAnalysisTargets(project) {
+  const { cwd, config, packageJson } = project;
+  const workspaces = listWorkspaces(cwd, packageJson);
+  const selectors = config.workspaces || [];
+  const selected = selectWorkspaces(workspaces, selectors);
+  const root = { name: packageJson.name || 'root', version: packageJson.version || null, dir: '', packageJson };
+  return {
+    all: [root, ...workspaces],
+    targets: selectors.length > 0 ? selected : [root, ...workspaces],
+    filtered: selectors.length > 0,
+    workspaces
+  };
+}
+
+// Function to merge findings reported for several workspaces, once per package and peer
+function mergeIssues(lists) {
+  const merged = new Map();
+  for (const issue of lists.flat()) {
+    const key = `${issue.location}|${issue.package}@${issue.version}>${issue.peer}`;
+    if (!merged.has(key)) merged.set(key, issue);
   }
+  return [...merged.values()];
 }
 
-// Function to get package manager
-function getPackageManager() {
-  if (fs.existsSync('pnpm-lock.yaml')) return 'pnpm';
-  if (fs.existsSync('yarn.lock')) return 'yarn';
-  if (fs.existsSync('bun.lockb')) return 'bun';
-  return 'npm';
+// Function to load the installed tree: the lockfile graph, else the top-level node_modules packages
+function loadAnalysisGraph(project, packageManager) {
+  return loadInstalledGraph(project.cwd, packageManager, project.packageJson) || readFlatGraph(project);
 }
 
-// Function to check current peer dependency issues
-function getCurrentPeerIssues(packageManager) {
-  let command;
-  switch (packageManager) {
-    case 'pnpm':
-      command = 'pnpm ls 2>&1 | grep -E "WARN|ERROR|✕" | head -10';
-      break;
-    case 'yarn':
-      command = 'yarn list --depth=0 2>&1 | grep -E "warning|error" | head -10';
-      break;
-    default:
-      command = 'npm ls 2>&1 | grep -E "WARN|ERROR|missing" | head -10';
-  }
-  
-  const result = runCommandSilent(command);
-  return result || 'No peer dependency issues detected';
+// Function to explain why the installed tree cannot be analyzed, or null when it can
+function describeMissingTree(graph, project, packageManager) {
+  const declared = ['dependencies', 'devDependencies', 'optionalDependencies']
+    .some(field => Object.keys(project.packageJson[field] || {}).length > 0);
+  if (!declared || graph.nodes.size > 1) return null;
+  return `No lockfile or node_modules to read; run ${packageManager} install before analyzing installed peers`;
 }
 
-// Function to get peer dependencies for a package
-function getPeerDependencies(packageName, version = 'latest') {
-  const result = runCommandSilent(`npm info ${packageName}@${version} peerDependencies --json`);
-  if (!result) return null;
-  
-  try {
-    return JSON.parse(result);
-  } catch {
-    return null;
-  }
+// Function to find current peer issues from a loaded graph, limited to the selected workspaces
+function findCurrentIssues(graph, project, analysis) {
+  if (!graph) return [];
+  if (!analysis.filtered) return findPeerIssues(graph, project);
+  return mergeIssues(analysis.targets.map(target => {
+    const node = findWorkspaceNode(graph, target.dir);
+    return node ? findPeerIssues(graph, project, node) : [];
+  }));
 }
 
-// Function to analyze potential conflicts
-function analyzePotentialConflicts() {
-  const packageJson = JSON.parse(fs.readFileSync('package.json', 'utf8'));
-  const currentDeps = { ...packageJson.dependencies, ...packageJson.devDependencies };
-  
-  // Common packages that often have peer dependency conflicts
-  const criticalPackages = [
-    'react', 'react-dom', '@types/react', '@types/react-dom',
-    'next', 'typescript', '@types/node', 'eslint'
-  ];
-  
-  const conflicts = [];
-  
-  for (const pkg of criticalPackages) {
-    if (currentDeps[pkg]) {
-      const currentVersion = currentDeps[pkg].replace(/[\^~]/, '');
-      const latestPeerDeps = getPeerDependencies(pkg, 'latest');
-      
-      if (latestPeerDeps && Object.keys(latestPeerDeps).length > 0) {
-        conflicts.push({
-          package: pkg,
-          current: currentVersion,
-          peerDeps: latestPeerDeps
-        });
-      }
+// Function to report workspace drift, limited to drift involving the selected workspaces
+function getWorkspaceDrift(graph, project, analysis) {
+  if (analysis.workspaces.length === 0) return [];
+  const selected = new Set(analysis.targets.map(target => target.name));
+  return findWorkspaceDrift(analysis.all, { graph, cwd: project.cwd, config: project.config })
+    .filter(drift => drift.usages.some(usage => selected.has(usage.workspace)));
+}
+
+// Function to find direct dependencies whose latest version has peers the project (or a workspace) does not meet
+async function analyzePotentialConflicts(project, graph, target = null) {
+  const { config, cwd } = project;
+  const packageJson = target ? target.packageJson : project.packageJson;
+  const dir = target ? target.dir : '';
+  const node = findWorkspaceNode(graph, dir);
+  const resolved = {
+    ...project,
+    packageJson,
+    installedVersion: packageName => getWorkspaceVersion(graph, node, packageName, cwd, dir)
+  };
+
+  const candidates = new Map();
+  for (const field of dependencyFields(config)) {
+    for (const [name, declared] of Object.entries(packageJson[field] || {})) {
+      if (candidates.has(name) || isExcluded(name, config)) continue;
+      // git, file and workspace dependencies have no registry versions to compare
+      const spec = parseSpec(`${name}@${declared}`);
+      if (!spec.error) candidates.set(name, spec);
     }
   }
-  
-  return conflicts;
+
+  const conflicts = await mapWithConcurrency([...candidates.values()], config.concurrency, async (spec) => {
+    const currentVersion = resolved.installedVersion(spec.name) ||
+      await resolveVersion(spec.registryName, spec.range, project);
+    const latestVersion = await resolveVersion(spec.registryName, 'latest', project);
+    if (!latestVersion || (currentVersion && !semver.gt(latestVersion, currentVersion))) return null;
+
+    const latestPeerDeps = await getPeerDependencies(spec.registryName, latestVersion, project);
+    if (!latestPeerDeps || Object.keys(latestPeerDeps).length === 0) return null;
+    const latestPeerMeta = (await getPeerDependenciesMeta(spec.registryName, latestVersion, project)) || {};
+
+    const peers = Object.entries(latestPeerDeps)
+      .filter(([peerName]) => !isExcluded(peerName, config))
+      .map(([peerName, range]) => evaluatePeer(peerName, range, resolved, latestPeerMeta[peerName]));
+    if (!peers.some(peer => isConflict(peer.status, config))) return null;
+
+    return {
+      package: spec.name,
+      current: currentVersion,
+      latest: latestVersion,
+      peerDependencies: latestPeerDeps,
+      peerDependenciesMeta: latestPeerMeta,
+      peers
+    };
+  });
+
+  return conflicts.filter(Boolean);
 }
 
-async function main() {
-  const packageManager = getPackageManager();
-  
-  if (BRIEF_MODE) {
-    console.log('🔗 Checking peer dependencies...');
-    const issues = getCurrentPeerIssues(packageManager);
-    if (issues === 'No peer dependency issues detected') {
-      console.log('✅ No peer dependency conflicts found');
-    } else {
-      console.log('⚠️  Peer dependency issues detected');
-      console.log('   Run "pdc analyze" for details');
-    }
-    return;
+// Function to derive next steps from the analysis
+function buildRecommendations(result, config) {
+  if (result.error) return [{ severity: 'warning', message: result.error }];
+
+  const upgradeConflicts = result.potentialConflicts
+    .some(conflict => conflict.peers.some(peer => isConflict(peer.status, config)));
+  const dedupe = result.duplicates.length === 0 ? [] : [{
+    severity: 'warning',
+    message: `Deduplicate ${[...new Set(result.duplicates.map(duplicate => duplicate.package))].join(', ')} so only one copy is installed`
+  }];
+  const alignment = result.drift.length === 0 ? [] : [{
+    severity: 'warning',
+    message: `Align ${result.drift.map(drift => drift.name).join(', ')} across workspaces`
+  }];
+  const cleanup = result.staleRules.length === 0 ? [] : [{
+    severity: 'info',
+    message: `Remove peer rules that no longer suppress anything: ${result.staleRules.map(stale => stale.rule).join(', ')}`
+  }];
+
+  if (!hasActiveIssues(result.currentIssues)) {
+    return [
+      { severity: 'info', message: 'Your peer dependencies look good!' },
+      { severity: 'info', message: 'Safe to proceed with minor updates' },
+      { severity: upgradeConflicts ? 'warning' : 'info', message: 'Review major upgrades carefully' },
+      ...dedupe,
+      ...alignment,
+      ...cleanup
+    ];
   }
-  
-  console.log('🔗 Analyzing peer dependencies...\n');
-  
-  // 1. Current status
-  console.log('📋 CURRENT PEER DEPENDENCY STATUS');
-  console.log('─'.repeat(40));
-  const currentIssues = getCurrentPeerIssues(packageManager);
-  console.log(currentIssues);
-  console.log();
-  
-  // 2. Potential conflicts analysis
-  console.log('⚠️  POTENTIAL UPGRADE CONFLICTS');
-  console.log('─'.repeat(40));
-  
-  const conflicts = analyzePotentialConflicts();
-  
-  if (conflicts.length === 0) {
-    console.log('✅ No major peer dependency conflicts detected');
+
+  return [
+    { severity: 'warning', message: 'Resolve current peer dependency warnings first' },
+    ...dedupe,
+    ...alignment,
+    ...cleanup,
+    { severity: 'info', message: 'Run "pdc fix" to see the package.json changes that resolve them' },
+    { severity: 'info', message: 'Test upgrades in a separate branch' }
+  ];
+}
+
+/**
+ * Analyze the project's peer dependencies.
+ * `brief` only collects the current issues, for use in install hooks. Without a readable
+ * lockfile the top-level node_modules packages stand in for the installed tree; with neither,
+ * `error` says so and nothing is reported as clean.
+ */
+async function analyzePeers(options = {}) {
+  const config = options.config || DEFAULTS;
+  const project = loadProject(options.cwd || process.cwd(), config);
+  const packageManager = detectPackageManager(project.cwd, config);
+  const graph = loadAnalysisGraph(project, packageManager.name);
+  const analysis = getAnalysisTargets(project);
+  const peerSettings = readPeerSettings(project.cwd, packageManager, project.packageJson);
+
+  const result = {
+    packageManager: packageManager.name,
+    packageManagerVersion: packageManager.version,
+    installedTree: graph.type,
+    error: describeMissingTree(graph, project, packageManager.name),
+    peerSettings,
+    currentIssues: applyPeerSettings(findCurrentIssues(graph, project, analysis), peerSettings),
+    staleRules: findStaleRules(graph, project, peerSettings),
+    potentialConflicts: [],
+    workspaces: [],
+    drift: getWorkspaceDrift(graph, project, analysis),
+    duplicates: [],
+    recommendations: [],
+    summary: null
+  };
+
+  if (analysis.workspaces.length === 0) {
+    result.duplicates = findDuplicateSingletons(graph, project);
+    result.potentialConflicts = options.brief ? [] : await analyzePotentialConflicts(project, graph);
   } else {
-    conflicts.forEach(conflict => {
-      console.log(`📦 ${conflict.package}@${conflict.current}`);
-      console.log(`   Peer dependencies:`);
-      Object.entries(conflict.peerDeps).forEach(([dep, version]) => {
-        console.log(`   • ${dep}: ${version}`);
+    // Each workspace is analyzed from its own package.json and the versions it resolves
+    for (const target of analysis.targets) {
+      const node = findWorkspaceNode(graph, target.dir);
+      const currentIssues = node ? applyPeerSettings(findPeerIssues(graph, project, node), peerSettings) : [];
+      // Workspaces are bundled separately, so a duplicate only matters within one workspace
+      const duplicates = (node ? findDuplicateSingletons(graph, project, node) : [])
+        .map(duplicate => ({ ...duplicate, workspace: target.name }));
+      const potentialConflicts = options.brief ? [] : (await analyzePotentialConflicts(project, graph, target))
+        .map(conflict => ({ ...conflict, workspace: target.name }));
+      result.workspaces.push({
+        name: target.name,
+        dir: target.dir || '.',
+        currentIssues,
+        potentialConflicts,
+        duplicates,
+        summary: summarizeFindings([...currentIssues, ...duplicates])
       });
-      console.log();
-    });
-  }
-  
-  // 3. Recommendations
-  console.log('💡 RECOMMENDATIONS');
-  console.log('─'.repeat(40));
-  
-  if (currentIssues === 'No peer dependency issues detected') {
-    console.log('✅ Your peer dependencies look good!');
-    console.log('   • Safe to proceed with minor updates');
-    console.log('   • Review major upgrades carefully');
-  } else {
-    console.log('📝 Action needed:');
-    console.log('   • Resolve current peer dependency warnings first');
-    console.log('   • Check package documentation for compatibility');
-    console.log('   • Test upgrades in a separate branch');
+      result.potentialConflicts.push(...potentialConflicts);
+      result.duplicates.push(...duplicates);
+    }
   }
-  
-  console.log('\n🔍 For specific package analysis:');
-  console.log('   pdc check react@19 react-dom@19');
-  console.log('   pdc scan  # Full project analysis');
-}
 
-// Handle errors gracefully
-process.on('uncaughtException', (error) => {
-  console.error('❌ An error occurred:', error.message);
-  process.exit(1);
-});
+  result.recommendations = buildRecommendations(result, config);
+  // Potential conflicts describe future upgrades, so only what is installed today gates CI
+  result.summary = summarizeFindings([...result.currentIssues, ...result.duplicates, ...result.drift, ...result.staleRules]);
+
+  return result;
+}
 
-main().catch(error => {
-  console.error('❌ Analysis failed:', error.message);
-  process.exit(1);
-}); 
\ No newline at end of file
+module.exports = {
+  analyzePeers,
+  getAnalysisTargets,
+  loadAnalysisGraph,
+  describeMissingTree,
+  findCurrentIssues,
+  getWorkspaceDrift
+};
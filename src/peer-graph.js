@@ -0,0 +1,250 @@
+/**
+ * Installed peer dependency analysis
+ * Evaluates every installed package's peers against the tree rebuilt from the lockfile
+ */
+
+const semver = require('semver');
+const { isExcluded } = require('./config');
+const { SEVERITIES, isConflict } = require('./severity');
+const { describeGap } = require('./ranges');
+const { findNpmLockfile, parseNpmLockfile } = require('./lockfiles/npm');
+const { findPnpmLockfile, parsePnpmLockfile } = require('./lockfiles/pnpm');
+const { findYarnLockfile, parseYarnLockfile } = require('./lockfiles/yarn');
+const { listInstalledPackages, isDevOnly } = require('./project');
+
+const SEMVER_OPTIONS = { includePrerelease: true };
+
+// Function to load the installed dependency graph for a project, or null when no lockfile is readable
+function loadInstalledGraph(cwd, packageManager, packageJson) {
+  if (packageManager === 'npm') {
+    const found = findNpmLockfile(cwd);
+    if (!found) return null;
+    return { ...parseNpmLockfile(found.lockfile, { cwd, packageJson }), file: found.file };
+  }
+  if (packageManager === 'pnpm') {
+    const found = findPnpmLockfile(cwd);
+    if (!found) return null;
+    return { ...parsePnpmLockfile(found.lockfile, { cwd, packageJson }), file: found.file };
+  }
+  if (packageManager === 'yarn') {
+    const found = findYarnLockfile(cwd);
+    if (!found) return null;
+    return { ...parseYarnLockfile(found.lockfile, { cwd, packageJson }), file: found.file };
+  }
+  return null;
+}
+
+// Function to stand in for a lockfile graph with the top-level node_modules packages
+function readFlatGraph(project) {
+  const { cwd, packageJson } = project;
+  const root = { id: '', location: '', name: packageJson.name || 'root', version: packageJson.version, dependencies: {} };
+  const nodes = new Map([[root.id, root]]);
+
+  for (const manifest of listInstalledPackages(cwd)) {
+    const location = `node_modules/${manifest.name}`;
+    nodes.set(location, {
+      id: location,
+      location,
+      name: manifest.name,
+      version: manifest.version,
+      dev: isDevOnly(packageJson, manifest.name),
+      optional: false,
+      dependencies: { ...manifest.dependencies, ...manifest.optionalDependencies },
+      peerDependencies: manifest.peerDependencies || {},
+      peerDependenciesMeta: manifest.peerDependenciesMeta || {},
+      engines: manifest.engines || null
+    });
+    root.dependencies[manifest.name] = location;
+  }
+
+  return {
+    type: 'node_modules',
+    root,
+    nodes,
+    resolve: (from, name) => nodes.get(`node_modules/${name}`) || null
+  };
+}
+
+/**
+ * Layer upgrades over an installed graph, as if they were installed together.
+ * Each upgrade ({ version, peerDependencies, peerDependenciesMeta } keyed by package name)
+ * replaces the copy the root resolves to, wherever else that copy is used; packages that
+ * are not installed yet are added at the root.
+ */
+function overlayGraph(graph, upgrades) {
+  const nodes = new Map(graph.nodes);
+  const root = { ...graph.root, dependencies: { ...graph.root.dependencies } };
+  nodes.set(root.id, root);
+  const replaced = new Map();
+  const added = new Map();
+
+  for (const [name, upgrade] of upgrades) {
+    const installed = graph.resolve(graph.root, name);
+    const node = {
+      dependencies: {},
+      dev: false,
+      optional: false,
+      ...installed,
+      id: installed ? installed.id : `node_modules/${name}`,
+      location: installed ? installed.location : `node_modules/${name}`,
+      name,
+      version: upgrade.version,
+      peerDependencies: upgrade.peerDependencies || {},
+      peerDependenciesMeta: upgrade.peerDependenciesMeta || {}
+    };
+    if (installed) {
+      replaced.set(`${installed.name}@${installed.version}`, node);
+    } else {
+      added.set(name, node);
+      root.dependencies[name] = node.id;
+    }
+    nodes.set(node.id, node);
+  }
+
+  // Lockfiles can resolve a package without a node of its own (pnpm peer suffixes), so copies are matched by name and version
+  const resolve = (from, name) => {
+    const node = from === root ? graph.resolve(graph.root, name) : graph.resolve(from, name);
+    if (node) return replaced.get(`${node.name}@${node.version}`) || node;
+    return added.get(name) || null;
+  };
+
+  return { ...graph, root, nodes, resolve };
+}
+
+// Function to find the shortest dependency path (as package names) from the root, or a workspace, to every node
+function dependencyPaths(graph, from = graph.root) {
+  const paths = new Map([[from.id, [from.name]]]);
+  const queue = [from];
+
+  while (queue.length > 0) {
+    const node = queue.shift();
+    for (const name of Object.keys(node.dependencies)) {
+      const child = graph.resolve(node, name);
+      if (child && !paths.has(child.id)) {
+        paths.set(child.id, [...paths.get(node.id), child.name]);
+        queue.push(child);
+      }
+    }
+  }
+
+  return paths;
+}
+
+// Function to evaluate one installed package's peer range against what it resolves to
+function evaluateInstalledPeer(graph, node, peerName, range) {
+  const optional = Boolean(node.peerDependenciesMeta[peerName] && node.peerDependenciesMeta[peerName].optional);
+  const target = graph.resolve(node, peerName);
+  const installed = target ? target.version : null;
+
+  let status;
+  let gap = null;
+  if (!installed) {
+    status = optional ? 'satisfied' : 'missing';
+  } else if (!semver.validRange(range, SEMVER_OPTIONS) || !semver.valid(installed)) {
+    status = 'unknown';
+  } else if (semver.satisfies(installed, range, SEMVER_OPTIONS)) {
+    status = 'satisfied';
+  } else {
+    status = 'violated';
+    gap = describeGap(installed, range);
+  }
+
+  return { peer: peerName, range, optional, installed, status, gap, target };
+}
+
+// Function to describe an installed peer finding in one line
+function describeFinding(finding) {
+  const requirement = `${finding.package}@${finding.version} requires ${finding.optional ? 'optional ' : ''}peer ${finding.peer}@${finding.range}`;
+  if (finding.status === 'missing') return `${requirement}, but it is not installed`;
+  if (finding.status === 'unknown') return `${requirement}, but ${finding.installed} could not be compared`;
+  return `${requirement}, but ${finding.installed} is installed (${finding.gap})`;
+}
+
+/**
+ * Evaluate peerDependencies (and peerDependenciesMeta) of every installed package.
+ * Returns one finding per unmet peer, each with the dependency path that brings the package in.
+ * Passing a workspace node as `from` limits the findings to what that workspace installs.
+ */
+function findPeerIssues(graph, project, from = null) {
+  const { config } = project;
+  const start = from || graph.root;
+  const paths = dependencyPaths(graph, start);
+  const findings = [];
+
+  for (const node of graph.nodes.values()) {
+    if (node === graph.root || node.link || !node.version) continue;
+    if (from && !paths.has(node.id)) continue;
+    if (node.dev && !config.includeDevDependencies) continue;
+    if (isExcluded(node.name, config)) continue;
+
+    for (const [peerName, range] of Object.entries(node.peerDependencies)) {
+      if (isExcluded(peerName, config)) continue;
+
+      const evaluation = evaluateInstalledPeer(graph, node, peerName, range);
+      if (!isConflict(evaluation.status, config)) continue;
+
+      const finding = {
+        package: node.name,
+        version: node.version,
+        location: node.location,
+        path: paths.get(node.id) || [start.name, node.name],
+        peer: peerName,
+        range,
+        optional: evaluation.optional,
+        installed: evaluation.installed,
+        installedAt: evaluation.target ? evaluation.target.location : null,
+        status: evaluation.status,
+        severity: SEVERITIES[evaluation.status],
+        gap: evaluation.gap
+      };
+      finding.message = describeFinding(finding);
+      findings.push(finding);
+    }
+  }
+
+  return findings;
+}
+
+/**
+ * List every installed package that declares `peerName` as a peer, optional or required,
+ * with the range it accepts, how the installed copy it resolves to fares and the path that
+ * brings the package in.
+ */
+function findPeerDependents(graph, project, peerName) {
+  const { config } = project;
+  const paths = dependencyPaths(graph);
+  const dependents = [];
+
+  for (const node of graph.nodes.values()) {
+    if (node === graph.root || node.link || !node.version) continue;
+    if (!node.peerDependencies || node.peerDependencies[peerName] === undefined) continue;
+    if (node.dev && !config.includeDevDependencies) continue;
+    if (isExcluded(node.name, config)) continue;
+
+    const evaluation = evaluateInstalledPeer(graph, node, peerName, node.peerDependencies[peerName]);
+    dependents.push({
+      package: node.name,
+      version: node.version,
+      location: node.location,
+      path: paths.get(node.id) || [graph.root.name, node.name],
+      range: evaluation.range,
+      optional: evaluation.optional,
+      installed: evaluation.installed,
+      status: evaluation.status,
+      severity: isConflict(evaluation.status, config) ? SEVERITIES[evaluation.status] : null,
+      gap: evaluation.gap
+    });
+  }
+
+  return dependents.sort((a, b) => a.package.localeCompare(b.package) || String(a.location).localeCompare(String(b.location)));
+}
+
+module.exports = {
+  loadInstalledGraph,
+  readFlatGraph,
+  overlayGraph,
+  dependencyPaths,
+  evaluateInstalledPeer,
+  findPeerIssues,
+  findPeerDependents
+};
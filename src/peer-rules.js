@@ -0,0 +1,205 @@
+/**
+ * Peer settings and rules
+ * Reads the settings that change how the package manager treats peers (.npmrc, pnpm peerDependencyRules)
+ * and classifies each finding as failing the install, a warning only, or suppressed by a rule
+ */
+
+const fs = require('fs');
+const path = require('path');
+const semver = require('semver');
+const YAML = require('yaml');
+const { isExcluded } = require('./config');
+const { readNpmrc } = require('./npmrc');
+const { findPeerIssues } = require('./peer-graph');
+
+const SEMVER_OPTIONS = { includePrerelease: true };
+
+// What a finding means for the next install
+const INSTALL_IMPACTS = {
+  fail: 'will fail install',
+  warn: 'warning only',
+  suppressed: 'suppressed by your rules'
+};
+
+// Function to read an .npmrc or pnpm-workspace.yaml flag, keeping the default when it is unset
+function toFlag(value, fallback) {
+  if (value === undefined || value === null || value === '') return fallback;
+  return value === true || String(value).toLowerCase() === 'true';
+}
+
+// Function to match a pnpm rule pattern ("react", "@babel/*") against a package name
+function matchesPattern(pattern, name) {
+  // pnpm patterns use the same "*" wildcard as excludePackages
+  return isExcluded(name, { excludePackages: [pattern] });
+}
+
+// Function to read the pnpm-workspace.yaml settings, or nothing when there is no such file
+function readPnpmWorkspace(cwd) {
+  try {
+    return YAML.parse(fs.readFileSync(path.join(cwd, 'pnpm-workspace.yaml'), 'utf8')) || {};
+  } catch {
+    return {};
+  }
+}
+
+// Function to turn a peerDependencyRules block into a list of rules
+function listPnpmRules(peerDependencyRules, source) {
+  const rules = [];
+  if (!peerDependencyRules || typeof peerDependencyRules !== 'object') return rules;
+
+  for (const pattern of [].concat(peerDependencyRules.ignoreMissing || [])) {
+    rules.push({ type: 'ignoreMissing', pattern, source, name: `peerDependencyRules.ignoreMissing ${pattern}` });
+  }
+  for (const pattern of [].concat(peerDependencyRules.allowAny || [])) {
+    rules.push({ type: 'allowAny', pattern, source, name: `peerDependencyRules.allowAny ${pattern}` });
+  }
+  for (const [selector, range] of Object.entries(peerDependencyRules.allowedVersions || {})) {
+    // "react" applies to every dependent, "ui-kit>react" or "ui-kit@1>react" to one
+    const separator = selector.lastIndexOf('>');
+    const parent = separator === -1 ? null : selector.slice(0, separator);
+    const at = parent ? parent.lastIndexOf('@') : -1;
+    rules.push({
+      type: 'allowedVersions',
+      pattern: selector.slice(separator + 1),
+      parent: parent && at > 0 ? parent.slice(0, at) : parent,
+      parentRange: parent && at > 0 ? parent.slice(at + 1) : null,
+      range: String(range),
+      source,
+      name: `peerDependencyRules.allowedVersions ${selector}: ${range}`
+    });
+  }
+  return rules;
+}
+
+/**
+ * Read the settings that change how the package manager treats peer dependencies: npm's
+ * `legacy-peer-deps` and `strict-peer-deps`, pnpm's `auto-install-peers`,
+ * `strict-peer-dependencies` and `peerDependencyRules` (from package.json "pnpm" or
+ * pnpm-workspace.yaml). `packageManager` is the result of detectPackageManager().
+ */
+function readPeerSettings(cwd, packageManager, packageJson, env = process.env) {
+  const npmrc = readNpmrc(cwd, env);
+  const major = packageManager.version ? semver.major(packageManager.version) : null;
+  const settings = {
+    packageManager: packageManager.name,
+    version: packageManager.version || null,
+    legacyPeerDeps: false,
+    strictPeerDeps: false,
+    autoInstallPeers: false,
+    rules: []
+  };
+
+  if (packageManager.name === 'npm') {
+    settings.legacyPeerDeps = toFlag(npmrc['legacy-peer-deps'], false);
+    settings.strictPeerDeps = toFlag(npmrc['strict-peer-deps'], false);
+    // npm 7 started installing peers; npm 6 and older only warn about them
+    settings.autoInstallPeers = !settings.legacyPeerDeps && (major === null || major >= 7);
+    if (settings.legacyPeerDeps) {
+      settings.rules.push({ type: 'legacy-peer-deps', source: '.npmrc', name: 'legacy-peer-deps=true' });
+    }
+  } else if (packageManager.name === 'pnpm') {
+    const workspace = readPnpmWorkspace(cwd);
+    // pnpm-workspace.yaml settings take precedence over .npmrc ones
+    settings.strictPeerDeps = toFlag(workspace.strictPeerDependencies, toFlag(npmrc['strict-peer-dependencies'], false));
+    settings.autoInstallPeers = toFlag(workspace.autoInstallPeers, toFlag(npmrc['auto-install-peers'], major === null || major >= 8));
+    settings.rules.push(
+      ...listPnpmRules((packageJson.pnpm || {}).peerDependencyRules, 'package.json'),
+      ...listPnpmRules(workspace.peerDependencyRules, 'pnpm-workspace.yaml')
+    );
+  }
+
+  return settings;
+}
+
+// Function to check whether a rule stops the package manager from reporting a finding
+function ruleSuppresses(rule, issue) {
+  if (rule.type === 'legacy-peer-deps') return true;
+  if (rule.type === 'ignoreMissing') return issue.status === 'missing' && matchesPattern(rule.pattern, issue.peer);
+  if (rule.type === 'allowAny') return issue.status !== 'missing' && matchesPattern(rule.pattern, issue.peer);
+  if (rule.type !== 'allowedVersions' || issue.status !== 'violated' || rule.pattern !== issue.peer) return false;
+  if (rule.parent && rule.parent !== issue.package) return false;
+  if (rule.parentRange && !(semver.validRange(rule.parentRange) && semver.satisfies(issue.version, rule.parentRange, SEMVER_OPTIONS))) {
+    return false;
+  }
+  return Boolean(semver.validRange(rule.range) && semver.satisfies(issue.installed, rule.range, SEMVER_OPTIONS));
+}
+
+// Function to work out whether a finding fails the install, only warns, or is suppressed, and why
+function classifyIssue(issue, settings) {
+  const rule = settings.rules.find(candidate => ruleSuppresses(candidate, issue));
+  if (rule) return { install: 'suppressed', reason: `${rule.name} (${rule.source})` };
+
+  const { packageManager, strictPeerDeps, autoInstallPeers } = settings;
+  if (issue.status === 'unknown') return { install: 'warn', reason: 'the range cannot be compared, so it is not enforced' };
+
+  if (packageManager === 'npm') {
+    if (!autoInstallPeers) return { install: 'warn', reason: 'npm 6 only warns about peers' };
+    if (issue.status === 'missing') return { install: 'warn', reason: 'npm installs missing peers' };
+    if (strictPeerDeps) return { install: 'fail', reason: 'strict-peer-deps=true' };
+    // npm refuses conflicts it cannot resolve for the project's own dependencies and overrides deeper ones
+    return issue.path.length <= 2
+      ? { install: 'fail', reason: 'npm refuses conflicting peers of direct dependencies (ERESOLVE)' }
+      : { install: 'warn', reason: 'npm overrides conflicting peers deeper in the tree' };
+  }
+
+  if (packageManager === 'pnpm') {
+    if (issue.status === 'missing' && autoInstallPeers) return { install: 'warn', reason: 'auto-install-peers installs it' };
+    return strictPeerDeps
+      ? { install: 'fail', reason: 'strict-peer-dependencies=true' }
+      : { install: 'warn', reason: 'pnpm only reports peer issues' };
+  }
+
+  return { install: 'warn', reason: `${packageManager} only reports peer issues` };
+}
+
+/**
+ * Label findings with what they mean for the next install: `install` is "fail", "warn" or
+ * "suppressed" and `installReason` says why. Suppressed findings drop to info severity, so
+ * they no longer gate CI.
+ */
+function applyPeerSettings(issues, settings) {
+  return issues.map(issue => {
+    const { install, reason } = classifyIssue(issue, settings);
+    return {
+      ...issue,
+      install,
+      installReason: reason,
+      severity: install === 'suppressed' ? 'info' : issue.severity
+    };
+  });
+}
+
+// Function to check whether any finding is still reported, i.e. not suppressed by a peer rule
+function hasActiveIssues(issues) {
+  return issues.some(issue => issue.install !== 'suppressed');
+}
+
+/**
+ * List the rules that no longer suppress any peer issue in the installed graph. Every unmet
+ * peer counts here, whatever the riskTolerance, dev and exclude settings, because the package
+ * manager checks them all.
+ */
+function findStaleRules(graph, project, settings) {
+  if (!graph || settings.rules.length === 0) return [];
+  const config = { ...project.config, riskTolerance: 'low', includeDevDependencies: true, excludePackages: [] };
+  const issues = findPeerIssues(graph, { ...project, config });
+
+  return settings.rules
+    .filter(rule => !issues.some(issue => ruleSuppresses(rule, issue)))
+    .map(rule => ({
+      rule: rule.name,
+      type: rule.type,
+      source: rule.source,
+      severity: 'info',
+      message: `${rule.name} (${rule.source}) no longer suppresses any peer issue`
+    }));
+}
+
+module.exports = {
+  INSTALL_IMPACTS,
+  readPeerSettings,
+  classifyIssue,
+  applyPeerSettings,
+  hasActiveIssues,
+  findStaleRules
+};
@@ -0,0 +1,432 @@
+/**
+ * Upgrade planner
+ * Works out the companion upgrades that keep every peer constraint satisfied after an upgrade
+ */
+
+const semver = require('semver');
+const { fetchPackument, resolveVersion } = require('./registry');
+const { parseSpec } = require('./spec');
+const { DEFAULTS, isExcluded, dependencyFields } = require('./config');
+const { summarizeFindings } = require('./severity');
+const { detectPackageManager } = require('./package-manager');
+const { loadProject } = require('./check');
+const { getInstalledManifest, isDevOnly } = require('./project');
+const { loadAnalysisGraph } = require('./peer-check');
+
+const SEMVER_OPTIONS = { includePrerelease: true };
+
+// Candidate versions tried per package at each step, newest first
+const MAX_CANDIDATES = 5;
+
+// Search states explored before giving up on a plan
+const SEARCH_LIMIT = 2000;
+
+// Install command and dev flag per package manager
+const INSTALL_COMMANDS = {
+  npm: { command: 'npm install', dev: '--save-dev' },
+  yarn: { command: 'yarn add', dev: '--dev' },
+  pnpm: { command: 'pnpm add', dev: '--save-dev' },
+  bun: { command: 'bun add', dev: '--dev' }
+};
+
+// Function to collect the project's direct dependencies with the version each one is at
+function readProjectPackages(project) {
+  const { cwd, config, packageJson } = project;
+  const packages = new Map();
+
+  for (const field of dependencyFields(config)) {
+    for (const [name, declared] of Object.entries(packageJson[field] || {})) {
+      if (packages.has(name) || isExcluded(name, config)) continue;
+      const spec = parseSpec(`${name}@${declared}`);
+      if (spec.error) continue;
+
+      const manifest = getInstalledManifest(name, cwd);
+      const minimum = !manifest && semver.validRange(spec.range) && semver.minVersion(spec.range);
+      const version = manifest ? manifest.version : minimum && minimum.version;
+      if (!version) continue;
+
+      packages.set(name, {
+        name,
+        registryName: spec.registryName,
+        version,
+        manifest,
+        dev: isDevOnly(packageJson, name)
+      });
+    }
+  }
+
+  return packages;
+}
+
+// Function to fetch a packument once per plan
+function getPackument(state, name) {
+  const registryName = state.packages.has(name) ? state.packages.get(name).registryName : name;
+  if (!state.packuments.has(registryName)) {
+    state.packuments.set(registryName, fetchPackument(registryName, state.project));
+  }
+  return state.packuments.get(registryName);
+}
+
+// Function to get the peer ranges of a package version, from node_modules when that version is installed
+async function getPeers(state, name, version) {
+  const known = state.packages.get(name);
+  if (known && known.manifest && known.manifest.version === version) {
+    return { peers: known.manifest.peerDependencies || {}, meta: known.manifest.peerDependenciesMeta || {} };
+  }
+
+  const packument = await getPackument(state, name);
+  const manifest = packument && packument.versions && packument.versions[version];
+  if (!manifest) return { peers: {}, meta: {} };
+  return { peers: manifest.peerDependencies || {}, meta: manifest.peerDependenciesMeta || {} };
+}
+
+// Function to get the installed version of a package, declared or not
+function getInstalledVersion(state, name) {
+  if (!state.installed.has(name)) {
+    const { graph } = state;
+    const node = graph.resolve(graph.root, name) || [...graph.nodes.values()].find(other => other !== graph.root && other.name === name);
+    state.installed.set(name, node ? node.version : null);
+  }
+  return state.installed.get(name);
+}
+
+// Function to list the undeclared installed packages still pulled in by packages an assignment keeps at their installed version
+function findRetained(state, assignment) {
+  const { graph } = state;
+  const kept = [...assignment]
+    .map(([name]) => graph.resolve(graph.root, name))
+    .filter(node => node && node.version === assignment.get(node.name));
+  const key = kept.map(node => node.name).sort().join('\0');
+  if (state.retained.has(key)) return state.retained.get(key);
+
+  const versions = new Map();
+  const seen = new Set(kept);
+  const queue = [...kept];
+  while (queue.length > 0) {
+    const node = queue.shift();
+    for (const name of Object.keys(node.dependencies || {})) {
+      const child = graph.resolve(node, name);
+      if (!child || seen.has(child)) continue;
+      seen.add(child);
+      if (!versions.has(child.name)) versions.set(child.name, child.version);
+      queue.push(child);
+    }
+  }
+  state.retained.set(key, versions);
+  return versions;
+}
+
+// Function to get the version a package is at: planned, or installed and still needed by what the plan keeps
+function getVersion(state, assignment, name) {
+  if (assignment.has(name)) return assignment.get(name);
+  // A transitive copy leaves with the last kept package depending on it, so it constrains nothing after that
+  return findRetained(state, assignment).get(name) || null;
+}
+
+// Function to list every unmet peer constraint between the packages of an assignment
+async function findViolations(state, assignment) {
+  const violations = [];
+
+  for (const [name, version] of assignment) {
+    const { peers, meta } = await getPeers(state, name, version);
+    for (const [peer, range] of Object.entries(peers)) {
+      if (isExcluded(peer, state.config) || !semver.validRange(range, SEMVER_OPTIONS)) continue;
+
+      const peerVersion = getVersion(state, assignment, peer);
+      const optional = Boolean(meta[peer] && meta[peer].optional);
+      if (!peerVersion && optional) continue;
+      if (peerVersion && semver.satisfies(peerVersion, range, SEMVER_OPTIONS)) continue;
+
+      violations.push({ name, version, peer, peerVersion, range, key: `${name}@${version}>${peer}@${peerVersion}` });
+    }
+  }
+
+  return violations;
+}
+
+// Function to check a candidate version against every package the plan has already settled
+async function fitsSettled(state, assignment, settled, name, version) {
+  const { peers } = await getPeers(state, name, version);
+  for (const [peer, range] of Object.entries(peers)) {
+    if (!settled.has(peer) || !semver.validRange(range, SEMVER_OPTIONS)) continue;
+    if (!semver.satisfies(assignment.get(peer), range, SEMVER_OPTIONS)) return false;
+  }
+
+  for (const other of settled) {
+    const { peers: otherPeers } = await getPeers(state, other, assignment.get(other));
+    const range = otherPeers[name];
+    if (range && semver.validRange(range, SEMVER_OPTIONS) && !semver.satisfies(version, range, SEMVER_OPTIONS)) {
+      return false;
+    }
+  }
+  return true;
+}
+
+// Function to list the published versions of a package that pass a test, preferring upgrades
+async function findCandidates(state, name, accepts) {
+  const packument = await getPackument(state, name);
+  if (!packument) return [];
+
+  const current = state.packages.has(name) ? state.packages.get(name).version : getInstalledVersion(state, name);
+  const versions = Object.entries(packument.versions || {})
+    .filter(([version, manifest]) => !manifest.deprecated && semver.valid(version))
+    .map(([version]) => version)
+    .filter(version => !semver.prerelease(version) || (current && semver.prerelease(current)))
+    .sort(semver.rcompare);
+
+  const matching = [];
+  for (const version of versions) {
+    if (await accepts(version)) matching.push(version);
+  }
+
+  // Moving forward is preferred; older versions are only offered when nothing newer fits
+  const forward = current ? matching.filter(version => semver.gte(version, current)) : matching;
+  return forward.length > 0 ? forward : matching;
+}
+
+// Function to list the moves that could fix a violation: change the peer, or change the package requiring it
+async function findMoves(state, assignment, settled, violation) {
+  const { name, peer, range } = violation;
+  const moves = [];
+
+  if (!settled.has(peer)) {
+    const candidates = await findCandidates(state, peer, async version =>
+      semver.satisfies(version, range) && fitsSettled(state, assignment, settled, peer, version));
+    moves.push(...candidates.slice(0, MAX_CANDIDATES).map(version => ({ name: peer, version, violation })));
+  }
+
+  if (!settled.has(name)) {
+    const peerVersion = violation.peerVersion;
+    const candidates = await findCandidates(state, name, async version => {
+      const { peers, meta } = await getPeers(state, name, version);
+      const accepted = !peers[peer] ||
+        (peerVersion ? semver.satisfies(peerVersion, peers[peer], SEMVER_OPTIONS) : Boolean(meta[peer] && meta[peer].optional));
+      return accepted && fitsSettled(state, assignment, settled, name, version);
+    });
+    moves.push(...candidates.slice(0, MAX_CANDIDATES).map(version => ({ name, version, violation })));
+  }
+
+  return moves;
+}
+
+// Function to explain why a violation cannot be fixed
+async function describeBlocker(state, settled, violation) {
+  const { name, version, peer, peerVersion, range } = violation;
+  const requested = state.targets.has(peer) ? 'you asked for' : 'the plan needs';
+  let message;
+
+  if (settled.has(name) && settled.has(peer)) {
+    message = `${name}@${version} requires ${peer} ${range}, but ${requested} ${peer}@${peerVersion}`;
+  } else if (!settled.has(name)) {
+    const packument = await getPackument(state, name);
+    const latest = packument && packument['dist-tags'] && packument['dist-tags'].latest;
+    const latestRange = latest && (await getPeers(state, name, latest)).peers[peer];
+    const accepted = peerVersion ? `${peer}@${peerVersion}` : `a project without ${peer}`;
+    message = `No published version of ${name} accepts ${accepted}` +
+      (latestRange ? ` (latest ${name}@${latest} requires ${peer} ${latestRange})` : '');
+  } else {
+    message = `No published version of ${peer} satisfies ${range} (required by ${name}@${version}) and fits the rest of the plan`;
+  }
+
+  return { name, version, peer, peerVersion, range, message, severity: 'error' };
+}
+
+// Function to search for an assignment with no new violations, changing at most `budget` more packages
+async function search(state, assignment, settled, budget, reasons) {
+  if (++state.explored > SEARCH_LIMIT) {
+    state.exhausted = true;
+    return null;
+  }
+
+  const violation = (await findViolations(state, assignment)).find(found => !state.baseline.has(found.key));
+  if (!violation) return { assignment, reasons };
+
+  if (budget === 0) {
+    state.cutoff = true;
+    return null;
+  }
+
+  const moves = await findMoves(state, assignment, settled, violation);
+  if (moves.length === 0) {
+    const blocker = await describeBlocker(state, settled, violation);
+    if (!state.blockers.some(existing => existing.message === blocker.message)) state.blockers.push(blocker);
+    return null;
+  }
+
+  for (const move of moves) {
+    const next = new Map(assignment).set(move.name, move.version);
+    const nextReasons = new Map(reasons).set(move.name, move.violation);
+    const found = await search(state, next, new Set(settled).add(move.name), budget - 1, nextReasons);
+    if (found || state.exhausted) return found;
+  }
+  return null;
+}
+
+// Function to order plan steps so every package comes after the peers it requires
+async function orderSteps(state, steps, assignment) {
+  const remaining = [...steps].sort((a, b) =>
+    Number(b.reason === null) - Number(a.reason === null) || a.name.localeCompare(b.name));
+  const ordered = [];
+
+  while (remaining.length > 0) {
+    const pending = new Set(remaining.map(step => step.name));
+    let index = 0;
+    for (let i = 0; i < remaining.length; i++) {
+      const { peers } = await getPeers(state, remaining[i].name, assignment.get(remaining[i].name));
+      if (!Object.keys(peers).some(peer => peer !== remaining[i].name && pending.has(peer))) {
+        index = i;
+        break;
+      }
+    }
+    ordered.push(...remaining.splice(index, 1));
+  }
+
+  return ordered;
+}
+
+// Function to build the install commands for a plan, dev dependencies separately
+function buildCommands(steps, packageManager) {
+  const { command, dev } = INSTALL_COMMANDS[packageManager] || INSTALL_COMMANDS.npm;
+  const install = step => (step.alias ? `${step.name}@npm:${step.alias}@${step.to}` : `${step.name}@${step.to}`);
+  const commands = [];
+
+  const production = steps.filter(step => !step.dev);
+  const development = steps.filter(step => step.dev);
+  if (production.length > 0) commands.push(`${command} ${production.map(install).join(' ')}`);
+  if (development.length > 0) commands.push(`${command} ${dev} ${development.map(install).join(' ')}`);
+  return commands;
+}
+
+/**
+ * Build the search state for a project: its direct dependencies, the packuments fetched so far
+ * and the peer constraints that are already unmet, which plans and impact checks leave alone.
+ */
+async function createPlanState(project) {
+  const packages = readProjectPackages(project);
+  const state = {
+    project,
+    config: project.config,
+    graph: loadAnalysisGraph(project, detectPackageManager(project.cwd, project.config).name),
+    packages,
+    targets: new Map(),
+    packuments: new Map(),
+    installed: new Map(),
+    retained: new Map(),
+    initial: new Map([...packages.values()].filter(entry => entry.version).map(entry => [entry.name, entry.version])),
+    baseline: new Set(),
+    blockers: [],
+    explored: 0,
+    cutoff: false,
+    exhausted: false
+  };
+
+  for (const violation of await findViolations(state, state.initial)) state.baseline.add(violation.key);
+  return state;
+}
+
+/**
+ * List the peer constraints that moving packages to new versions would break.
+ * `changes` maps package names to versions; constraints unmet before the change are left out.
+ */
+async function findNewViolations(state, changes) {
+  const assignment = new Map(state.initial);
+  for (const [name, version] of changes) assignment.set(name, version);
+  return (await findViolations(state, assignment)).filter(violation => !state.baseline.has(violation.key));
+}
+
+// Function to plan the upgrades needed alongside "name@version" targets
+async function planUpgrade(specs, options = {}) {
+  const config = options.config || DEFAULTS;
+  const project = loadProject(options.cwd || process.cwd(), config);
+  const state = await createPlanState(project);
+  const { packages, initial } = state;
+
+  const result = {
+    targets: [],
+    solved: false,
+    steps: [],
+    commands: [],
+    blockers: [],
+    packageManager: null,
+    summary: summarizeFindings([]),
+    error: null
+  };
+
+  // Targets are resolved first, exactly like `pdc check`
+  for (const spec of [].concat(specs)) {
+    const parsed = parseSpec(spec);
+    if (parsed.error) {
+      result.error = `Cannot analyze ${spec}: ${parsed.error}`;
+      return result;
+    }
+    if (!packages.has(parsed.name)) {
+      packages.set(parsed.name, {
+        name: parsed.name,
+        registryName: parsed.registryName,
+        version: null,
+        manifest: getInstalledManifest(parsed.name, project.cwd),
+        dev: false
+      });
+    }
+    const version = await resolveVersion(parsed.registryName, parsed.range, project);
+    if (!version) {
+      result.error = `Could not resolve ${spec}`;
+      return result;
+    }
+    state.targets.set(parsed.name, version);
+    result.targets.push({ spec, name: parsed.name, version });
+  }
+
+  const start = new Map(initial);
+  for (const [name, version] of state.targets) start.set(name, version);
+  const settled = new Set(state.targets.keys());
+
+  // Deepen one companion upgrade at a time, so the first plan found changes the fewest packages
+  let found = null;
+  for (let budget = 0; !found; budget++) {
+    state.blockers = [];
+    state.cutoff = false;
+    found = await search(state, start, settled, budget, new Map());
+    if (!state.cutoff || state.exhausted) break;
+  }
+
+  result.packageManager = detectPackageManager(project.cwd, config).name;
+
+  if (!found) {
+    result.blockers = state.exhausted && state.blockers.length === 0
+      ? [{ name: null, message: `Gave up after trying ${SEARCH_LIMIT} combinations`, severity: 'error' }]
+      : state.blockers;
+    result.summary = summarizeFindings(result.blockers);
+    return result;
+  }
+
+  const steps = [];
+  for (const [name, to] of found.assignment) {
+    const from = initial.get(name) || getInstalledVersion(state, name) || null;
+    if (from === to) continue;
+
+    const entry = packages.get(name);
+    const violation = found.reasons.get(name);
+    steps.push({
+      name,
+      alias: entry && entry.registryName !== name ? entry.registryName : null,
+      from,
+      to,
+      change: !from ? 'add' : semver.lt(to, from) ? 'downgrade' : 'upgrade',
+      dev: Boolean(entry && entry.dev),
+      reason: violation ? `${violation.name}@${violation.version} requires ${violation.peer} ${violation.range}` : null
+    });
+  }
+
+  result.solved = true;
+  result.steps = await orderSteps(state, steps, found.assignment);
+  result.commands = buildCommands(result.steps, result.packageManager);
+  return result;
+}
+
+module.exports = {
+  planUpgrade,
+  createPlanState,
+  findNewViolations,
+  buildCommands
+};
@@ -0,0 +1,76 @@
+/**
+ * Project introspection
+ * Reads what the current project declares and has installed
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const DEPENDENCY_FIELDS = ['dependencies', 'devDependencies', 'optionalDependencies', 'peerDependencies'];
+
+// Function to read and parse a JSON file, returning null when unavailable
+function readJson(filePath) {
+  try {
+    return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  } catch {
+    return null;
+  }
+}
+
+// Function to read the project's package.json
+function readPackageJson(cwd = process.cwd()) {
+  return readJson(path.join(cwd, 'package.json')) || {};
+}
+
+// Function to get the range a project declares for a package
+function getDeclaredRange(packageJson, packageName, fields = DEPENDENCY_FIELDS) {
+  for (const field of fields) {
+    if (packageJson[field] && packageJson[field][packageName]) {
+      return packageJson[field][packageName];
+    }
+  }
+  return null;
+}
+
+// Function to get the manifest of an installed package
+function getInstalledManifest(packageName, cwd = process.cwd()) {
+  return readJson(path.join(cwd, 'node_modules', packageName, 'package.json'));
+}
+
+// Function to list every top-level package in node_modules
+function listInstalledPackages(cwd = process.cwd()) {
+  const nodeModules = path.join(cwd, 'node_modules');
+  if (!fs.existsSync(nodeModules)) return [];
+
+  const names = [];
+  for (const entry of fs.readdirSync(nodeModules)) {
+    if (entry.startsWith('.')) continue;
+    if (entry.startsWith('@')) {
+      for (const scoped of fs.readdirSync(path.join(nodeModules, entry))) {
+        names.push(`${entry}/${scoped}`);
+      }
+    } else {
+      names.push(entry);
+    }
+  }
+
+  return names
+    .map(name => getInstalledManifest(name, cwd))
+    .filter(manifest => manifest && manifest.name && manifest.version);
+}
+
+// Function to check whether a package is only a devDependency of the project
+function isDevOnly(packageJson, packageName) {
+  return Boolean(packageJson.devDependencies && packageJson.devDependencies[packageName]) &&
+    !getDeclaredRange(packageJson, packageName, ['dependencies', 'optionalDependencies', 'peerDependencies']);
+}
+
+module.exports = {
+  DEPENDENCY_FIELDS,
+  readJson,
+  readPackageJson,
+  getDeclaredRange,
+  isDevOnly,
+  getInstalledManifest,
+  listInstalledPackages
+};
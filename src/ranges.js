@@ -0,0 +1,84 @@
+/**
+ * Semver range helpers
+ * Intersects peer ranges, prints them the way people write them and describes versions outside them
+ */
+
+const semver = require('semver');
+
+const SEMVER_OPTIONS = { includePrerelease: true };
+
+// Function to keep the tightest lower and upper bound of a comparator set
+function tighten(comparators) {
+  let lower = null;
+  let upper = null;
+  const exact = [];
+
+  for (const comparator of comparators) {
+    if (comparator.value === '') continue;
+    const { operator, semver: version } = comparator;
+    if (operator === '>=' || operator === '>') {
+      const cmp = lower ? semver.compare(version, lower.semver) : 1;
+      if (cmp > 0 || (cmp === 0 && operator === '>')) lower = comparator;
+    } else if (operator === '<=' || operator === '<') {
+      const cmp = upper ? semver.compare(version, upper.semver) : -1;
+      if (cmp < 0 || (cmp === 0 && operator === '<')) upper = comparator;
+    } else {
+      exact.push(comparator);
+    }
+  }
+
+  return [...exact, lower, upper].filter(Boolean);
+}
+
+/**
+ * Intersect semver ranges into the range of versions that satisfies all of them.
+ * Returns "*" for no ranges and null when no version can satisfy every range.
+ * Invalid ranges (tags, URLs) are ignored.
+ * @param {string[]} ranges
+ */
+function intersectRanges(ranges) {
+  let sets = [[]];
+
+  for (const range of ranges) {
+    if (!semver.validRange(range)) continue;
+    const next = new Map();
+    for (const set of sets) {
+      for (const comparators of new semver.Range(range).set) {
+        const combined = tighten([...set, ...comparators]);
+        const text = combined.map(comparator => comparator.value).join(' ') || '*';
+        if (next.has(text) || !semver.minVersion(text)) continue;
+        // An exact version that passed the bounds says everything the set says
+        const exact = combined.find(comparator => comparator.operator === '' || comparator.operator === '=');
+        next.set(text, exact ? [exact] : combined);
+      }
+    }
+    sets = [...next.values()];
+    if (sets.length === 0) return null;
+  }
+
+  return sets.map(set => set.map(comparator => comparator.value).join(' ') || '*').join(' || ');
+}
+
+// Function to print a normalized range without the "-0" suffixes semver adds to upper bounds
+function formatRange(range) {
+  return range.replace(/<(\d+\.\d+\.\d+)-0\b/g, '<$1');
+}
+
+// Function to describe how far a version sits outside a range
+function describeGap(version, range) {
+  if (semver.gtr(version, range, SEMVER_OPTIONS)) {
+    return 'newer than the range allows';
+  }
+  if (semver.ltr(version, range, SEMVER_OPTIONS)) {
+    const minimum = semver.minVersion(range);
+    const diff = minimum && semver.diff(version, minimum);
+    return diff ? `${diff} version behind ${minimum.version}` : 'older than the range allows';
+  }
+  return 'between the allowed ranges';
+}
+
+module.exports = {
+  describeGap,
+  intersectRanges,
+  formatRange
+};
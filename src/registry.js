@@ -0,0 +1,170 @@
+/**
+ * Registry lookups for package metadata
+ * Fetches packuments over HTTP (honoring .npmrc), cached on disk and revalidated with ETags
+ */
+
+const semver = require('semver');
+const { DEFAULTS } = require('./config');
+const { getCacheDirectory, readEntry, writeEntry, isFresh } = require('./cache');
+const { readNpmrc, getRegistryFor, getAuthHeader } = require('./npmrc');
+
+const DEFAULT_REGISTRY = 'https://registry.npmjs.org/';
+
+// Abbreviated metadata still carries versions, dist-tags, peers and engines
+const PACKUMENT_ACCEPT = 'application/vnd.npm.install-v1+json; q=1.0, application/json; q=0.8';
+
+// Manifest fields kept in the cache; the rest of a packument (dist, bin, scripts...) is never read
+const MANIFEST_FIELDS = [
+  'version', 'dependencies', 'optionalDependencies', 'peerDependencies', 'peerDependenciesMeta', 'engines', 'deprecated'
+];
+
+// Function to drop the packument fields pdc does not use before caching it
+function slimPackument(packument) {
+  const versions = {};
+  for (const [version, manifest] of Object.entries(packument.versions || {})) {
+    versions[version] = Object.fromEntries(MANIFEST_FIELDS
+      .filter(field => manifest[field] !== undefined)
+      .map(field => [field, manifest[field]]));
+  }
+  return { name: packument.name, 'dist-tags': packument['dist-tags'] || {}, versions };
+}
+
+// Requests in flight, so concurrent lookups of one package share a single request
+const inFlight = new Map();
+
+// Function to get the packument URL of a package ("@scope/name" keeps its @ but escapes the slash)
+function packumentUrl(packageName, registry) {
+  return `${registry}${packageName.replace('/', '%2f')}`;
+}
+
+/**
+ * Fetch a package's packument, using the on-disk cache while it is fresh.
+ * Stale entries are revalidated with If-None-Match; when the registry cannot be
+ * reached a stale entry is still used. Resolves to null when nothing is available.
+ * @param {string} packageName
+ * @param {object} [context] - { cwd, config, npmrc (settings from readNpmrc) }
+ */
+async function fetchPackument(packageName, context = {}) {
+  const config = context.config || DEFAULTS;
+  const npmrc = context.npmrc || readNpmrc(context.cwd);
+  const url = packumentUrl(packageName, getRegistryFor(packageName, npmrc, config, DEFAULT_REGISTRY));
+  const directory = getCacheDirectory(config, context.cwd);
+  const cached = readEntry(directory, url);
+  if (isFresh(cached, config)) return cached.data;
+
+  if (!inFlight.has(url)) {
+    const request = requestPackument(url, cached, { directory, npmrc, config });
+    inFlight.set(url, request);
+    // Callers get the request itself and handle its rejection; the cleanup chain must not surface it again
+    request.finally(() => inFlight.delete(url)).catch(() => {});
+  }
+  return inFlight.get(url);
+}
+
+// Function to request a packument, revalidating the cached copy when there is one
+async function requestPackument(url, cached, { directory, npmrc, config }) {
+  const headers = { accept: PACKUMENT_ACCEPT };
+  if (cached && cached.etag) headers['if-none-match'] = cached.etag;
+
+  let response;
+  try {
+    const authorization = getAuthHeader(url, npmrc);
+    if (authorization) headers.authorization = authorization;
+    response = await fetch(url, { headers, signal: AbortSignal.timeout(config.timeout) });
+  } catch {
+    return cached ? cached.data : null;
+  }
+
+  if (response.status === 304 && cached) {
+    return writeEntry(directory, url, { etag: cached.etag, data: cached.data }).data;
+  }
+  if (!response.ok) {
+    return response.status === 404 || !cached ? null : cached.data;
+  }
+
+  try {
+    const data = slimPackument(await response.json());
+    return writeEntry(directory, url, { etag: response.headers.get('etag'), data }).data;
+  } catch {
+    return cached ? cached.data : null;
+  }
+}
+
+/**
+ * Fetch several packuments at once, at most `config.concurrency` requests at a time.
+ * Resolves to a Map of package name -> packument (null when unavailable).
+ * @param {string[]} packageNames
+ * @param {object} [context] - { cwd, config }
+ */
+async function fetchPackuments(packageNames, context = {}) {
+  const config = context.config || DEFAULTS;
+  const shared = { ...context, npmrc: context.npmrc || readNpmrc(context.cwd) };
+  const names = [...new Set(packageNames)];
+  const packuments = await mapWithConcurrency(names, config.concurrency, name => fetchPackument(name, shared));
+  return new Map(names.map((name, index) => [name, packuments[index]]));
+}
+
+// Function to map items through an async function with at most `limit` calls pending
+async function mapWithConcurrency(items, limit, mapper) {
+  const results = new Array(items.length);
+  let next = 0;
+  const worker = async () => {
+    while (next < items.length) {
+      const index = next++;
+      results[index] = await mapper(items[index], index);
+    }
+  };
+  await Promise.all(Array.from({ length: Math.max(1, Math.min(limit, items.length)) }, worker));
+  return results;
+}
+
+// Function to pick the version npm would install for a tag or range from a packument
+function pickVersion(packument, range) {
+  const tags = packument['dist-tags'] || {};
+  if (tags[range]) return tags[range];
+  if (!semver.validRange(range)) return null;
+
+  // Like npm, prefer the latest tag when it satisfies the range
+  if (tags.latest && semver.satisfies(tags.latest, range)) return tags.latest;
+  return semver.maxSatisfying(Object.keys(packument.versions || {}), range);
+}
+
+// Function to resolve a tag or range to a concrete published version
+async function resolveVersion(packageName, range = 'latest', context = {}) {
+  if (semver.valid(range)) return range;
+
+  const packument = await fetchPackument(packageName, context);
+  return packument ? pickVersion(packument, range) : null;
+}
+
+// Function to get the manifest of one published version (null when it cannot be fetched)
+async function getManifest(packageName, version, context) {
+  const packument = await fetchPackument(packageName, context);
+  if (!packument) return null;
+
+  const resolved = semver.valid(version) ? version : pickVersion(packument, version);
+  return (resolved && packument.versions && packument.versions[resolved]) || null;
+}
+
+// Function to get peer dependencies for a package (null when it cannot be fetched)
+async function getPeerDependencies(packageName, version = 'latest', context = {}) {
+  const manifest = await getManifest(packageName, version, context);
+  return manifest ? manifest.peerDependencies || {} : null;
+}
+
+// Function to get peerDependenciesMeta for a package, e.g. { jiti: { optional: true } } (null when it cannot be fetched)
+async function getPeerDependenciesMeta(packageName, version = 'latest', context = {}) {
+  const manifest = await getManifest(packageName, version, context);
+  return manifest ? manifest.peerDependenciesMeta || {} : null;
+}
+
+module.exports = {
+  DEFAULT_REGISTRY,
+  fetchPackument,
+  fetchPackuments,
+  mapWithConcurrency,
+  pickVersion,
+  resolveVersion,
+  getPeerDependencies,
+  getPeerDependenciesMeta
+};
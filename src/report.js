@@ -0,0 +1,754 @@
+/**
+ * Terminal reports
+ * Turns API result objects into the emoji-decorated text the CLI prints
+ */
+
+const { isConflict } = require('./severity');
+const { formatRange } = require('./ranges');
+const { INSTALL_IMPACTS, hasActiveIssues } = require('./peer-rules');
+const { version: toolVersion } = require('../package.json');
+
+// Bump when a field is removed or changes meaning; additions keep the version
+const REPORT_SCHEMA_VERSION = 1;
+
+const RULE = '─'.repeat(40);
+const PEER_ICONS = { satisfied: '✅', violated: '❌', missing: '⚠️ ', unknown: '❔' };
+const INSTALL_ICONS = { fail: '⛔', warn: '💬', suppressed: '🔇' };
+
+// Function to describe a single evaluated peer
+function describePeer(peer) {
+  let detail;
+  if (peer.status === 'missing') {
+    detail = 'missing from project';
+  } else if (!peer.current && peer.optional) {
+    detail = 'not installed, which is fine';
+  } else if (peer.status === 'unknown') {
+    detail = 'range could not be evaluated';
+  } else {
+    detail = `${peer.status} (${peer.source} ${peer.current}${peer.gap ? `, ${peer.gap}` : ''})`;
+  }
+  return `${PEER_ICONS[peer.status]} ${peer.name} ${peer.range}${peer.optional ? ' (optional)' : ''} — ${detail}`;
+}
+
+// Function to describe a current peer issue, with the path that installs the package
+function describeIssue(issue) {
+  let icon = issue.severity === 'error' ? '❌' : '⚠️ ';
+  if (issue.install === 'suppressed') icon = INSTALL_ICONS.suppressed;
+  const lines = [`${icon} ${issue.message}`];
+  if (issue.path && issue.path.length > 1) {
+    lines.push(`   via ${issue.path.join(' › ')}`);
+  }
+  if (issue.install) {
+    lines.push(`   ${INSTALL_ICONS[issue.install]} ${INSTALL_IMPACTS[issue.install]}: ${issue.installReason}`);
+  }
+  return lines;
+}
+
+// Function to describe a shared peer that workspaces resolve differently
+function describeDrift(drift) {
+  const icon = drift.severity === 'error' ? '❌' : '⚠️ ';
+  const usages = drift.usages
+    .map(usage => `${usage.workspace}: ${usage.range}${usage.version ? ` (${usage.version})` : ''}`)
+    .join(' · ');
+  return [`${icon} ${drift.message}`, `   ${usages}`];
+}
+
+// Function to render the workspace drift section
+function renderDrift(lines, drift) {
+  lines.push('🔀 WORKSPACE DRIFT', RULE);
+  if (drift.length === 0) {
+    lines.push('Shared peers resolve to the same version in every workspace');
+  } else {
+    drift.forEach(entry => lines.push(...describeDrift(entry)));
+  }
+  lines.push('');
+}
+
+// Function to describe a package whose engines.node range leaves out a Node version the project targets
+function describeEngineIssue(finding) {
+  const icon = finding.severity === 'error' ? '❌' : '⚠️ ';
+  const label = finding.from ? `${finding.package} ${finding.from} → ${finding.version}` : `${finding.package}@${finding.version}`;
+  const previous = finding.from && finding.previousEngines !== finding.engines ? ` (was ${finding.previousEngines || 'any'})` : '';
+  const lines = [`${icon} ${label} requires node ${finding.engines}${previous}`];
+  finding.conflicts.forEach(conflict => lines.push(`   ${conflict.message}`));
+  if (finding.path && finding.path.length > 1) {
+    lines.push(`   via ${finding.path.join(' › ')}`);
+  }
+  return lines;
+}
+
+// Function to render the Node engines section of a scan
+function renderEngineSection(lines, engines) {
+  lines.push('🟢 NODE ENGINES', RULE);
+  const findings = [...engines.installed, ...engines.upgrades];
+  if (findings.length === 0) {
+    lines.push(`Installed packages and upgrades support ${engines.node.map(target => `${target.source} ${target.value}`).join(', ')}`);
+  } else {
+    findings.forEach(finding => lines.push(...describeEngineIssue(finding)));
+  }
+  lines.push('');
+}
+
+// Function to describe a singleton installed in several versions, copy by copy
+function describeDuplicate(duplicate) {
+  const lines = [`❌ ${duplicate.message}${duplicate.workspace ? ` [${duplicate.workspace}]` : ''}`];
+  duplicate.copies.forEach(copy => {
+    lines.push(`   ${copy.version}${copy.primary ? ' (resolved by the project)' : ''} via ${copy.path.join(' › ')}`);
+    copy.forcedBy.forEach(dependent => lines.push(`      forced: ${dependent.message}`));
+  });
+  return lines;
+}
+
+// Function to render the result of scan()
+function renderScan(result, options = {}) {
+  const lines = [];
+  const { outdated } = result;
+
+  if (options.quick) {
+    lines.push('⚡ Quick compatibility check...');
+    if (outdated.packages.length === 0) {
+      lines.push('✅ No immediate compatibility issues detected');
+    } else {
+      lines.push('⚠️  Some packages may need attention');
+      if (!options.brief) {
+        lines.push('   Run "pdc scan" for detailed analysis');
+      }
+    }
+    return lines.join('\n');
+  }
+
+  const { project } = result;
+  lines.push('🔍 Scanning your project...', '');
+
+  // 1. Project overview
+  lines.push(`📦 Project: ${project.name || 'unnamed'}`);
+  lines.push(`🔧 Package Manager: ${project.packageManager}${project.packageManagerVersion ? ` ${project.packageManagerVersion}` : ''}`);
+  lines.push(`📋 Dependencies: ${project.dependencies.production} production, ${project.dependencies.development === null ? 'skipped' : project.dependencies.development} development`);
+  if (project.workspaces.length > 0) {
+    lines.push(`🗂️  Workspaces: ${project.workspaces.length} (${project.workspaces.map(workspace => workspace.name).join(', ')})`);
+  }
+  if (project.analyzedWorkspaces) {
+    lines.push(`🎯 Analyzing: ${project.analyzedWorkspaces.join(', ')}`);
+  }
+  if (project.excludePackages.length > 0) {
+    lines.push(`🚫 Excluded: ${project.excludePackages.join(', ')}`);
+  }
+  lines.push('');
+
+  // 2. Outdated packages
+  lines.push('📈 OUTDATED PACKAGES', RULE);
+  if (outdated.packages.length === 0) {
+    lines.push('No outdated packages found or lockfile missing');
+  } else {
+    outdated.packages.forEach(pkg => {
+      lines.push(`${pkg.name}: ${pkg.current || 'not installed'} → ${pkg.latest}${pkg.updateType ? ` (${pkg.updateType})` : ''}`);
+    });
+  }
+  lines.push('');
+
+  // 3. Major upgrades available
+  if (!options.brief) {
+    lines.push('🚀 MAJOR UPGRADES AVAILABLE', RULE);
+    if (result.majorUpgrades.length === 0) {
+      lines.push('No major upgrades available');
+    } else {
+      result.majorUpgrades.forEach(pkg => lines.push(`${pkg.name}: ${pkg.current} → ${pkg.latest}`));
+    }
+    lines.push('');
+  }
+
+  // 4. Peer dependency issues
+  lines.push('🔗 PEER DEPENDENCY STATUS', RULE);
+  if (result.peerWarnings.length === 0) {
+    lines.push('No peer dependency warnings detected');
+  } else {
+    result.peerWarnings.forEach(warning => lines.push(...describeIssue(warning)));
+  }
+  lines.push('');
+
+  if (project.workspaces.length > 0) renderDrift(lines, result.drift);
+
+  // 5. Node engines
+  renderEngineSection(lines, result.engines);
+
+  // 6. Security audit
+  if (!options.brief) {
+    lines.push('🛡️  SECURITY STATUS', RULE);
+    const { audit } = result;
+    if (!audit.available) {
+      lines.push('Security audit unavailable');
+    } else if (audit.total === 0) {
+      lines.push('No security issues found');
+    } else {
+      const breakdown = Object.entries(audit.bySeverity)
+        .filter(([, count]) => count > 0)
+        .reverse()
+        .map(([severity, count]) => `${count} ${severity}`);
+      lines.push(`${audit.total} vulnerabilities found (${breakdown.join(', ')})`);
+    }
+    lines.push('');
+  }
+
+  // 7. Recommendations
+  lines.push('💡 RECOMMENDATIONS', RULE);
+  if (outdated.available && outdated.packages.length === 0) {
+    lines.push(`✅ ${result.recommendations[0].message}`);
+  } else {
+    lines.push('📝 Next steps:');
+    result.recommendations.forEach(recommendation => lines.push(`   • ${recommendation.message}`));
+  }
+
+  if (!options.brief) {
+    lines.push('', '🔍 For detailed analysis of specific packages:');
+    lines.push('   pdc check react@19 react-dom@19');
+    lines.push('   pdc analyze  # Deep peer dependency analysis');
+  }
+
+  return lines.join('\n');
+}
+
+// Function to render the result of analyzePeers()
+function renderAnalysis(result, options = {}) {
+  const lines = [];
+  const config = options.config;
+
+  if (options.brief) {
+    lines.push('🔗 Checking peer dependencies...');
+    if (result.error) {
+      lines.push(`⚠️  ${result.error}`);
+    } else if (!hasActiveIssues(result.currentIssues) && result.duplicates.length === 0) {
+      lines.push('✅ No peer dependency conflicts found');
+    } else {
+      lines.push('⚠️  Peer dependency issues detected');
+      lines.push('   Run "pdc analyze" for details');
+    }
+    return lines.join('\n');
+  }
+
+  lines.push('🔗 Analyzing peer dependencies...', '');
+
+  // 1. Current status
+  lines.push('📋 CURRENT PEER DEPENDENCY STATUS', RULE);
+  if (result.error) {
+    lines.push(`❔ ${result.error}`);
+  } else if (result.currentIssues.length === 0) {
+    lines.push('No peer dependency issues detected');
+  } else {
+    result.currentIssues.forEach(issue => lines.push(...describeIssue(issue)));
+  }
+  lines.push('');
+
+  if (result.peerSettings && result.peerSettings.rules.length > 0) {
+    lines.push('🧹 PEER RULES', RULE);
+    if (result.staleRules.length === 0) {
+      lines.push(`Every peer rule still suppresses a finding (${result.peerSettings.rules.length} rule(s))`);
+    } else {
+      result.staleRules.forEach(stale => lines.push(`🗑️  ${stale.message}`));
+    }
+    lines.push('');
+  }
+
+  lines.push('👯 DUPLICATE SINGLETONS', RULE);
+  if (result.duplicates.length === 0) {
+    lines.push('Every singleton package has a single installed version');
+  } else {
+    result.duplicates.forEach(duplicate => lines.push(...describeDuplicate(duplicate)));
+  }
+  lines.push('');
+
+  if (result.workspaces.length > 0) {
+    lines.push('🗂️  WORKSPACES', RULE);
+    result.workspaces.forEach(workspace => {
+      const issues = workspace.currentIssues.filter(issue => issue.install !== 'suppressed').length;
+      const conflicts = workspace.potentialConflicts.length;
+      lines.push(`${issues === 0 ? '✅' : '❌'} ${workspace.name} (${workspace.dir}): ${issues} peer issue(s), ${conflicts} upgrade conflict(s)`);
+    });
+    lines.push('');
+    renderDrift(lines, result.drift);
+  }
+
+  // 2. Potential conflicts analysis
+  lines.push('⚠️  POTENTIAL UPGRADE CONFLICTS', RULE);
+  if (result.potentialConflicts.length === 0) {
+    lines.push('✅ No major peer dependency conflicts detected');
+  } else {
+    result.potentialConflicts.forEach(conflict => {
+      const blocked = conflict.peers.some(peer => isConflict(peer.status, config));
+      const workspace = conflict.workspace ? ` [${conflict.workspace}]` : '';
+      lines.push(`📦 ${conflict.package}@${conflict.current} → ${conflict.latest}${workspace}${blocked ? ' (conflicts)' : ''}`);
+      lines.push('   Peer dependencies:');
+      conflict.peers.forEach(peer => lines.push(`   ${describePeer(peer)}`));
+      lines.push('');
+    });
+  }
+
+  // 3. Recommendations
+  lines.push('💡 RECOMMENDATIONS', RULE);
+  if (!result.error && !hasActiveIssues(result.currentIssues)) {
+    const [headline, ...rest] = result.recommendations;
+    lines.push(`✅ ${headline.message}`);
+    rest.forEach(recommendation => lines.push(`   • ${recommendation.message}`));
+  } else {
+    lines.push('📝 Action needed:');
+    result.recommendations.forEach(recommendation => lines.push(`   • ${recommendation.message}`));
+  }
+
+  lines.push('', '🔍 For specific package analysis:');
+  lines.push('   pdc check react@19 react-dom@19');
+  lines.push('   pdc scan  # Full project analysis');
+
+  return lines.join('\n');
+}
+
+// Function to name a checked package, noting aliases and the tag or range it was resolved from
+function describeTarget(result) {
+  const notes = [];
+  if (result.alias) notes.push(`npm:${result.alias}`);
+  if (result.requested && result.requested !== result.version) notes.push(`from ${result.requested}`);
+  return `${result.name}@${result.version}${notes.length > 0 ? ` (${notes.join(', ')})` : ''}`;
+}
+
+// Function to render the results of checkUpgrade()
+function renderCheck(results, options = {}) {
+  const lines = [`🧪 Testing ${results.length} package(s)...`, ''];
+  const config = options.config;
+
+  results.forEach(result => {
+    if (result.skipped) {
+      lines.push(`⏭️  ${result.spec}`, '   └── Skipped (excluded by config)', '');
+      return;
+    }
+
+    if (result.error) {
+      lines.push(`❌ ${result.spec}`, `   └── Error: ${result.error}`, '');
+      return;
+    }
+
+    const conflicts = result.peers.filter(peer => isConflict(peer.status, config)).length +
+      result.dependents.filter(dependent => dependent.status === 'violated').length;
+    lines.push(`${conflicts === 0 ? '✅' : '❌'} ${describeTarget(result)}`);
+
+    if (result.peers.length === 0) {
+      lines.push('   └── No peer dependencies required');
+    } else {
+      lines.push('   Peer dependencies:');
+      result.peers.forEach(peer => lines.push(`   ${describePeer(peer)}`));
+    }
+
+    const rejecting = result.dependents.filter(dependent => dependent.status === 'violated');
+    if (rejecting.length > 0) {
+      lines.push(`   Installed packages rejecting ${result.name}@${result.version}:`);
+      rejecting.forEach(dependent => {
+        lines.push(`   ❌ ${dependent.name}@${dependent.version} requires ${result.name} ${dependent.range}`);
+      });
+    }
+    lines.push('');
+  });
+
+  const blocked = results.filter(result => !result.error && !result.skipped && result.summary.errors > 0);
+  if (blocked.length > 0) {
+    lines.push(`💡 Run "pdc plan ${blocked.map(result => result.spec).join(' ')}" for the companion upgrades that resolve these conflicts`);
+  }
+
+  return lines.join('\n');
+}
+
+// Function to render the result of planUpgrade()
+function renderPlan(result) {
+  const targets = result.targets.map(target => `${target.name}@${target.version}`).join(', ');
+  const lines = [`🧭 Planning upgrade to ${targets || 'the requested packages'}...`, ''];
+
+  if (result.error) {
+    lines.push(`❌ ${result.error}`);
+    return lines.join('\n');
+  }
+
+  if (!result.solved) {
+    lines.push('❌ NO CONSISTENT PLAN', RULE);
+    result.blockers.forEach(blocker => lines.push(`❌ ${blocker.message}`));
+    lines.push('', '💡 Pick a different target version, or ask the blocking package\'s maintainers for a wider peer range');
+    return lines.join('\n');
+  }
+
+  const companions = result.steps.filter(step => step.reason).length;
+  lines.push(`📋 UPGRADE PLAN (${companions} companion upgrade(s))`, RULE);
+  result.steps.forEach((step, index) => {
+    const change = step.from ? `${step.from} → ${step.to}` : `add ${step.to}`;
+    lines.push(`${index + 1}. ${step.name} ${change}${step.change === 'downgrade' ? ' (downgrade)' : ''}${step.dev ? ' [dev]' : ''}`);
+    lines.push(`   └── ${step.reason || 'Requested'}`);
+  });
+
+  lines.push('', '📦 INSTALL', RULE);
+  result.commands.forEach(command => lines.push(command));
+  return lines.join('\n');
+}
+
+// Function to render the result of whyPeer()
+function renderWhy(result) {
+  const lines = [`🔎 Why ${result.name}?`, ''];
+
+  if (result.installed.length === 0) {
+    lines.push(`📦 ${result.name} is not installed`);
+  } else {
+    result.installed.forEach(copy => lines.push(`📦 Installed: ${result.name}@${copy.version}${copy.location ? ` (${copy.location})` : ''}`));
+  }
+  lines.push('');
+
+  if (result.dependents.length === 0) {
+    lines.push(`✅ No installed package declares ${result.name} as a peer`);
+    return lines.join('\n');
+  }
+
+  lines.push(`🔗 PEER DEPENDENTS (${result.dependents.length})`, RULE);
+  result.dependents.forEach(dependent => {
+    const icon = dependent.severity === 'error' ? '❌' : dependent.severity === 'warning' ? '⚠️ ' : '✅';
+    const state = dependent.installed
+      ? `${dependent.status} by ${dependent.installed}${dependent.gap ? ` (${dependent.gap})` : ''}`
+      : dependent.optional ? 'not installed' : 'missing';
+    lines.push(`${icon} ${dependent.package}@${dependent.version} accepts ${dependent.range}${dependent.optional ? ' (optional)' : ''} — ${state}`);
+    if (dependent.path && dependent.path.length > 1) {
+      lines.push(`   via ${dependent.path.join(' › ')}`);
+    }
+  });
+
+  lines.push('', '🎯 SATISFIES EVERY DEPENDENT', RULE);
+  if (!result.satisfiable) {
+    lines.push(`❌ No version of ${result.name} satisfies every range above`);
+  } else {
+    lines.push(`${result.name} ${formatRange(result.intersection)}`);
+    if (result.newest) lines.push(`Newest published match: ${result.name}@${result.newest}`);
+  }
+  return lines.join('\n');
+}
+
+// Matrix cell icons; all but "none" are two columns wide in a terminal
+const MATRIX_CELLS = { accepted: '✅', rejected: '❌', missing: '➕', unknown: '❔', none: '·' };
+
+// Function to pad a matrix cell to a column width
+function padCell(status, width) {
+  return MATRIX_CELLS[status] + ' '.repeat(Math.max(0, width - (status === 'none' ? 1 : 2)));
+}
+
+// Function to render the result of buildMatrix()
+function renderMatrix(result) {
+  const lines = [`🧮 ${result.name} compatibility (${result.range}, newest release per ${result.by})`, ''];
+  if (result.versions.length === 0) {
+    lines.push(`⚠️  No published ${result.name} release matches ${result.range}`);
+    return lines.join('\n');
+  }
+
+  const rows = [
+    ...result.dependents.map(row => ({ ...row, label: `${row.label}${row.optional ? ' (optional)' : ''}` })),
+    ...result.requires
+  ];
+  const summaryLabel = 'everyone satisfied';
+  const labelWidth = Math.max(summaryLabel.length, ...rows.map(row => row.label.length)) + 2;
+  const headers = result.versions.map(version => `${version}${result.installed.includes(version) ? '*' : ''}`);
+  const widths = headers.map(header => Math.max(header.length, 2) + 2);
+
+  lines.push(`${' '.repeat(labelWidth)}${headers.map((header, index) => header.padEnd(widths[index])).join('')}`.trimEnd());
+  if (rows.length === 0) {
+    lines.push(`No installed package declares ${result.name} as a peer`);
+  }
+  rows.forEach(row => {
+    lines.push(`${row.label.padEnd(labelWidth)}${row.cells.map((cell, index) => padCell(cell.status, widths[index])).join('')}`.trimEnd());
+  });
+  lines.push('─'.repeat(labelWidth + widths.reduce((total, width) => total + width, 0)));
+  const everyone = result.everyone.map((column, index) => padCell(column.satisfied ? 'accepted' : 'rejected', widths[index]));
+  lines.push(`${summaryLabel.padEnd(labelWidth)}${everyone.join('')}`.trimEnd());
+
+  lines.push('', '✅ accepted · ❌ rejected · ➕ peer not installed · ❔ range unreadable · · not required · * installed');
+  if (result.newest) {
+    lines.push(`🎯 Newest version everyone accepts: ${result.name}@${result.newest}`);
+  } else {
+    lines.push(`❌ No ${result.name} version in ${result.range} satisfies everyone`);
+  }
+  return lines.join('\n');
+}
+
+// Function to group consecutive rejected versions that were rejected for the same reasons
+function groupRejections(rejected) {
+  const groups = [];
+  for (const entry of rejected) {
+    const key = entry.reasons.map(reason => reason.message).join('\n');
+    const last = groups[groups.length - 1];
+    if (last && last.key === key) {
+      last.versions.push(entry.version);
+    } else {
+      groups.push({ key, versions: [entry.version], reasons: entry.reasons });
+    }
+  }
+  return groups;
+}
+
+// Function to render the result of resolveCompatible()
+function renderResolve(result) {
+  const lines = [`🎯 Newest ${result.name}${result.range ? `@${result.range}` : ''} that fits your project`, ''];
+  const context = [`latest: ${result.latest}`];
+  if (result.installed.length > 0) context.push(`installed: ${result.installed.join(', ')}`);
+
+  if (result.version) {
+    lines.push(`✅ ${result.name}@${result.version} (${context.join(', ')})`);
+  } else {
+    lines.push(`❌ No published version of ${result.name} fits (${context.join(', ')})`);
+  }
+
+  if (result.rejected.length > 0) {
+    lines.push('', `⏭️  NEWER VERSIONS REJECTED (${result.rejected.length})`, RULE);
+    groupRejections(result.rejected).forEach(group => {
+      const newest = group.versions[0];
+      const oldest = group.versions[group.versions.length - 1];
+      lines.push(group.versions.length === 1 ? newest : `${oldest} – ${newest} (${group.versions.length} versions)`);
+      group.reasons.forEach(reason => lines.push(`   ❌ ${reason.message}`));
+    });
+  }
+
+  if (result.commands.length > 0) {
+    lines.push('', '🚀 Install it:');
+    result.commands.forEach(command => lines.push(`   ${command}`));
+  }
+  return lines.join('\n');
+}
+
+// Function to render the result of checkEngines()
+function renderEngines(result) {
+  const lines = ['🟢 Node engines', ''];
+  result.node.forEach(target => {
+    lines.push(`📌 ${target.source}: ${target.value}${target.note ? ` (${target.note})` : ''}`);
+  });
+  lines.push('');
+
+  lines.push(`📦 INSTALLED PACKAGES (${result.installed.length})`, RULE);
+  if (result.error) {
+    lines.push(`❌ ${result.error}`);
+  } else if (result.installed.length === 0) {
+    lines.push('✅ Every installed package supports these Node versions');
+  } else {
+    result.installed.forEach(finding => lines.push(...describeEngineIssue(finding)));
+  }
+  lines.push('');
+
+  lines.push(`🚀 LATEST VERSIONS (${result.upgrades.length})`, RULE);
+  if (result.upgrades.length === 0) {
+    lines.push('✅ The latest version of every dependency supports these Node versions');
+  } else {
+    result.upgrades.forEach(finding => lines.push(...describeEngineIssue(finding)));
+  }
+  return lines.join('\n');
+}
+
+// Function to render the result of listUpgrades()
+function renderUpgrades(result) {
+  const lines = ['⬆️  AVAILABLE UPGRADES', RULE];
+
+  if (!result.available) {
+    lines.push(`⚠️  ${result.packageManager} could not report outdated packages`);
+    return lines.join('\n');
+  }
+  if (result.upgrades.length === 0) {
+    lines.push('✅ All packages are up to date!');
+    return lines.join('\n');
+  }
+
+  for (const [type, title] of [['patch', '🩹 Patch'], ['minor', '✨ Minor'], ['major', '💥 Major']]) {
+    const group = result.groups[type];
+    if (group.length === 0) continue;
+    lines.push(`${title} (${group.length})`);
+    group.forEach(upgrade => lines.push(`   ${upgrade.name}: ${upgrade.current} → ${upgrade.latest}${upgrade.dev ? ' [dev]' : ''}`));
+  }
+
+  lines.push('', '💡 Run "pdc upgrade -i" to pick upgrades, see their peer impact and install them');
+  return lines.join('\n');
+}
+
+// Function to render the result of installUpgrades(), followed by the fresh peer analysis
+function renderUpgradeInstall(result, options = {}) {
+  if (!result.installed) {
+    return `❌ ${result.error}`;
+  }
+  const lines = ['✅ Upgrades installed', '', '🔬 Peer analysis after the upgrade', ''];
+  lines.push(renderAnalysis(result.analysis, options));
+  return lines.join('\n');
+}
+
+// Function to render the result of findFixes(), with the package.json diffs
+function renderFixes(result, options = {}) {
+  const lines = [];
+
+  if (result.error) {
+    lines.push(`❌ ${result.error}`);
+  } else if (result.edits.length === 0) {
+    lines.push(result.unresolved.length === 0 ? '✅ No peer dependency issues to fix' : '⚠️  No package.json change resolves the current issues');
+  } else {
+    lines.push(`🔧 PROPOSED FIXES (${result.edits.length})`, RULE);
+    result.edits.forEach(edit => {
+      lines.push(`${edit.workspace ? `[${edit.workspace}] ` : ''}${edit.message}`);
+      edit.reasons.forEach(reason => lines.push(`   └── ${reason}`));
+    });
+    lines.push('');
+    result.files.forEach(file => lines.push(file.diff, ''));
+  }
+
+  if (result.unresolved.length > 0) {
+    lines.push('', '⚠️  NOT FIXED AUTOMATICALLY', RULE);
+    result.unresolved.forEach(issue => lines.push(`${issue.severity === 'error' ? '❌' : '⚠️ '} ${issue.message}`));
+    lines.push('💡 Run "pdc override" to force or relax these with overrides instead');
+  }
+
+  if (result.applied) {
+    lines.push('', renderFixesApplied(result));
+  } else if (result.edits.length > 0 && !options.confirming) {
+    lines.push('', '💡 Run "pdc fix --yes" to apply these changes');
+  }
+  return lines.join('\n').replace(/\n{3,}/g, '\n\n');
+}
+
+// Function to render the files applyFixes() wrote and the next step
+function renderFixesApplied(result) {
+  return [
+    `✅ Updated ${result.written.length > 0 ? result.written.join(', ') : 'nothing (already up to date)'}`,
+    `💡 Run "${result.packageManager} install" to install the changes, then "pdc analyze" to confirm`
+  ].join('\n');
+}
+
+// Function to print a JSON value with "//" comment lines above the entries that have notes
+function renderAnnotatedJson(value, notes, trail = [], indent = '') {
+  if (value === null || typeof value !== 'object') return JSON.stringify(value);
+  const inner = `${indent}  `;
+  const isList = Array.isArray(value);
+  const items = isList ? value.map(item => [item, item]) : Object.entries(value);
+  const lines = items.map(([key, item], index) => {
+    const comments = (notes.get([...trail, key].join('\0')) || []).map(note => `${inner}// ${note}\n`).join('');
+    const label = isList ? '' : `${JSON.stringify(key)}: `;
+    const comma = index < items.length - 1 ? ',' : '';
+    return `${comments}${inner}${label}${renderAnnotatedJson(item, notes, [...trail, key], inner)}${comma}`;
+  });
+  return `${isList ? '[' : '{'}\n${lines.join('\n')}\n${indent}${isList ? ']' : '}'}`;
+}
+
+// Function to render the result of findOverrides()
+function renderOverrides(result) {
+  const lines = [];
+
+  if (result.error) {
+    lines.push(`❌ ${result.error}`);
+  } else if (result.entries.length === 0) {
+    if (result.unresolved.length > 0) lines.push('⚠️  No override works around the current conflicts');
+    else lines.push(result.fixable.length > 0 ? '✅ No conflict needs an override' : '✅ No peer conflicts to override');
+  } else {
+    const notes = new Map();
+    result.entries.forEach(entry => {
+      const key = (entry.list ? [...entry.path, entry.value] : entry.path).join('\0');
+      notes.set(key, [...entry.conflicts, `→ ${entry.note}`]);
+    });
+    lines.push(`🧷 ${result.packageManager.toUpperCase()} OVERRIDES (${result.file})`, RULE);
+    lines.push(renderAnnotatedJson(result.block, notes), '');
+    if (result.written) {
+      lines.push(`✅ Updated ${result.file}, with a "//" note per entry`);
+      lines.push(`💡 Run "${result.packageManager} install" to apply the overrides, then "pdc analyze" to confirm`);
+    } else {
+      lines.push('💡 Run "pdc override --write" to add this block to package.json');
+    }
+  }
+
+  if (result.unresolved.length > 0) {
+    lines.push('', '⚠️  NOT OVERRIDDEN', RULE);
+    result.unresolved.forEach(issue => lines.push(`${issue.severity === 'error' ? '❌' : '⚠️ '} ${issue.message}`));
+  }
+  if (result.fixable.length > 0) {
+    lines.push('', '🔧 FIXED BY UPGRADING', RULE);
+    result.fixable.forEach(message => lines.push(`• ${message}`));
+    lines.push('💡 Run "pdc fix" for the upgrades that resolve these');
+  }
+  return lines.join('\n');
+}
+
+// Function to render checkUpgrade() results in the compact pre-install form
+function renderPrecheck(results) {
+  const lines = [`📦 Checking ${results.length} package(s) for conflicts...`, ''];
+
+  results.forEach(result => {
+    lines.push(`🔍 ${result.version ? `${result.spec} → ${result.version}` : result.spec}`);
+    if (result.skipped) {
+      lines.push('   └── Skipped (excluded by config)');
+    } else if (result.error) {
+      lines.push(`   └── ⚠️  ${result.error}`);
+    } else if (result.peers.length === 0) {
+      lines.push('   └── No peer dependencies required');
+    } else {
+      lines.push(`   └── Peer deps: ${result.peers.map(peer => `${peer.name}@${peer.range} (${peer.status})`).join(', ')}`);
+    }
+  });
+
+  return lines.join('\n');
+}
+
+// Function to format a byte count for humans
+function formatBytes(bytes) {
+  if (bytes < 1024) return `${bytes} B`;
+  if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+  return `${(bytes / 1024 / 1024).toFixed(1)} MB`;
+}
+
+// Function to render the result of getCacheStats()
+function renderCacheStats(stats) {
+  const lines = ['🗄️  REGISTRY CACHE', RULE];
+  lines.push(`📁 Directory: ${stats.directory}`);
+  if (stats.entries === 0) {
+    lines.push('Cache is empty');
+    return lines.join('\n');
+  }
+  lines.push(`📦 Packages: ${stats.entries} (${formatBytes(stats.bytes)})`);
+  lines.push(`✅ Fresh: ${stats.fresh}, revalidated on next use: ${stats.stale} (TTL ${Math.round(stats.ttl / 1000)}s)`);
+  lines.push(`🕐 Oldest: ${stats.oldest}`);
+  lines.push(`🕐 Newest: ${stats.newest}`);
+  return lines.join('\n');
+}
+
+// Function to render the result of clearCache()
+function renderCacheClear(result) {
+  return result.removed === 0
+    ? `✅ Cache already empty (${result.directory})`
+    : `🧹 Removed ${result.removed} cached package(s), ${formatBytes(result.bytes)} (${result.directory})`;
+}
+
+// Function to wrap API results in the versioned JSON document printed by --format json
+function renderJson(command, data) {
+  return JSON.stringify({
+    schemaVersion: REPORT_SCHEMA_VERSION,
+    tool: { name: 'peer-dependency-checker', version: toolVersion },
+    command,
+    generatedAt: new Date().toISOString(),
+    ...data
+  }, null, 2);
+}
+
+// Function to strip emojis and rules for outputFormat "minimal"
+function stripDecorations(text) {
+  return text
+    .replace(/[\p{Extended_Pictographic}\u2B50\uFE0F]\s*/gu, '')
+    .replace(/^─+$\n?/gm, '')
+    .replace(/\n{3,}/g, '\n\n');
+}
+
+module.exports = {
+  REPORT_SCHEMA_VERSION,
+  renderJson,
+  stripDecorations,
+  renderScan,
+  renderAnalysis,
+  renderCheck,
+  renderPrecheck,
+  renderPlan,
+  renderUpgrades,
+  renderFixes,
+  renderFixesApplied,
+  renderOverrides,
+  renderUpgradeInstall,
+  renderWhy,
+  renderMatrix,
+  renderResolve,
+  renderEngines,
+  renderCacheStats,
+  renderCacheClear
+};
@@ -0,0 +1,89 @@
+/**
+ * Newest compatible version
+ * Walks a package's published versions from newest to oldest and stops at the first one the project can take
+ */
+
+const semver = require('semver');
+const { summarizeFindings } = require('./severity');
+const { isDevOnly } = require('./project');
+const { buildCommands } = require('./plan');
+const { loadCandidates, getOwnPeers, acceptsVersion } = require('./matrix');
+
+// Function to list why the project cannot take a version: dependents rejecting it and its own unmet peers
+function findRejections(context, version) {
+  const reasons = context.dependents
+    .filter(dependent => acceptsVersion(dependent.range, version) === 'rejected')
+    .map(dependent => ({
+      type: 'dependent',
+      package: dependent.package,
+      range: dependent.range,
+      message: `${dependent.package}@${dependent.version} accepts ${context.name} ${dependent.range}`
+    }));
+
+  for (const peer of getOwnPeers(context, version)) {
+    const requirement = `requires ${peer.optional ? 'optional peer ' : ''}${peer.name} ${peer.range}`;
+    if (peer.status === 'missing') {
+      reasons.push({ type: 'peer', package: peer.name, range: peer.range, message: `${requirement}, which is not installed` });
+    } else if (peer.status === 'rejected') {
+      reasons.push({ type: 'peer', package: peer.name, range: peer.range, message: `${requirement}, but ${peer.installed} is installed` });
+    }
+  }
+  return reasons;
+}
+
+/**
+ * Find the newest published version of a package the project can take: its own peers are met
+ * by the installed tree and every installed package declaring it as a peer accepts it.
+ * Versions are tried from newest to oldest (within the spec's range, e.g. "eslint@^8");
+ * `rejected` explains each newer version that was passed over.
+ */
+async function resolveCompatible(spec, options = {}) {
+  const context = await loadCandidates(spec, options);
+  const { parsed, name, published, installed, packument } = context;
+  const range = parsed.type === 'tag' ? null : parsed.range;
+  const candidates = published.filter(version => !range || semver.satisfies(version, range)).reverse();
+
+  const result = {
+    name,
+    packageManager: context.packageManager,
+    range,
+    installed,
+    latest: (packument['dist-tags'] || {}).latest || candidates[0] || null,
+    version: null,
+    rejected: [],
+    commands: [],
+    summary: null
+  };
+
+  for (const version of candidates) {
+    const reasons = findRejections(context, version);
+    if (reasons.length === 0) {
+      result.version = version;
+      break;
+    }
+    result.rejected.push({ version, reasons });
+  }
+
+  if (result.version && !installed.includes(result.version)) {
+    const step = {
+      name,
+      to: result.version,
+      alias: parsed.type === 'alias' ? parsed.registryName : null,
+      dev: isDevOnly(context.project.packageJson, name)
+    };
+    result.commands = buildCommands([step], context.packageManager);
+  }
+
+  const findings = [];
+  if (!result.version) {
+    findings.push({ severity: 'error', message: `No published version of ${name}${range ? ` in ${range}` : ''} fits the project` });
+  } else if (installed.length > 0 && installed.every(version => semver.gt(version, result.version))) {
+    findings.push({ severity: 'warning', message: `${name}@${result.version} is older than the installed ${installed.join(', ')}` });
+  }
+  result.summary = summarizeFindings(findings);
+  return result;
+}
+
+module.exports = {
+  resolveCompatible
+};
@@ -0,0 +1,76 @@
+/**
+ * Finding severities and CLI exit codes
+ * Shared by every command so CI can gate on the same rules
+ */
+
+// Ordered from least to most severe
+const SEVERITY_LEVELS = ['info', 'warning', 'error'];
+
+// Severity reported for each peer status
+const SEVERITIES = {
+  satisfied: null,
+  violated: 'error',
+  missing: 'warning',
+  unknown: 'info'
+};
+
+// Peer statuses that count as conflicts at each riskTolerance level
+const CONFLICT_STATUSES = {
+  low: ['violated', 'missing', 'unknown'],
+  medium: ['violated', 'missing'],
+  high: ['violated']
+};
+
+const EXIT_CODES = {
+  clean: 0,
+  conflicts: 1,
+  incomplete: 2
+};
+
+// Function to count findings per severity and report the highest one
+function summarizeFindings(findings) {
+  const summary = { errors: 0, warnings: 0, info: 0, highest: null };
+
+  for (const finding of findings) {
+    if (!finding || !SEVERITY_LEVELS.includes(finding.severity)) continue;
+    if (finding.severity === 'error') summary.errors++;
+    else if (finding.severity === 'warning') summary.warnings++;
+    else summary.info++;
+
+    if (!summary.highest || SEVERITY_LEVELS.indexOf(finding.severity) > SEVERITY_LEVELS.indexOf(summary.highest)) {
+      summary.highest = finding.severity;
+    }
+  }
+
+  return summary;
+}
+
+// Function to decide whether a peer status is a conflict under the configured riskTolerance
+function isConflict(status, config = {}) {
+  return (CONFLICT_STATUSES[config.riskTolerance] || CONFLICT_STATUSES.medium).includes(status);
+}
+
+// Function to decide whether a summary reaches the configured failOn threshold
+function meetsThreshold(summary, failOn) {
+  if (!summary || !summary.highest || failOn === 'none') return false;
+  return SEVERITY_LEVELS.indexOf(summary.highest) >= SEVERITY_LEVELS.indexOf(failOn);
+}
+
+// Function to combine several summaries into one
+function mergeSummaries(summaries) {
+  return summarizeFindings(summaries.flatMap(summary => [
+    ...Array(summary.errors).fill({ severity: 'error' }),
+    ...Array(summary.warnings).fill({ severity: 'warning' }),
+    ...Array(summary.info).fill({ severity: 'info' })
+  ]));
+}
+
+module.exports = {
+  SEVERITY_LEVELS,
+  SEVERITIES,
+  EXIT_CODES,
+  isConflict,
+  summarizeFindings,
+  meetsThreshold,
+  mergeSummaries
+};
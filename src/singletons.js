@@ -0,0 +1,120 @@
+/**
+ * Duplicate singleton detection
+ * Finds packages that must be installed once (react, graphql...) but have several copies in the tree
+ */
+
+const semver = require('semver');
+const { isExcluded } = require('./config');
+const { dependencyPaths } = require('./peer-graph');
+
+// Packages that break at runtime when two copies are loaded (shared context, registries or instanceof checks)
+const SINGLETONS = [
+  'react', 'react-dom', 'react-native', 'react-router', 'react-router-dom', 'react-redux',
+  'preact', 'vue', 'vue-router', 'pinia', 'svelte', 'solid-js', '@angular/core', '@angular/common',
+  'graphql', '@apollo/client', 'styled-components', '@emotion/react', '@emotion/styled',
+  '@tanstack/react-query', 'mobx', 'mobx-react', 'three', 'yjs', 'prosemirror-model', 'prosemirror-view'
+];
+
+// Function to check whether a package must be a singleton, from the built-in list or config.singletons
+function isSingleton(packageName, config) {
+  return SINGLETONS.includes(packageName) ||
+    isExcluded(packageName, { excludePackages: config.singletons || [] });
+}
+
+// Function to find the packages whose dependency on a name resolves to a given copy
+function findDependents(graph, copy, reachable) {
+  const dependents = [];
+  for (const node of graph.nodes.values()) {
+    if (node.link || (reachable && !reachable.has(node.id))) continue;
+    if (node.dependencies[copy.name] === undefined) continue;
+    const resolved = graph.resolve(node, copy.name);
+    if (!resolved || resolved.id !== copy.id) continue;
+
+    // npm records the requested range; pnpm and yarn record the resolved instance instead
+    const requested = node.dependencies[copy.name];
+    dependents.push({
+      name: node.name,
+      version: node.version,
+      range: semver.validRange(requested) ? requested : null
+    });
+  }
+  return dependents;
+}
+
+// Function to describe why a copy cannot be deduped onto the primary version
+function describeForcing(dependent, name, primary) {
+  const who = dependent.version ? `${dependent.name}@${dependent.version}` : dependent.name;
+  if (!dependent.range) return `brought in by ${who}`;
+  return dependent.acceptsPrimary
+    ? `${who} requires ${name} ${dependent.range}, which ${primary} also satisfies (a dedupe should fix it)`
+    : `${who} requires ${name} ${dependent.range}, which ${primary} does not satisfy`;
+}
+
+/**
+ * Find singleton packages installed in more than one version.
+ * Each finding lists every copy with the path that brings it in and the dependents that pull
+ * it in; copies other than the one the root resolves say which dependent forces them.
+ * Passing a workspace node as `from` limits the search to what that workspace installs.
+ */
+function findDuplicateSingletons(graph, project, from = null) {
+  const { config } = project;
+  const start = from || graph.root;
+  const paths = dependencyPaths(graph, start);
+  const reachable = from ? new Set(paths.keys()) : null;
+
+  const copiesByName = new Map();
+  for (const node of graph.nodes.values()) {
+    if (node === graph.root || node.importer || node.link || !node.version) continue;
+    if (reachable && !reachable.has(node.id)) continue;
+    if (node.dev && !config.includeDevDependencies) continue;
+    if (isExcluded(node.name, config) || !isSingleton(node.name, config)) continue;
+    if (!copiesByName.has(node.name)) copiesByName.set(node.name, new Map());
+    // pnpm and yarn keep one instance per peer set; a singleton only cares about distinct versions
+    const byVersion = copiesByName.get(node.name);
+    if (!byVersion.has(node.version)) byVersion.set(node.version, []);
+    byVersion.get(node.version).push(node);
+  }
+
+  const findings = [];
+  for (const [name, byVersion] of copiesByName) {
+    if (byVersion.size < 2) continue;
+
+    const versions = [...byVersion.keys()].sort((a, b) => (semver.valid(a) && semver.valid(b) ? semver.compare(a, b) : a.localeCompare(b)));
+    const rootCopy = graph.resolve(start, name);
+    const primary = rootCopy && byVersion.has(rootCopy.version) ? rootCopy.version : versions[versions.length - 1];
+
+    const copies = versions.map(version => {
+      const nodes = byVersion.get(version);
+      const dependents = nodes.flatMap(node => findDependents(graph, node, reachable)).map(dependent => ({
+        ...dependent,
+        acceptsPrimary: dependent.range ? semver.satisfies(primary, dependent.range, { includePrerelease: true }) : null
+      }));
+      return {
+        version,
+        primary: version === primary,
+        locations: nodes.map(node => node.location),
+        path: paths.get(nodes[0].id) || [start.name, name],
+        dependents,
+        forcedBy: version === primary ? [] : dependents
+          .map(dependent => ({ ...dependent, message: describeForcing(dependent, name, primary) }))
+      };
+    });
+
+    findings.push({
+      package: name,
+      versions,
+      primary,
+      copies,
+      severity: 'error',
+      message: `${name} is installed in ${versions.length} versions (${versions.join(', ')}), but only one copy may be loaded`
+    });
+  }
+
+  return findings.sort((a, b) => a.package.localeCompare(b.package));
+}
+
+module.exports = {
+  SINGLETONS,
+  isSingleton,
+  findDuplicateSingletons
+};
@@ -0,0 +1,74 @@
+/**
+ * Package spec parser
+ * Understands what `npm install <spec>` accepts and says which specs can be analyzed
+ */
+
+const semver = require('semver');
+
+// New packages must be lowercase, but legacy names such as JSONStream are still installable
+const NAME_PATTERN = /^(@[a-z0-9-~][a-z0-9-._~]*\/)?[a-z0-9-~][a-z0-9-._~]*$/i;
+const TAG_PATTERN = /^[a-z0-9][a-z0-9-._]*$/i;
+
+// Specs that never reach the registry, with the reason they cannot be analyzed (first match wins)
+const UNANALYZABLE = [
+  { type: 'remote', pattern: /^https?:\/\//, reason: 'tarball URLs have no registry metadata to analyze' },
+  { type: 'file', pattern: /^(file:|\.{1,2}(\/|$)|\/|~\/)|\.(tgz|tar\.gz|tar)$/, reason: 'local file and directory specs have no registry metadata to analyze' },
+  { type: 'link', pattern: /^(link:|portal:|workspace:)/, reason: 'linked and workspace packages have no registry metadata to analyze' },
+  { type: 'git', pattern: /^(git\+|git:|github:|gitlab:|bitbucket:|gist:)|^[\w.-]+\/[\w.-]+(#.*)?$/, reason: 'git dependencies have no registry metadata to analyze' }
+];
+
+// Function to classify the part after "name@" (a version, range, tag or something else)
+function classifyRange(range) {
+  if (semver.valid(range)) return 'version';
+  if (semver.validRange(range)) return 'range';
+  if (TAG_PATTERN.test(range)) return 'tag';
+  return null;
+}
+
+// Function to build the result for a spec that cannot be analyzed
+function rejected(raw, name, type, reason) {
+  return { raw, name, registryName: name, type, range: null, error: reason };
+}
+
+/**
+ * Parse a package spec such as "react", "@types/react@18", "react@^19", "next@canary",
+ * "my-react@npm:react@18" or "github:user/repo".
+ * Returns { raw, name, registryName, type, range, error }: `name` is what the package is
+ * installed as, `registryName` what is fetched from the registry (they differ for npm:
+ * aliases), and `error` explains why a spec cannot be analyzed (null when it can).
+ * @param {string} raw
+ */
+function parseSpec(raw) {
+  const spec = String(raw).trim();
+
+  // Specs without a name: git shorthands ("user/repo"), paths and URLs
+  const bare = !spec.startsWith('@') && UNANALYZABLE.find(kind => kind.pattern.test(spec));
+  if (bare) return rejected(raw, null, bare.type, bare.reason);
+
+  const at = spec.indexOf('@', 1);
+  const name = at === -1 ? spec : spec.slice(0, at);
+  const range = at === -1 ? 'latest' : (spec.slice(at + 1) || 'latest');
+
+  if (!NAME_PATTERN.test(name) || name.length > 214) {
+    return rejected(raw, name, 'invalid', `"${name}" is not a valid package name`);
+  }
+
+  if (range.startsWith('npm:')) {
+    const target = parseSpec(range.slice(4));
+    if (target.error) return { ...target, raw, name, type: 'alias' };
+    if (target.type === 'alias') return rejected(raw, name, 'alias', 'aliases of aliases are not supported');
+    return { raw, name, registryName: target.registryName, type: 'alias', range: target.range, error: null };
+  }
+
+  const unanalyzable = UNANALYZABLE.find(kind => kind.pattern.test(range));
+  if (unanalyzable) return rejected(raw, name, unanalyzable.type, unanalyzable.reason);
+
+  const type = classifyRange(range);
+  if (!type) return rejected(raw, name, 'invalid', `"${range}" is not a version, range or dist-tag`);
+
+  return { raw, name, registryName: name, type, range, error: null };
+}
+
+module.exports = {
+  parseSpec
+};
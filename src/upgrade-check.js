@@ -1,213 +1,281 @@
-#!/usr/bin/env node
-
 /**
- * Clean, user-friendly upgrade compatibility checker
- * Focuses on actionable insights without debug noise
+ * Upgrade opportunity scanner
+ * Collects outdated packages, major upgrades, peer warnings, Node engine conflicts and audit results
  */
 
-const { execSync } = require('child_process');
-const fs = require('fs');
-const path = require('path');
-
-// Environment flags and command line arguments
-const QUICK_MODE = process.env.QUICK_MODE === 'true' || process.argv.includes('--quick');
-const BRIEF_MODE = process.env.BRIEF_MODE === 'true' || process.argv.includes('--brief');
-
-// Function to run commands silently and return results
-function runCommandSilent(command, fallback = null) {
-  try {
-    return execSync(command, { 
-      encoding: 'utf8', 
-      stdio: 'pipe',
-      timeout: 10000
-    }).trim();
-  } catch (error) {
-    return fallback;
-  }
+const semver = require('semver');
+const { DEFAULTS, isExcluded, dependencyFields } = require('./config');
+const { runCommandSilent, parseJsonOutput } = require('./exec');
+const { readPackageJson } = require('./project');
+const { detectPackageManager } = require('./package-manager');
+const { summarizeFindings } = require('./severity');
+const { getAnalysisTargets, loadAnalysisGraph, findCurrentIssues, getWorkspaceDrift } = require('./peer-check');
+const { readPeerSettings, applyPeerSettings, hasActiveIssues } = require('./peer-rules');
+const { readNodeTargets, findInstalledEngineIssues, findUpgradeEngineIssues } = require('./engines');
+
+const AUDIT_SEVERITIES = ['info', 'low', 'moderate', 'high', 'critical'];
+
+// Finding severity for each audit severity
+const AUDIT_FINDING_SEVERITIES = {
+  info: 'info',
+  low: 'info',
+  moderate: 'warning',
+  high: 'error',
+  critical: 'error'
+};
+
+// Function to check whether a package falls outside the configured analysis scope
+function isOutOfScope(packageName, packageJson, config) {
+  if (isExcluded(packageName, config)) return true;
+  const inScope = dependencyFields(config).some(field => packageJson[field] && packageJson[field][packageName]);
+  const declared = ['dependencies', 'devDependencies', 'optionalDependencies']
+    .some(field => packageJson[field] && packageJson[field][packageName]);
+  return declared && !inScope;
 }
 
-// Function to check if a command exists
-function commandExists(command) {
-  try {
-    execSync(`which ${command}`, { stdio: 'pipe' });
-    return true;
-  } catch {
-    return false;
+// Function to normalize `outdated` JSON from each package manager to one shape
+function parseOutdated(packageManager, output) {
+  const parsed = parseJsonOutput(output);
+  if (!parsed) return [];
+
+  if (packageManager === 'yarn') {
+    // yarn classic prints newline-delimited JSON with a single "table" entry
+    const table = [].concat(parsed).find(entry => entry.type === 'table');
+    if (!table) return [];
+    return table.data.body.map(([name, current, wanted, latest, dependencyType]) => ({
+      name, current, wanted, latest, dependencyType
+    }));
   }
+
+  // npm and pnpm both key the report by package name; npm uses arrays for workspaces
+  return Object.entries(parsed).map(([name, info]) => {
+    const entry = Array.isArray(info) ? info[0] : info;
+    return {
+      name,
+      current: entry.current || null,
+      wanted: entry.wanted || null,
+      latest: entry.latest || null,
+      dependencyType: entry.dependencyType || entry.type || null
+    };
+  });
 }
 
-// Function to get package manager
-function getPackageManager() {
-  if (fs.existsSync('pnpm-lock.yaml')) return 'pnpm';
-  if (fs.existsSync('yarn.lock')) return 'yarn';
-  if (fs.existsSync('bun.lockb')) return 'bun';
-  return 'npm';
+// Function to classify an available update as major, minor or patch
+function getUpdateType(current, latest) {
+  const from = semver.valid(current);
+  const to = semver.valid(latest);
+  if (!from || !to || semver.gte(from, to)) return null;
+  const diff = semver.diff(from, to);
+  return diff.replace(/^pre/, '');
 }
 
-// Function to get outdated packages cleanly
-function getOutdatedPackages(packageManager) {
-  let command;
-  switch (packageManager) {
-    case 'pnpm':
-      command = 'pnpm outdated --format table';
-      break;
-    case 'yarn':
-      command = 'yarn outdated';
-      break;
-    case 'bun':
-      command = 'bun outdated';
-      break;
-    default:
-      command = 'npm outdated';
+// Function to build the flags that point `outdated` at the analyzed workspaces
+function getWorkspaceFlags(packageManager, analysis) {
+  if (analysis.workspaces.length === 0) return '';
+  const names = analysis.targets.filter(target => target.dir).map(target => JSON.stringify(target.name));
+  if (packageManager === 'npm') {
+    return analysis.filtered
+      ? names.map(name => ` --workspace ${name}`).join('')
+      : ' --workspaces --include-workspace-root';
   }
-  
-  const result = runCommandSilent(command);
-  return result || 'No outdated packages found or lockfile missing';
+  if (packageManager === 'pnpm') {
+    return analysis.filtered ? names.map(name => ` --filter ${name}`).join('') : ' --recursive';
+  }
+  return '';
 }
 
-// Function to check for major upgrades using ncu
-function getMajorUpgrades() {
-  if (!commandExists('ncu')) {
-    return 'npm-check-updates not available. Install with: npm install -g npm-check-updates';
+// Function to get outdated packages cleanly
+function getOutdatedPackages(packageManager, project, analysis) {
+  const commands = {
+    pnpm: 'pnpm outdated --format json',
+    yarn: 'yarn outdated --json',
+    npm: 'npm outdated --json'
+  };
+  const command = commands[packageManager] && `${commands[packageManager]}${getWorkspaceFlags(packageManager, analysis)}`;
+  if (!command) {
+    return { available: false, packages: [] };
   }
-  
-  const result = runCommandSilent('ncu --target major --format group');
-  return result || 'No major upgrades available';
+
+  // outdated exits non-zero when it finds something, so keep its stdout
+  const result = runCommandSilent(`${command} || true`, project.options);
+  if (!parseJsonOutput(result)) {
+    return { available: false, packages: [] };
+  }
+
+  const packages = parseOutdated(packageManager, result)
+    .filter(pkg => !isOutOfScope(pkg.name, project.packageJson, project.config))
+    .map(pkg => ({ ...pkg, updateType: getUpdateType(pkg.current, pkg.latest) }));
+
+  return { available: true, packages };
 }
 
-// Function to check peer dependency issues
-function checkPeerDependencies(packageManager) {
-  let command;
-  switch (packageManager) {
-    case 'pnpm':
-      command = 'pnpm ls 2>&1 | grep -i "warn\\|error" | head -5';
-      break;
-    case 'yarn':
-      command = 'yarn list --depth=0 2>&1 | grep -i "warn\\|error" | head -5';
-      break;
-    default:
-      command = 'npm ls 2>&1 | grep -i "warn\\|error" | head -5';
+// Function to normalize audit JSON from npm, pnpm and yarn to one shape
+function parseAudit(output, config) {
+  const parsed = parseJsonOutput(output);
+  if (!parsed || parsed.error) return null;
+
+  const packages = [];
+  if (Array.isArray(parsed)) {
+    // yarn classic: one "auditAdvisory" line per finding
+    parsed
+      .filter(entry => entry.type === 'auditAdvisory')
+      .forEach(entry => packages.push({ name: entry.data.advisory.module_name, severity: entry.data.advisory.severity }));
+  } else if (parsed.vulnerabilities && typeof parsed.vulnerabilities === 'object' && !parsed.advisories) {
+    // npm 7+
+    Object.entries(parsed.vulnerabilities)
+      .forEach(([name, info]) => packages.push({ name, severity: info.severity }));
+  } else if (parsed.advisories) {
+    // npm 6 and pnpm
+    Object.values(parsed.advisories)
+      .forEach(advisory => packages.push({ name: advisory.module_name, severity: advisory.severity }));
+  }
+
+  const unique = new Map();
+  for (const pkg of packages) {
+    if (isExcluded(pkg.name, config)) continue;
+    const known = unique.get(pkg.name);
+    if (!known || AUDIT_SEVERITIES.indexOf(pkg.severity) > AUDIT_SEVERITIES.indexOf(known.severity)) {
+      unique.set(pkg.name, pkg);
+    }
+  }
+
+  const bySeverity = Object.fromEntries(AUDIT_SEVERITIES.map(severity => [severity, 0]));
+  for (const pkg of unique.values()) {
+    bySeverity[pkg.severity] = (bySeverity[pkg.severity] || 0) + 1;
   }
-  
-  const result = runCommandSilent(command);
-  return result || 'No peer dependency warnings detected';
+
+  return { total: unique.size, bySeverity, packages: [...unique.values()] };
 }
 
 // Function to get security audit
-function getSecurityAudit(packageManager) {
+function getSecurityAudit(packageManager, project) {
   let command;
+  const prodOnly = !project.config.includeDevDependencies;
   switch (packageManager) {
     case 'pnpm':
-      command = 'pnpm audit --audit-level moderate --format json';
+      command = `pnpm audit --audit-level moderate --json${prodOnly ? ' --prod' : ''}`;
       break;
     case 'yarn':
-      command = 'yarn audit --level moderate --json';
+      command = `yarn audit --level moderate --json${prodOnly ? ' --groups dependencies' : ''}`;
       break;
+    case 'bun':
+      return { available: false, total: 0, bySeverity: {}, packages: [] };
     default:
-      command = 'npm audit --audit-level moderate --json';
-  }
-  
-  const result = runCommandSilent(command);
-  if (!result) return 'No security issues found or audit unavailable';
-  
-  try {
-    const audit = JSON.parse(result);
-    if (audit.vulnerabilities && Object.keys(audit.vulnerabilities).length > 0) {
-      return `${Object.keys(audit.vulnerabilities).length} vulnerabilities found`;
-    }
-    return 'No security issues found';
-  } catch {
-    return 'Security audit completed (details available with full audit)';
+      command = `npm audit --audit-level moderate --json${prodOnly ? ' --omit=dev' : ''}`;
+  }
+
+  // Audits exit non-zero when vulnerabilities are found
+  const audit = parseAudit(runCommandSilent(`${command} || true`, project.options), project.config);
+  if (!audit) {
+    return { available: false, total: 0, bySeverity: {}, packages: [] };
   }
+  return { available: true, ...audit };
 }
 
-// Main execution
-async function main() {
-  const packageManager = getPackageManager();
-  
-  if (QUICK_MODE) {
-    // Ultra-quick scan for pre-install hooks
-    console.log('⚡ Quick compatibility check...');
-    
-    const outdated = getOutdatedPackages(packageManager);
-    if (outdated.includes('No outdated') || outdated.includes('not available')) {
-      console.log('✅ No immediate compatibility issues detected');
-    } else {
-      console.log('⚠️  Some packages may need attention');
-      if (!BRIEF_MODE) {
-        console.log('   Run "pdc scan" for detailed analysis');
-      }
-    }
-    return;
-  }
-  
-  console.log('🔍 Scanning your project...\n');
-  
-  // 1. Project overview
-  const packageJson = JSON.parse(fs.readFileSync('package.json', 'utf8'));
-  console.log(`📦 Project: ${packageJson.name || 'unnamed'}`);
-  console.log(`🔧 Package Manager: ${packageManager}`);
-  console.log(`📋 Dependencies: ${Object.keys(packageJson.dependencies || {}).length} production, ${Object.keys(packageJson.devDependencies || {}).length} development\n`);
-  
-  // 2. Outdated packages
-  console.log('📈 OUTDATED PACKAGES');
-  console.log('─'.repeat(40));
-  const outdated = getOutdatedPackages(packageManager);
-  console.log(outdated);
-  console.log();
-  
-  // 3. Major upgrades available
-  if (!BRIEF_MODE) {
-    console.log('🚀 MAJOR UPGRADES AVAILABLE');
-    console.log('─'.repeat(40));
-    const majorUpgrades = getMajorUpgrades();
-    console.log(majorUpgrades);
-    console.log();
-  }
-  
-  // 4. Peer dependency issues
-  console.log('🔗 PEER DEPENDENCY STATUS');
-  console.log('─'.repeat(40));
-  const peerIssues = checkPeerDependencies(packageManager);
-  console.log(peerIssues);
-  console.log();
-  
-  // 5. Security audit
-  if (!BRIEF_MODE) {
-    console.log('🛡️  SECURITY STATUS');
-    console.log('─'.repeat(40));
-    const security = getSecurityAudit(packageManager);
-    console.log(security);
-    console.log();
-  }
-  
-  // 6. Recommendations
-  console.log('💡 RECOMMENDATIONS');
-  console.log('─'.repeat(40));
-  
-  if (outdated.includes('No outdated')) {
-    console.log('✅ All packages are up to date!');
-  } else {
-    console.log('📝 Next steps:');
-    console.log(`   • Check specific upgrades: pdc check <package>@<version>`);
-    console.log(`   • Safe updates: ${packageManager} update`);
-    console.log('   • Review major version changes before upgrading');
-  }
-  
-  if (!BRIEF_MODE) {
-    console.log('\n🔍 For detailed analysis of specific packages:');
-    console.log('   pdc check react@19 react-dom@19');
-    console.log('   pdc analyze  # Deep peer dependency analysis');
+// Function to derive next steps from the scan results
+function buildRecommendations(result) {
+  const recommendations = [];
+
+  if (result.outdated.available && result.outdated.packages.length === 0) {
+    recommendations.push({ severity: 'info', message: 'All packages are up to date!' });
+    return recommendations;
   }
+
+  if (hasActiveIssues(result.peerWarnings)) {
+    recommendations.push({ severity: 'warning', message: 'Resolve current peer dependency warnings before upgrading' });
+  }
+  if (result.drift.length > 0) {
+    recommendations.push({ severity: 'warning', message: `Align ${result.drift.map(drift => drift.name).join(', ')} across workspaces` });
+  }
+  if (result.engines.installed.length > 0 || result.engines.upgrades.length > 0) {
+    recommendations.push({ severity: 'warning', message: 'Review Node engine requirements: pdc engines' });
+  }
+  if (result.audit.total > 0) {
+    recommendations.push({ severity: 'warning', message: `Review ${result.audit.total} vulnerable package(s) with a full audit` });
+  }
+  recommendations.push({ severity: 'info', message: 'Pick upgrades and see their peer impact: pdc upgrade -i' });
+  recommendations.push({ severity: 'info', message: 'Check specific upgrades: pdc check <package>@<version>' });
+  recommendations.push({ severity: 'info', message: `Safe updates: ${result.project.packageManager} update` });
+  if (result.majorUpgrades.length > 0) {
+    recommendations.push({ severity: 'info', message: 'Review major version changes before upgrading' });
+  }
+
+  return recommendations;
 }
 
-// Handle errors gracefully
-process.on('uncaughtException', (error) => {
-  console.error('❌ An error occurred:', error.message);
-  process.exit(1);
-});
+/**
+ * Scan the project for upgrade opportunities.
+ * `quick` only collects outdated packages, for use in install hooks; `nodeVersion` stands in
+ * for the running Node in the engines check.
+ */
+async function scan(options = {}) {
+  const cwd = options.cwd || process.cwd();
+  const config = options.config || DEFAULTS;
+  const packageJson = readPackageJson(cwd);
+  const project = { cwd, config, packageJson, options: { cwd, timeout: config.timeout } };
+  const detected = detectPackageManager(cwd, config);
+  const packageManager = detected.name;
+
+  const analysis = getAnalysisTargets(project);
+  const internal = new Set(analysis.all.map(target => target.name));
+
+  // Monorepos count each dependency once across the analyzed workspaces
+  const countDeps = field => new Set(analysis.targets
+    .flatMap(target => Object.keys(target.packageJson[field] || {}))
+    .filter(name => !isExcluded(name, config) && !internal.has(name))).size;
+
+  const outdated = getOutdatedPackages(packageManager, project, analysis);
+  const graph = options.quick ? null : loadAnalysisGraph(project, packageManager);
+  const result = {
+    project: {
+      name: packageJson.name || null,
+      packageManager,
+      packageManagerVersion: detected.version,
+      dependencies: {
+        production: countDeps('dependencies'),
+        development: config.includeDevDependencies ? countDeps('devDependencies') : null
+      },
+      excludePackages: config.excludePackages,
+      workspaces: analysis.workspaces.map(workspace => ({ name: workspace.name, dir: workspace.dir })),
+      analyzedWorkspaces: analysis.filtered ? analysis.targets.map(target => target.name) : null
+    },
+    outdated,
+    majorUpgrades: outdated.packages.filter(pkg => pkg.updateType === 'major'),
+    peerWarnings: options.quick
+      ? []
+      : applyPeerSettings(findCurrentIssues(graph, project, analysis), readPeerSettings(cwd, detected, packageJson)),
+    drift: options.quick ? [] : getWorkspaceDrift(graph, project, analysis),
+    engines: { node: [], installed: [], upgrades: [] },
+    audit: options.quick
+      ? { available: false, total: 0, bySeverity: {}, packages: [] }
+      : getSecurityAudit(packageManager, project),
+    recommendations: [],
+    summary: null
+  };
+  if (!options.quick) {
+    const targets = readNodeTargets(cwd, packageJson, options.nodeVersion);
+    result.engines = {
+      node: targets,
+      installed: findInstalledEngineIssues(graph, project, targets),
+      upgrades: await findUpgradeEngineIssues(outdated.packages, project, targets)
+    };
+  }
+  result.recommendations = buildRecommendations(result);
+  result.summary = summarizeFindings([
+    ...result.peerWarnings,
+    ...result.drift,
+    ...result.engines.installed,
+    ...result.engines.upgrades,
+    ...result.audit.packages.map(pkg => ({ severity: AUDIT_FINDING_SEVERITIES[pkg.severity] }))
+  ]);
+
+  return result;
+}
 
-main().catch(error => {
-  console.error('❌ Scan failed:', error.message);
-  process.exit(1);
-}); 
\ No newline at end of file
+module.exports = {
+  scan,
+  parseOutdated,
+  getOutdatedPackages,
+  parseAudit,
+  getUpdateType
+};
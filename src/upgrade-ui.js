@@ -0,0 +1,164 @@
+/**
+ * Interactive upgrade selector
+ * Terminal list of upgrades grouped by patch/minor/major, with the selection's peer impact kept up to date
+ */
+
+const readline = require('readline');
+const { UPDATE_TYPES } = require('./upgrade');
+
+const GROUP_TITLES = {
+  patch: '🩹 PATCH',
+  minor: '✨ MINOR',
+  major: '💥 MAJOR'
+};
+
+const HELP = '↑/↓ move · space select · a select group · enter install · q quit';
+
+// Function to create the selector state for grouped upgrades
+function createSelector(groups) {
+  const items = UPDATE_TYPES.flatMap(type => groups[type] || []);
+  return { groups, items, cursor: 0, selected: new Set(), done: false, cancelled: false };
+}
+
+// Function to list the selected upgrades in display order
+function getSelection(state) {
+  return state.items.filter(item => state.selected.has(item.name));
+}
+
+// Function to apply a keypress to the selector, returning whether the selection changed
+function handleKey(state, key = {}) {
+  const last = state.items.length - 1;
+
+  if (key.name === 'up' || key.name === 'k') {
+    state.cursor = state.cursor === 0 ? last : state.cursor - 1;
+  } else if (key.name === 'down' || key.name === 'j') {
+    state.cursor = state.cursor === last ? 0 : state.cursor + 1;
+  } else if (key.name === 'space') {
+    const item = state.items[state.cursor];
+    if (!item) return false;
+    if (state.selected.has(item.name)) state.selected.delete(item.name);
+    else state.selected.add(item.name);
+    return true;
+  } else if (key.name === 'a') {
+    // Selects the cursor's whole group, or clears it when everything in it is selected already
+    const item = state.items[state.cursor];
+    if (!item) return false;
+    const group = state.items.filter(other => other.updateType === item.updateType);
+    const all = group.every(other => state.selected.has(other.name));
+    group.forEach(other => (all ? state.selected.delete(other.name) : state.selected.add(other.name)));
+    return true;
+  } else if (key.name === 'return' || key.name === 'enter') {
+    state.done = true;
+  } else if (key.name === 'q' || key.name === 'escape' || (key.ctrl && key.name === 'c')) {
+    state.cancelled = true;
+  }
+  return false;
+}
+
+// Function to render the selector and the peer impact of the current selection
+function renderSelector(state, impact) {
+  const lines = [`⬆️  Select upgrades (${HELP})`, ''];
+
+  for (const type of UPDATE_TYPES) {
+    const group = state.items.filter(item => item.updateType === type);
+    if (group.length === 0) continue;
+    lines.push(`${GROUP_TITLES[type]} (${group.length})`);
+    group.forEach(item => {
+      const pointer = state.items[state.cursor] === item ? '›' : ' ';
+      const box = state.selected.has(item.name) ? '◉' : '◯';
+      lines.push(`${pointer} ${box} ${item.name} ${item.current} → ${item.latest}${item.dev ? ' [dev]' : ''}`);
+    });
+    lines.push('');
+  }
+
+  const selection = getSelection(state);
+  lines.push(`🔗 PEER IMPACT (${selection.length} selected)`);
+  if (selection.length === 0) {
+    lines.push('   Select packages to see which peer constraints they would break');
+  } else if (!impact || impact.pending) {
+    lines.push('   ⏳ Checking peer dependencies...');
+  } else if (impact.error) {
+    lines.push(`   ⚠️  Could not check peers: ${impact.error}`);
+  } else if (impact.violations.length === 0) {
+    lines.push('   ✅ No peer constraint breaks with this selection');
+  } else {
+    const focused = state.items[state.cursor];
+    impact.violations.forEach(violation => {
+      const involved = focused && (violation.name === focused.name || violation.peer === focused.name);
+      lines.push(`${involved ? '›' : ' '}  ❌ ${violation.message}`);
+    });
+    const specs = selection.map(item => `${item.name}@${item.latest}`).join(' ');
+    lines.push(`   💡 Select the packages above too, or run "pdc plan ${specs}"`);
+  }
+
+  return lines;
+}
+
+/**
+ * Let the user pick upgrades in the terminal. `checkImpact(selection)` is called whenever the
+ * selection changes and its result is shown under the list. Resolves to the selected upgrades
+ * when the user presses enter, or null when they quit.
+ */
+function selectUpgrades(groups, options = {}) {
+  const input = options.input || process.stdin;
+  const output = options.output || process.stdout;
+  const state = createSelector(groups);
+  let impact = null;
+  let drawn = 0;
+  let generation = 0;
+
+  const draw = () => {
+    const lines = renderSelector(state, impact);
+    // Move back over the previous frame and clear it before drawing the next one
+    if (drawn > 0) output.write(`\x1b[${drawn}A\x1b[0J`);
+    output.write(`${lines.join('\n')}\n`);
+    drawn = lines.length;
+  };
+
+  const refreshImpact = () => {
+    const selection = getSelection(state);
+    const current = ++generation;
+    impact = { pending: true };
+    if (selection.length === 0) {
+      impact = null;
+      return;
+    }
+    options.checkImpact(selection)
+      .catch(error => ({ error: error.message }))
+      .then(result => {
+        // A newer selection supersedes this result
+        if (current !== generation) return;
+        impact = result;
+        if (!state.done && !state.cancelled) draw();
+      });
+  };
+
+  return new Promise(resolve => {
+    readline.emitKeypressEvents(input);
+    if (input.isTTY) input.setRawMode(true);
+    input.resume();
+
+    const onKeypress = (text, key) => {
+      if (handleKey(state, key || { name: text })) refreshImpact();
+      if (state.done || state.cancelled) {
+        input.removeListener('keypress', onKeypress);
+        if (input.isTTY) input.setRawMode(false);
+        input.pause();
+        resolve(state.cancelled ? null : getSelection(state));
+        return;
+      }
+      draw();
+    };
+
+    input.on('keypress', onKeypress);
+    draw();
+  });
+}
+
+module.exports = {
+  createSelector,
+  getSelection,
+  handleKey,
+  renderSelector,
+  selectUpgrades
+};
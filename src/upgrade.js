@@ -0,0 +1,127 @@
+/**
+ * Upgrade selection
+ * Lists upgradable packages by patch/minor/major, checks the peer impact of a selection and installs it
+ */
+
+const { DEFAULTS, dependencyFields } = require('./config');
+const { loadProject } = require('./check');
+const { parseSpec } = require('./spec');
+const { isDevOnly } = require('./project');
+const { detectPackageManager } = require('./package-manager');
+const { summarizeFindings } = require('./severity');
+const { runCommandVisible } = require('./exec');
+const { getOutdatedPackages } = require('./upgrade-check');
+const { analyzePeers } = require('./peer-check');
+const { createPlanState, findNewViolations, buildCommands } = require('./plan');
+
+const UPDATE_TYPES = ['patch', 'minor', 'major'];
+
+// Function to find the registry package behind a dependency declared as an npm: alias
+function getAlias(packageJson, config, name) {
+  for (const field of dependencyFields(config)) {
+    const declared = packageJson[field] && packageJson[field][name];
+    if (!declared) continue;
+    const spec = parseSpec(`${name}@${declared}`);
+    return spec.registryName && spec.registryName !== name ? spec.registryName : null;
+  }
+  return null;
+}
+
+// Function to split upgrades into patch, minor and major groups, each sorted by name
+function groupUpgrades(upgrades) {
+  return Object.fromEntries(UPDATE_TYPES.map(type => [
+    type,
+    upgrades.filter(upgrade => upgrade.updateType === type).sort((a, b) => a.name.localeCompare(b.name))
+  ]));
+}
+
+/**
+ * List the root package's dependencies that have a newer version, grouped by update type.
+ * Each upgrade is { name, alias, current, latest, updateType, dev }; `available` is false
+ * when the package manager could not report outdated packages.
+ */
+async function listUpgrades(options = {}) {
+  const config = options.config || DEFAULTS;
+  const project = loadProject(options.cwd || process.cwd(), config);
+  const packageManager = detectPackageManager(project.cwd, config).name;
+
+  // Installs run from the root, so workspaces are left to their own `pdc upgrade`
+  const context = { ...project, options: { cwd: project.cwd, timeout: config.timeout } };
+  const outdated = getOutdatedPackages(packageManager, context, { workspaces: [] });
+  const upgrades = outdated.packages
+    .filter(pkg => pkg.updateType)
+    .map(pkg => ({
+      name: pkg.name,
+      alias: getAlias(project.packageJson, config, pkg.name),
+      current: pkg.current,
+      latest: pkg.latest,
+      updateType: pkg.updateType,
+      dev: isDevOnly(project.packageJson, pkg.name)
+    }));
+
+  return {
+    packageManager,
+    available: outdated.available,
+    upgrades,
+    groups: groupUpgrades(upgrades),
+    summary: summarizeFindings([])
+  };
+}
+
+/**
+ * Create a checker for the peer impact of a selection of upgrades. The returned function takes
+ * upgrades ({ name, latest }) and resolves to { violations, summary }, listing the peer
+ * constraints the selection would break; registry metadata is shared between calls.
+ */
+function createImpactChecker(options = {}) {
+  const config = options.config || DEFAULTS;
+  const project = loadProject(options.cwd || process.cwd(), config);
+  let state = null;
+
+  return async function checkImpact(selection) {
+    if (!state) state = createPlanState(project);
+    const changes = new Map(selection.map(upgrade => [upgrade.name, upgrade.latest]));
+    const violations = (await findNewViolations(await state, changes)).map(violation => ({
+      name: violation.name,
+      version: violation.version,
+      peer: violation.peer,
+      peerVersion: violation.peerVersion,
+      range: violation.range,
+      severity: 'error',
+      message: `${violation.name}@${violation.version} requires ${violation.peer} ${violation.range}, ` +
+        (violation.peerVersion ? `but ${violation.peer} would be ${violation.peerVersion}` : `but ${violation.peer} is not installed`)
+    }));
+    return { violations, summary: summarizeFindings(violations) };
+  };
+}
+
+/**
+ * Install a selection of upgrades with the project's package manager, then re-run the peer
+ * analysis. Resolves to { commands, installed, error, analysis }; a failed install stops
+ * before the remaining commands and leaves `analysis` null.
+ */
+async function installUpgrades(selection, options = {}) {
+  const config = options.config || DEFAULTS;
+  const cwd = options.cwd || process.cwd();
+  const packageManager = detectPackageManager(cwd, config).name;
+  const steps = selection.map(upgrade => ({ name: upgrade.name, alias: upgrade.alias, to: upgrade.latest, dev: upgrade.dev }));
+  const commands = buildCommands(steps, packageManager);
+
+  for (const command of commands) {
+    if (options.onCommand) options.onCommand(command);
+    if (!runCommandVisible(command, { cwd })) {
+      return { commands, installed: false, error: `Install failed: ${command}`, analysis: null };
+    }
+  }
+
+  const analysis = await analyzePeers({ cwd, config });
+  return { commands, installed: true, error: null, analysis };
+}
+
+module.exports = {
+  UPDATE_TYPES,
+  groupUpgrades,
+  listUpgrades,
+  createImpactChecker,
+  installUpgrades
+};
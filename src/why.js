@@ -0,0 +1,55 @@
+/**
+ * Reverse peer lookup
+ * Lists the installed packages that declare a package as a peer and the versions that satisfy them all
+ */
+
+const semver = require('semver');
+const { DEFAULTS } = require('./config');
+const { loadProject } = require('./check');
+const { summarizeFindings } = require('./severity');
+const { detectPackageManager } = require('./package-manager');
+const { loadInstalledGraph, readFlatGraph, dependencyPaths, findPeerDependents } = require('./peer-graph');
+const { fetchPackument } = require('./registry');
+const { intersectRanges } = require('./ranges');
+
+// Function to explain which installed packages depend on a package as a peer
+async function whyPeer(packageName, options = {}) {
+  const config = options.config || DEFAULTS;
+  const project = loadProject(options.cwd || process.cwd(), config);
+  const packageManager = detectPackageManager(project.cwd, config).name;
+  const graph = loadInstalledGraph(project.cwd, packageManager, project.packageJson) || readFlatGraph(project);
+  const paths = dependencyPaths(graph);
+
+  const installed = [...graph.nodes.values()]
+    .filter(node => node !== graph.root && node.name === packageName && node.version)
+    .map(node => ({ version: node.version, location: node.location, path: paths.get(node.id) || null }));
+  const dependents = findPeerDependents(graph, project, packageName);
+
+  // Optional peers constrain the version too whenever the package is installed
+  const intersection = intersectRanges(dependents.map(dependent => dependent.range));
+  let newest = null;
+  if (intersection && dependents.length > 0) {
+    const packument = await fetchPackument(packageName, project);
+    newest = packument ? semver.maxSatisfying(Object.keys(packument.versions || {}), intersection) : null;
+  }
+
+  const findings = [...dependents];
+  if (!intersection) {
+    findings.push({ severity: 'error', message: `No version of ${packageName} satisfies every peer range` });
+  }
+
+  return {
+    name: packageName,
+    packageManager,
+    installed,
+    dependents,
+    intersection,
+    satisfiable: Boolean(intersection),
+    newest,
+    summary: summarizeFindings(findings)
+  };
+}
+
+module.exports = {
+  whyPeer
+};
@@ -0,0 +1,210 @@
+/**
+ * Workspace discovery
+ * Finds monorepo packages from package.json "workspaces" and pnpm-workspace.yaml, and compares them
+ */
+
+const fs = require('fs');
+const path = require('path');
+const semver = require('semver');
+const YAML = require('yaml');
+const { readJson, getInstalledManifest } = require('./project');
+const { dependencyFields, isExcluded } = require('./config');
+const { intersectRanges } = require('./ranges');
+
+// Function to read the workspace globs a project declares, for every package manager
+function readWorkspacePatterns(cwd, packageJson) {
+  const declared = packageJson.workspaces;
+  const patterns = Array.isArray(declared) ? [...declared] : [...((declared && declared.packages) || [])];
+
+  try {
+    const pnpm = YAML.parse(fs.readFileSync(path.join(cwd, 'pnpm-workspace.yaml'), 'utf8'));
+    patterns.push(...((pnpm && pnpm.packages) || []));
+  } catch {
+    // No pnpm workspace file
+  }
+
+  return patterns.filter(pattern => typeof pattern === 'string');
+}
+
+// Function to list the sub-directories of a directory, leaving out node_modules and dot folders
+function listDirectories(cwd, dir) {
+  try {
+    return fs.readdirSync(path.join(cwd, dir), { withFileTypes: true })
+      .filter(entry => entry.isDirectory() && entry.name !== 'node_modules' && !entry.name.startsWith('.'))
+      .map(entry => path.posix.join(dir, entry.name));
+  } catch {
+    return [];
+  }
+}
+
+// Function to expand one workspace glob ("packages/*", "apps/**", "tools/cli") into directories
+function expandPattern(cwd, pattern) {
+  const segments = pattern.replace(/^\.\//, '').replace(/\/+$/, '').split('/').filter(Boolean);
+  let dirs = [''];
+
+  for (const segment of segments) {
+    const next = [];
+    for (const dir of dirs) {
+      if (segment === '**') {
+        const queue = [dir];
+        while (queue.length > 0) {
+          const current = queue.shift();
+          next.push(current);
+          queue.push(...listDirectories(cwd, current));
+        }
+      } else if (segment.includes('*')) {
+        const matcher = new RegExp(`^${segment.split('*').map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&')).join('[^/]*')}$`);
+        next.push(...listDirectories(cwd, dir).filter(child => matcher.test(path.posix.basename(child))));
+      } else {
+        next.push(path.posix.join(dir, segment));
+      }
+    }
+    dirs = next;
+  }
+
+  return dirs;
+}
+
+/**
+ * List a project's workspace packages as { name, version, dir, packageJson }, where `dir`
+ * is relative to the project root. "!" patterns exclude directories, like npm and pnpm.
+ */
+function listWorkspaces(cwd, packageJson) {
+  const patterns = readWorkspacePatterns(cwd, packageJson);
+  const included = new Set();
+  const excluded = new Set();
+
+  for (const pattern of patterns) {
+    const negated = pattern.startsWith('!');
+    for (const dir of expandPattern(cwd, negated ? pattern.slice(1) : pattern)) {
+      (negated ? excluded : included).add(dir);
+    }
+  }
+
+  return [...included]
+    .filter(dir => dir && dir !== '.' && !excluded.has(dir))
+    .map(dir => ({ dir, packageJson: readJson(path.join(cwd, dir, 'package.json')) }))
+    .filter(workspace => workspace.packageJson)
+    .map(({ dir, packageJson: manifest }) => ({
+      name: manifest.name || dir,
+      version: manifest.version || null,
+      dir,
+      packageJson: manifest
+    }))
+    .sort((a, b) => a.dir.localeCompare(b.dir));
+}
+
+// Function to keep the workspaces named by --workspace (by package name or directory)
+function selectWorkspaces(workspaces, selectors = []) {
+  if (selectors.length === 0) return workspaces;
+
+  return selectors.map(selector => {
+    const normalized = selector.replace(/^\.\//, '').replace(/\/+$/, '');
+    const found = workspaces.find(workspace => workspace.name === normalized || workspace.dir === normalized);
+    if (!found) {
+      const known = workspaces.map(workspace => workspace.name).join(', ') || 'none';
+      throw new Error(`Unknown workspace "${selector}" (workspaces: ${known})`);
+    }
+    return found;
+  });
+}
+
+// Function to find the lockfile graph node of a workspace directory ("" or "." is the root)
+function findWorkspaceNode(graph, dir) {
+  if (!graph) return null;
+  if (!dir || dir === '.') return graph.root;
+  for (const node of graph.nodes.values()) {
+    if (node.link) continue;
+    if (node.location === dir || (typeof node.location === 'string' && node.location.endsWith(`@workspace:${dir}`))) {
+      return node;
+    }
+  }
+  return null;
+}
+
+// Function to get the version a workspace resolves a package to, from the graph or node_modules
+function getWorkspaceVersion(graph, node, packageName, cwd, dir) {
+  const resolved = graph && node && graph.resolve(node, packageName);
+  if (resolved && resolved.version) return resolved.version;
+  const manifest = getInstalledManifest(packageName, path.join(cwd, dir || '')) || getInstalledManifest(packageName, cwd);
+  return manifest ? manifest.version : null;
+}
+
+// Function to collect the packages something in the tree declares as a peer
+function collectPeerNames(graph, entries) {
+  const names = new Set();
+  if (graph) {
+    for (const node of graph.nodes.values()) {
+      Object.keys(node.peerDependencies || {}).forEach(name => names.add(name));
+    }
+  }
+  for (const entry of entries) {
+    Object.keys(entry.packageJson.peerDependencies || {}).forEach(name => names.add(name));
+  }
+  return names;
+}
+
+/**
+ * Find shared peers (react, typescript...) that workspaces resolve to different versions.
+ * `entries` are the root and workspaces as { name, dir, packageJson }. A drift is an error
+ * when no single version satisfies every workspace's range, a warning otherwise.
+ */
+function findWorkspaceDrift(entries, options) {
+  const { graph, cwd, config } = options;
+  const internal = new Set(entries.map(entry => entry.name));
+  const peerNames = collectPeerNames(graph, entries);
+  const usages = new Map();
+
+  for (const entry of entries) {
+    const node = findWorkspaceNode(graph, entry.dir);
+    for (const field of [...dependencyFields(config), 'peerDependencies']) {
+      for (const [name, range] of Object.entries(entry.packageJson[field] || {})) {
+        if (internal.has(name) || isExcluded(name, config) || !peerNames.has(name)) continue;
+        if (!usages.has(name)) usages.set(name, new Map());
+        // peerDependencies only say what a workspace accepts, so a real dependency wins
+        if (usages.get(name).has(entry.name) && field === 'peerDependencies') continue;
+        usages.get(name).set(entry.name, {
+          workspace: entry.name,
+          field,
+          range,
+          version: field === 'peerDependencies' ? null : getWorkspaceVersion(graph, node, name, cwd, entry.dir)
+        });
+      }
+    }
+  }
+
+  const drift = [];
+  for (const [name, byWorkspace] of usages) {
+    const list = [...byWorkspace.values()];
+    if (list.length < 2) continue;
+
+    const versions = [...new Set(list.map(usage => usage.version).filter(version => semver.valid(version)))].sort(semver.compare);
+    const ranges = list.map(usage => usage.range).filter(range => semver.validRange(range));
+    const common = intersectRanges(ranges);
+    if (versions.length < 2 && common) continue;
+
+    const severity = common ? 'warning' : 'error';
+    const detail = common
+      ? `workspaces resolve ${versions.join(', ')}`
+      : 'no single version satisfies every workspace';
+    drift.push({
+      name,
+      versions,
+      usages: list,
+      common,
+      severity,
+      message: `${name} drifts across workspaces: ${detail}`
+    });
+  }
+
+  return drift.sort((a, b) => a.name.localeCompare(b.name));
+}
+
+module.exports = {
+  readWorkspacePatterns,
+  listWorkspaces,
+  selectWorkspaces,
+  findWorkspaceNode,
+  getWorkspaceVersion,
+  findWorkspaceDrift
+};
@@ -0,0 +1,2171 @@
+#!/usr/bin/env node
+
+/**
+ * Peer analysis tests for peer-dependency-checker
+ * Exercises the analysis modules against fixture projects, without network access
+ */
+
+const fs = require('fs');
+const path = require('path');
+const os = require('os');
+const assert = require('assert');
+const { execSync } = require('child_process');
+const http = require('http');
+
+const { evaluatePeer, findDependents, loadProject } = require('../src/check');
+const { loadConfig, isExcluded, shouldLog, DEFAULTS } = require('../src/config');
+const { parseOutdated, parseAudit, getUpdateType } = require('../src/upgrade-check');
+const { summarizeFindings, meetsThreshold, EXIT_CODES } = require('../src/severity');
+const { parseNpmLockfile } = require('../src/lockfiles/npm');
+const { parsePnpmLockfile, parsePeerSuffix } = require('../src/lockfiles/pnpm');
+const { parseYarnLockfile, parseClassicLockfile } = require('../src/lockfiles/yarn');
+const { detectPackageManager, parsePackageManagerField } = require('../src/package-manager');
+const { fetchPackument, fetchPackuments, resolveVersion, getPeerDependencies } = require('../src/registry');
+const { parseNpmrc, readNpmrc, getRegistryFor, getAuthHeader } = require('../src/npmrc');
+const { getCacheStats, clearCache } = require('../src/cache');
+const { parseSpec } = require('../src/spec');
+const { intersectRanges, describeGap } = require('../src/ranges');
+const { listWorkspaces } = require('../src/workspaces');
+const { findDuplicateSingletons } = require('../src/singletons');
+const { readPackageJson } = require('../src/project');
+const YAML = require('yaml');
+const { findPeerIssues } = require('../src/peer-graph');
+
+console.log('🧪 Running peer-dependency-checker peer analysis tests...\n');
+
+class TestRunner {
+  constructor() {
+    this.testCount = 0;
+    this.passCount = 0;
+    this.failCount = 0;
+  }
+
+  async runTest(name, testFn) {
+    this.testCount++;
+    process.stdout.write(`📋 ${name}... `);
+    
+    try {
+      await testFn();
+      this.passCount++;
+      console.log('✅ PASS');
+    } catch (error) {
+      this.failCount++;
+      console.log('❌ FAIL');
+      console.error(`   Error: ${error.message}`);
+    }
+  }
+
+  summary() {
+    console.log(`\n📊 Test Results:`);
+    console.log(`   Total: ${this.testCount}`);
+    console.log(`   ✅ Passed: ${this.passCount}`);
+    console.log(`   ❌ Failed: ${this.failCount}`);
+    
+    if (this.failCount === 0) {
+      console.log('\n🎉 All peer analysis tests passed!');
+      return true;
+    } else {
+      console.log('\n💥 Some peer analysis tests failed.');
+      return false;
+    }
+  }
+}
+
+// Create a fixture project with the given package.json and installed manifests
+function createFixtureProject(name, packageJson, installed = []) {
+  const testDir = path.join(os.tmpdir(), `pdc-peer-${Date.now()}-${name}`);
+  fs.mkdirSync(testDir, { recursive: true });
+  fs.writeFileSync(path.join(testDir, 'package.json'), JSON.stringify(packageJson, null, 2));
+  
+  for (const manifest of installed) {
+    const dir = path.join(testDir, 'node_modules', manifest.name);
+    fs.mkdirSync(dir, { recursive: true });
+    fs.writeFileSync(path.join(dir, 'package.json'), JSON.stringify(manifest, null, 2));
+  }
+  
+  return testDir;
+}
+
+// Start a local stand-in registry serving the given packuments, with ETags and a request log
+function startRegistry(packuments, options = {}) {
+  const requests = [];
+  const stats = { active: 0, maxActive: 0 };
+  const server = http.createServer(async (req, res) => {
+    requests.push({ url: req.url, headers: req.headers });
+    stats.active++;
+    stats.maxActive = Math.max(stats.maxActive, stats.active);
+    if (options.delay) await new Promise(resolve => setTimeout(resolve, options.delay));
+    stats.active--;
+    if (options.token && req.headers.authorization !== `Bearer ${options.token}`) {
+      res.writeHead(401, { 'content-type': 'application/json' });
+      res.end('{"error":"Unauthorized"}');
+      return;
+    }
+    const packument = packuments[decodeURIComponent(req.url.slice(1))];
+    if (!packument) {
+      res.writeHead(404, { 'content-type': 'application/json' });
+      res.end('{"error":"Not found"}');
+      return;
+    }
+    const etag = `"${packument.name}-${Object.keys(packument.versions).length}"`;
+    if (req.headers['if-none-match'] === etag) {
+      res.writeHead(304, { etag });
+      res.end();
+      return;
+    }
+    res.writeHead(200, { 'content-type': 'application/json', etag });
+    res.end(JSON.stringify(packument));
+  });
+  
+  return new Promise(resolve => {
+    server.listen(0, '127.0.0.1', () => {
+      resolve({
+        url: `http://127.0.0.1:${server.address().port}/`,
+        requests,
+        stats,
+        close: () => new Promise(done => server.close(done))
+      });
+    });
+  });
+}
+
+function cleanup(testDir) {
+  try {
+    fs.rmSync(testDir, { recursive: true, force: true });
+  } catch (error) {
+    // Ignore cleanup errors
+  }
+}
+
+// Test package spec splitting keeps scopes intact
+async function testSpecSplitting() {
+  assert.deepStrictEqual(['react@19', '@types/react@18', '@types/react'].map(parseSpec).map(spec => [spec.name, spec.range]), [
+    ['react', '19'],
+    ['@types/react', '18'],
+    ['@types/react', 'latest']
+  ]);
+}
+
+// Test peer ranges are evaluated against installed and declared versions
+async function testPeerEvaluation() {
+  const testDir = createFixtureProject('evaluate', {
+    dependencies: { 'react': '^18.2.0', 'styled-components': '^5.0.0' }
+  }, [
+    { name: 'react', version: '18.2.0' }
+  ]);
+  
+  try {
+    const project = loadProject(testDir);
+    
+    const satisfied = evaluatePeer('react', '>=16.8.0', project);
+    assert.strictEqual(satisfied.status, 'satisfied');
+    assert.strictEqual(satisfied.source, 'installed');
+    assert.strictEqual(satisfied.current, '18.2.0');
+    
+    const violated = evaluatePeer('react', '^19.0.0', project);
+    assert.strictEqual(violated.status, 'violated');
+    assert(violated.gap.includes('major'), 'Gap should name the major version difference');
+    
+    const declared = evaluatePeer('styled-components', '^6.0.0', project);
+    assert.strictEqual(declared.status, 'violated');
+    assert.strictEqual(declared.source, 'declared');
+    
+    const missing = evaluatePeer('react-dom', '^18.0.0', project);
+    assert.strictEqual(missing.status, 'missing');
+  } finally {
+    cleanup(testDir);
+  }
+}
+
+// Test reverse lookup of installed packages that reject a new version
+async function testDependentsRejectingUpgrade() {
+  const testDir = createFixtureProject('dependents', {
+    dependencies: { 'react': '^18.2.0', 'react-dom': '^18.2.0' }
+  }, [
+    { name: 'react', version: '18.2.0' },
+    { name: 'react-dom', version: '18.2.0', peerDependencies: { react: '^18.2.0' } },
+    { name: '@scope/widget', version: '1.0.0', peerDependencies: { react: '>=17' } }
+  ]);
+  
+  try {
+    const dependents = findDependents('react', '19.0.0', loadProject(testDir));
+    const byName = Object.fromEntries(dependents.map(dependent => [dependent.name, dependent]));
+    
+    assert.strictEqual(dependents.length, 2, 'Only packages peering on react should be listed');
+    assert.strictEqual(byName['react-dom'].status, 'violated');
+    assert.strictEqual(byName['@scope/widget'].status, 'satisfied');
+  } finally {
+    cleanup(testDir);
+  }
+}
+
+// Test gap descriptions for versions above and below a range
+async function testGapDescriptions() {
+  assert(describeGap('17.0.2', '^18.0.0').startsWith('major'));
+  assert(describeGap('18.1.0', '^18.2.0').startsWith('minor'));
+  assert.strictEqual(describeGap('19.0.0', '^18.0.0'), 'newer than the range allows');
+}
+
+// Test config precedence: flags > env > .pdcrc.json > package.json "pdc" > defaults
+async function testConfigPrecedence() {
+  const testDir = createFixtureProject('config', {
+    pdc: { riskTolerance: 'low', excludePackages: ['legacy-dep'], timeout: 5000 }
+  });
+  
+  try {
+    let config = loadConfig({ cwd: testDir, env: {} });
+    assert.strictEqual(config.riskTolerance, 'low', 'package.json "pdc" key should apply');
+    assert.strictEqual(config.outputFormat, DEFAULTS.outputFormat, 'Defaults should fill the rest');
+    
+    fs.writeFileSync(path.join(testDir, '.pdcrc.json'), JSON.stringify({ riskTolerance: 'high', includeDevDependencies: false }));
+    config = loadConfig({ cwd: testDir, env: {} });
+    assert.strictEqual(config.riskTolerance, 'high', '.pdcrc.json should override package.json');
+    assert.deepStrictEqual(config.excludePackages, ['legacy-dep'], 'Unset keys should fall through');
+    
+    config = loadConfig({ cwd: testDir, env: { PDC_RISK_TOLERANCE: 'medium', PDC_INCLUDE_DEV_DEPENDENCIES: 'true' } });
+    assert.strictEqual(config.riskTolerance, 'medium', 'Environment should override .pdcrc.json');
+    assert.strictEqual(config.includeDevDependencies, true, 'Environment booleans should be coerced');
+    
+    config = loadConfig({ cwd: testDir, env: { PDC_RISK_TOLERANCE: 'medium' }, flags: { riskTolerance: 'low' } });
+    assert.strictEqual(config.riskTolerance, 'low', 'CLI flags should override everything');
+    
+    assert(shouldLog(config, 'info') && !shouldLog(config, 'debug'), 'logLevel info should show info but not debug messages');
+    assert(!shouldLog({ ...config, logLevel: 'silent' }, 'error'));
+    
+    fs.writeFileSync(path.join(testDir, '.pdcrc.json'), '{ invalid json }');
+    assert.throws(() => loadConfig({ cwd: testDir, env: {} }), /Invalid JSON in \.pdcrc\.json/);
+    
+    fs.writeFileSync(path.join(testDir, '.pdcrc.json'), JSON.stringify({ outputFormat: 'xml' }));
+    assert.throws(() => loadConfig({ cwd: testDir, env: {} }), /Invalid outputFormat/);
+  } finally {
+    cleanup(testDir);
+  }
+}
+
+// Test excludePackages and includeDevDependencies limit the analysis
+async function testConfigLimitsAnalysis() {
+  const testDir = createFixtureProject('config-limits', {
+    dependencies: { 'react': '^18.2.0', 'react-dom': '^18.2.0' },
+    devDependencies: { '@testing-library/react': '^14.0.0' }
+  }, [
+    { name: 'react', version: '18.2.0' },
+    { name: 'react-dom', version: '18.2.0', peerDependencies: { react: '^18.2.0' } },
+    { name: '@testing-library/react', version: '14.0.0', peerDependencies: { react: '^18.0.0' } }
+  ]);
+  
+  try {
+    const config = { ...DEFAULTS, excludePackages: ['react-*'], includeDevDependencies: false };
+    assert(isExcluded('react-dom', config), 'Wildcards should match');
+    assert(!isExcluded('react', config), 'Wildcards should not over-match');
+    
+    const dependents = findDependents('react', '19.0.0', loadProject(testDir, config));
+    assert.strictEqual(dependents.length, 0, 'Excluded and dev-only dependents should be skipped');
+  } finally {
+    cleanup(testDir);
+  }
+}
+
+// Test the package entry point exposes the programmatic API without side effects
+async function testProgrammaticApi() {
+  const packageJson = require('../package.json');
+  const api = require(path.join('..', packageJson.main));
+  
+  for (const name of ['scan', 'analyzePeers', 'checkUpgrade', 'loadConfig']) {
+    assert.strictEqual(typeof api[name], 'function', `${name} should be exported`);
+  }
+  
+  const testDir = createFixtureProject('api', {
+    dependencies: { 'react': '^18.2.0' }
+  }, [
+    { name: 'react', version: '18.2.0' },
+    { name: 'react-dom', version: '18.2.0', peerDependencies: { react: '^18.2.0' } }
+  ]);
+  
+  try {
+    // Excluded targets and a brief analysis never reach the registry, so this stays offline
+    const [skipped] = await api.checkUpgrade('react@19.0.0', { cwd: testDir, config: { excludePackages: ['react'] } });
+    assert.strictEqual(skipped.skipped, true, 'Excluded packages should be reported as skipped');
+    
+    const analysis = await api.analyzePeers({ cwd: testDir, brief: true });
+    assert(Array.isArray(analysis.currentIssues), 'currentIssues should be structured findings');
+    assert.deepStrictEqual(analysis.potentialConflicts, [], 'Brief analysis skips upgrade conflicts');
+    assert(analysis.recommendations.every(recommendation => recommendation.severity && recommendation.message));
+  } finally {
+    cleanup(testDir);
+  }
+}
+
+// Test outdated and audit output from each package manager is normalized
+async function testScanParsers() {
+  const npmOutdated = JSON.stringify({
+    react: { current: '18.2.0', wanted: '18.3.1', latest: '19.0.0', dependent: 'app' }
+  });
+  const [react] = parseOutdated('npm', npmOutdated);
+  assert.strictEqual(react.name, 'react');
+  assert.strictEqual(getUpdateType(react.current, react.latest), 'major');
+  
+  const yarnOutdated = [
+    JSON.stringify({ type: 'info', data: 'Color legend' }),
+    JSON.stringify({ type: 'table', data: { head: [], body: [['lodash', '4.17.0', '4.17.21', '4.17.21', 'dependencies', '']] } })
+  ].join('\n');
+  assert.strictEqual(parseOutdated('yarn', yarnOutdated)[0].latest, '4.17.21');
+  
+  const npmAudit = JSON.stringify({
+    vulnerabilities: { lodash: { severity: 'high' }, minimist: { severity: 'critical' } }
+  });
+  const audit = parseAudit(npmAudit, { ...DEFAULTS, excludePackages: ['minimist'] });
+  assert.strictEqual(audit.total, 1, 'Excluded packages should not be counted');
+  assert.strictEqual(audit.bySeverity.high, 1);
+  
+  assert.strictEqual(parseAudit(JSON.stringify({ error: { code: 'ENOLOCK' } }), DEFAULTS), null);
+}
+
+// Test --format json prints one versioned JSON document and nothing else
+async function testJsonOutput() {
+  const testDir = createFixtureProject('json', {
+    dependencies: { 'react': '^18.2.0' },
+    pdc: { excludePackages: ['react'] }
+  });
+  
+  try {
+    const output = execSync(`node "${path.join(__dirname, '..', 'bin', 'pdc.js')}" check react@19 --format json`, {
+      encoding: 'utf8',
+      cwd: testDir
+    });
+    
+    const report = JSON.parse(output);
+    assert.strictEqual(report.schemaVersion, 1);
+    assert.strictEqual(report.command, 'check');
+    assert.strictEqual(report.results[0].skipped, true);
+    
+    fs.writeFileSync(path.join(testDir, 'ci.json'), JSON.stringify({ outputFormat: 'json' }));
+    const fromConfig = execSync(`node "${path.join(__dirname, '..', 'bin', 'pdc.js')}" -c ci.json check react@19`, {
+      encoding: 'utf8',
+      cwd: testDir
+    });
+    assert.strictEqual(JSON.parse(fromConfig).command, 'check', 'outputFormat from a -c config file should keep the banner out');
+    
+    const silent = execSync(`node "${path.join(__dirname, '..', 'bin', 'pdc.js')}" check react@19`, {
+      encoding: 'utf8',
+      cwd: testDir,
+      env: { ...process.env, PDC_LOG_LEVEL: 'silent' }
+    });
+    assert(silent.startsWith('🧪 Testing 1 package(s)...'), 'logLevel silent should leave only the report');
+  } finally {
+    cleanup(testDir);
+  }
+}
+
+// Test --fail-on thresholds and the CLI exit codes
+async function testExitCodes() {
+  const summary = summarizeFindings([{ severity: 'warning' }, { severity: 'info' }, { severity: 'warning' }]);
+  assert.strictEqual(summary.warnings, 2);
+  assert.strictEqual(summary.highest, 'warning');
+  assert(!meetsThreshold(summary, 'error'), 'Warnings should not fail --fail-on error');
+  assert(meetsThreshold(summary, 'warning'), 'Warnings should fail --fail-on warning');
+  assert(!meetsThreshold(summary, 'none'));
+  assert(!meetsThreshold(summarizeFindings([]), 'warning'), 'A clean run never fails');
+  
+  const testDir = createFixtureProject('exit-codes', {
+    dependencies: { 'react': '^18.2.0' },
+    pdc: { excludePackages: ['react'] }
+  });
+  const pdc = `node "${path.join(__dirname, '..', 'bin', 'pdc.js')}"`;
+  const exitCode = command => {
+    try {
+      execSync(command, { cwd: testDir, stdio: 'pipe' });
+      return 0;
+    } catch (error) {
+      return error.status;
+    }
+  };
+  
+  try {
+    assert.strictEqual(exitCode(`${pdc} check react@19`), EXIT_CODES.clean);
+    assert.strictEqual(exitCode(`${pdc} check`), EXIT_CODES.incomplete, 'Missing arguments cannot be analyzed');
+    assert.strictEqual(exitCode(`${pdc} check react@19 --fail-on sometimes`), EXIT_CODES.incomplete);
+    assert.strictEqual(exitCode(`${pdc} check react@19 --registry registry.example.com`), EXIT_CODES.incomplete, 'A registry without a scheme cannot be analyzed');
+    
+    // A lockfile entry pdc cannot read makes precheck fail, which must not pass as clean
+    fs.writeFileSync(path.join(testDir, 'package-lock.json'), JSON.stringify({ lockfileVersion: 3, packages: { '': {}, 'node_modules/react': null } }));
+    assert.strictEqual(exitCode(`${pdc} precheck`), EXIT_CODES.incomplete, 'A crashed precheck should exit 2');
+  } finally {
+    cleanup(testDir);
+  }
+}
+
+// Test package-lock.json v2/v3 trees: nested installs, optional peers and dependency paths
+async function testNpmLockfilePeers() {
+  const lockfile = {
+    lockfileVersion: 3,
+    packages: {
+      '': { name: 'app', dependencies: { 'react': '^17.0.0', 'ui-kit': '^1.0.0', 'chart': '^2.0.0' } },
+      'node_modules/react': { version: '17.0.2' },
+      'node_modules/ui-kit': {
+        version: '1.0.0',
+        dependencies: { 'react-dom': '^18.0.0' }
+      },
+      'node_modules/ui-kit/node_modules/react-dom': {
+        version: '18.2.0',
+        peerDependencies: { 'react': '^18.2.0' }
+      },
+      'node_modules/chart': {
+        version: '2.0.0',
+        peerDependencies: { 'react': '>=16', 'd3': '^7.0.0', 'canvas': '^2.0.0' },
+        peerDependenciesMeta: { 'canvas': { optional: true } }
+      }
+    }
+  };
+  
+  const graph = parseNpmLockfile(lockfile, { cwd: os.tmpdir(), packageJson: {} });
+  const findings = findPeerIssues(graph, { config: DEFAULTS });
+  const byPeer = Object.fromEntries(findings.map(finding => [`${finding.package}>${finding.peer}`, finding]));
+  
+  assert.strictEqual(findings.length, 2, 'Only the violated and the missing required peer should be reported');
+  
+  const violated = byPeer['react-dom>react'];
+  assert.strictEqual(violated.status, 'violated');
+  assert.strictEqual(violated.installed, '17.0.2', 'Nested packages should resolve peers from the hoisted copy');
+  assert.deepStrictEqual(violated.path, ['app', 'ui-kit', 'react-dom']);
+  
+  assert.strictEqual(byPeer['chart>d3'].status, 'missing');
+  assert(!byPeer['chart>canvas'], 'A missing optional peer should be ignored');
+}
+
+// Test package-lock.json v1 nested "dependencies" trees are flattened to locations
+async function testNpmLockfileV1() {
+  const testDir = createFixtureProject('lock-v1', { name: 'legacy', dependencies: { 'react-dom': '^18.0.0' } }, [
+    { name: 'react-dom', version: '18.2.0', peerDependencies: { react: '^18.0.0' } }
+  ]);
+  
+  try {
+    const lockfile = {
+      lockfileVersion: 1,
+      dependencies: {
+        'react-dom': { version: '18.2.0', requires: { 'scheduler': '^0.23.0' } },
+        'scheduler': { version: '0.23.0' }
+      }
+    };
+    
+    const graph = parseNpmLockfile(lockfile, { cwd: testDir });
+    assert.strictEqual(graph.resolve(graph.nodes.get('node_modules/react-dom'), 'scheduler').version, '0.23.0');
+    
+    const [finding] = findPeerIssues(graph, { config: DEFAULTS });
+    assert.strictEqual(finding.peer, 'react', 'v1 peers should be read from installed manifests');
+    assert.strictEqual(finding.status, 'missing');
+    assert.deepStrictEqual(finding.path, ['legacy', 'react-dom']);
+  } finally {
+    cleanup(testDir);
+  }
+}
+
+// Test pnpm-lock.yaml v9 importers, packages and peer-suffixed snapshots
+async function testPnpmLockfileV9() {
+  const lockfile = YAML.parse(`
+lockfileVersion: '9.0'
+importers:
+  .:
+    dependencies:
+      react:
+        specifier: ^17.0.0
+        version: 17.0.2
+      react-dom:
+        specifier: ^18.0.0
+        version: 18.2.0(react@17.0.2)
+    devDependencies:
+      devtools:
+        specifier: ^5.0.0
+        version: 5.0.0(react-dom@18.2.0(react@17.0.2))(react@17.0.2)
+packages:
+  react@17.0.2:
+    resolution: {integrity: sha512-a}
+  react-dom@18.2.0:
+    resolution: {integrity: sha512-b}
+    peerDependencies:
+      react: ^18.2.0
+  devtools@5.0.0:
+    resolution: {integrity: sha512-c}
+    peerDependencies:
+      react: ^18.0.0
+      react-dom: ^18.0.0
+      query: ^5.0.0
+      canvas: ^2.0.0
+    peerDependenciesMeta:
+      canvas:
+        optional: true
+snapshots:
+  react@17.0.2: {}
+  react-dom@18.2.0(react@17.0.2):
+    dependencies:
+      react: 17.0.2
+  devtools@5.0.0(react-dom@18.2.0(react@17.0.2))(react@17.0.2):
+    dependencies:
+      react: 17.0.2
+      react-dom: 18.2.0(react@17.0.2)
+`);
+  
+  assert.deepStrictEqual(parsePeerSuffix('(react-dom@18.2.0(react@17.0.2))(react@17.0.2)'), {
+    'react-dom': '18.2.0(react@17.0.2)',
+    'react': '17.0.2'
+  });
+  
+  const graph = parsePnpmLockfile(lockfile, { cwd: os.tmpdir(), packageJson: { name: 'app' } });
+  const findings = findPeerIssues(graph, { config: DEFAULTS });
+  const byPeer = Object.fromEntries(findings.map(finding => [`${finding.package}>${finding.peer}`, finding]));
+  
+  assert.strictEqual(findings.length, 3, 'Two violated react peers and one missing required peer should be reported');
+  assert.strictEqual(byPeer['react-dom>react'].installed, '17.0.2');
+  assert.deepStrictEqual(byPeer['react-dom>react'].path, ['app', 'react-dom']);
+  assert.strictEqual(byPeer['devtools>query'].status, 'missing');
+  assert(!byPeer['devtools>canvas'], 'A missing optional peer should be ignored');
+  assert(!byPeer['devtools>react-dom'], 'The satisfied react-dom peer should not be reported');
+  
+  const prodOnly = findPeerIssues(graph, { config: { ...DEFAULTS, includeDevDependencies: false } });
+  assert(prodOnly.every(finding => finding.package !== 'devtools'), 'Packages only reached through devDependencies should be skipped');
+}
+
+// Test pnpm-lock.yaml v6 top-level importer and "/"-prefixed package keys
+async function testPnpmLockfileV6() {
+  const lockfile = YAML.parse(`
+lockfileVersion: '6.0'
+dependencies:
+  react:
+    specifier: 17.0.2
+    version: 17.0.2
+  ui-kit:
+    specifier: ^1.0.0
+    version: 1.0.0(react@17.0.2)
+packages:
+  /react@17.0.2:
+    resolution: {integrity: sha512-a}
+    dev: false
+  /ui-kit@1.0.0(react@17.0.2):
+    resolution: {integrity: sha512-b}
+    peerDependencies:
+      react: ^16.8.0 || ^17.0.0
+    dependencies:
+      react: 17.0.2
+      styled: 6.0.0(react@17.0.2)
+    dev: false
+  /styled@6.0.0(react@17.0.2):
+    resolution: {integrity: sha512-c}
+    peerDependencies:
+      react: ^18.0.0
+    dependencies:
+      react: 17.0.2
+    dev: false
+`);
+  
+  const graph = parsePnpmLockfile(lockfile, { cwd: os.tmpdir(), packageJson: { name: 'legacy' } });
+  const findings = findPeerIssues(graph, { config: DEFAULTS });
+  
+  assert.strictEqual(findings.length, 1);
+  assert.strictEqual(findings[0].package, 'styled');
+  assert.strictEqual(findings[0].status, 'violated');
+  assert.deepStrictEqual(findings[0].path, ['legacy', 'ui-kit', 'styled']);
+}
+
+// Test yarn classic lockfiles, with peers read from the installed manifests
+async function testYarnClassicLockfile() {
+  const testDir = createFixtureProject('yarn-classic', {
+    name: 'classic',
+    dependencies: { 'react': '^17.0.0', '@ui/kit': '^1.0.0' }
+  }, [
+    { name: 'react', version: '17.0.2' },
+    { name: '@ui/kit', version: '1.0.0', peerDependencies: { 'react': '^18.0.0' } }
+  ]);
+  
+  try {
+    const entries = parseClassicLockfile(`# THIS IS AN AUTOGENERATED FILE. DO NOT EDIT THIS FILE DIRECTLY.
+# yarn lockfile v1
+
+
+"@ui/kit@^1.0.0":
+  version "1.0.0"
+  resolved "https://registry.yarnpkg.com/@ui/kit/-/kit-1.0.0.tgz"
+  dependencies:
+    "loose-envify" "^1.1.0"
+
+loose-envify@^1.1.0, loose-envify@^1.4.0:
+  version "1.4.0"
+
+react@^17.0.0:
+  version "17.0.2"
+  dependencies:
+    loose-envify "^1.1.0"
+`);
+    
+    assert.strictEqual(entries['loose-envify@^1.1.0'], entries['loose-envify@^1.4.0'], 'Descriptors sharing an entry should share it');
+    assert.strictEqual(entries['@ui/kit@^1.0.0'].dependencies['loose-envify'], '^1.1.0');
+    
+    const graph = parseYarnLockfile({ format: 'classic', entries }, { cwd: testDir });
+    const findings = findPeerIssues(graph, { config: DEFAULTS });
+    
+    assert.strictEqual(findings.length, 1);
+    assert.strictEqual(findings[0].package, '@ui/kit');
+    assert.strictEqual(findings[0].installed, '17.0.2');
+    assert.deepStrictEqual(findings[0].path, ['classic', '@ui/kit']);
+  } finally {
+    cleanup(testDir);
+  }
+}
+
+// Test Berry lockfiles: peers provided by each parent, peerDependenciesMeta and packageExtensions
+async function testYarnBerryLockfile() {
+  const lockfile = YAML.parse(`
+__metadata:
+  version: 8
+  cacheKey: 10
+
+"berry-app@workspace:.":
+  version: 0.0.0-use.local
+  resolution: "berry-app@workspace:."
+  dependencies:
+    chart: "npm:^2.0.0"
+    react: "npm:^17.0.0"
+    legacy: "npm:^1.0.0"
+  languageName: unknown
+  linkType: soft
+
+"chart@npm:^2.0.0":
+  version: 2.0.0
+  resolution: "chart@npm:2.0.0"
+  dependencies:
+    react: "npm:^18.0.0"
+    widget: "npm:^1.0.0"
+  peerDependencies:
+    react: ">=16"
+    canvas: ^2.0.0
+  peerDependenciesMeta:
+    canvas:
+      optional: true
+  languageName: node
+  linkType: hard
+
+"widget@npm:^1.0.0":
+  version: 1.0.0
+  resolution: "widget@npm:1.0.0"
+  peerDependencies:
+    react: ^18.0.0
+  languageName: node
+  linkType: hard
+
+"legacy@npm:^1.0.0":
+  version: 1.2.0
+  resolution: "legacy@npm:1.2.0"
+  languageName: node
+  linkType: hard
+
+"react@npm:^17.0.0":
+  version: 17.0.2
+  resolution: "react@npm:17.0.2"
+  languageName: node
+  linkType: hard
+
+"react@npm:^18.0.0":
+  version: 18.2.0
+  resolution: "react@npm:18.2.0"
+  languageName: node
+  linkType: hard
+`);
+  
+  const graph = parseYarnLockfile(lockfile, {
+    cwd: os.tmpdir(),
+    packageJson: { name: 'berry-app', dependencies: { chart: '^2.0.0', react: '^17.0.0', legacy: '^1.0.0' } },
+    packageExtensions: {
+      'legacy@^1.0.0': { peerDependencies: { 'react': '^16.0.0' } },
+      'legacy@^2.0.0': { peerDependencies: { 'react-dom': '*' } }
+    }
+  });
+  const findings = findPeerIssues(graph, { config: DEFAULTS });
+  const byPeer = Object.fromEntries(findings.map(finding => [`${finding.package}>${finding.peer}`, finding]));
+  
+  assert.strictEqual(findings.length, 1, 'Only the peer added by the matching packageExtension should be reported');
+  assert.strictEqual(byPeer['legacy>react'].installed, '17.0.2');
+  assert(!byPeer['widget>react'], 'widget gets react from chart, its parent, not from the root');
+  assert(!byPeer['chart>canvas'], 'A missing optional peer should be ignored');
+  assert(!byPeer['legacy>react-dom'], 'Extensions for other versions should not apply');
+  assert.strictEqual(graph.resolve(graph.root, 'chart').name, 'chart');
+}
+
+// Test one package manager precedence: config (--pm), packageManager field, lockfiles, npm
+async function testPackageManagerDetection() {
+  const testDir = createFixtureProject('package-manager', { name: 'pm', packageManager: 'pnpm@9.1.0+sha512.abc' });
+  
+  try {
+    assert.deepStrictEqual(parsePackageManagerField('yarn@4.1.1'), { name: 'yarn', version: '4.1.1' });
+    assert.strictEqual(parsePackageManagerField('deno@1.0.0'), null);
+    
+    fs.writeFileSync(path.join(testDir, 'yarn.lock'), '# yarn lockfile v1\n');
+    const fromField = detectPackageManager(testDir, DEFAULTS);
+    assert.strictEqual(fromField.name, 'pnpm', 'The packageManager field should win over lockfiles');
+    assert.strictEqual(fromField.version, '9.1.0');
+    assert.strictEqual(fromField.major, 9);
+    assert.strictEqual(fromField.source, 'packageManager');
+    
+    const fromConfig = detectPackageManager(testDir, { ...DEFAULTS, packageManager: 'yarn' });
+    assert.strictEqual(fromConfig.name, 'yarn', '--pm and config should win over the packageManager field');
+    assert.strictEqual(fromConfig.lockfile, 'yarn.lock');
+    
+    fs.writeFileSync(path.join(testDir, 'package.json'), JSON.stringify({ name: 'pm' }));
+    fs.rmSync(path.join(testDir, 'yarn.lock'));
+    fs.writeFileSync(path.join(testDir, 'bun.lock'), '{ "lockfileVersion": 1, }\n');
+    const fromLockfile = detectPackageManager(testDir, DEFAULTS);
+    assert.strictEqual(fromLockfile.name, 'bun', 'The text bun.lock should be recognized');
+    assert.strictEqual(fromLockfile.source, 'lockfile');
+    
+    fs.rmSync(path.join(testDir, 'bun.lock'));
+    const fallback = detectPackageManager(testDir, DEFAULTS);
+    assert.strictEqual(fallback.name, 'npm');
+    assert.strictEqual(fallback.source, 'default');
+  } finally {
+    cleanup(testDir);
+  }
+}
+
+// Test packuments are cached on disk, served while fresh and revalidated with ETags
+async function testRegistryCache() {
+  const testDir = createFixtureProject('cache', { name: 'cache-app', dependencies: { react: '^18.0.0' } }, [
+    { name: 'react', version: '18.2.0' }
+  ]);
+  const registry = await startRegistry({
+    'react-dom': {
+      name: 'react-dom',
+      'dist-tags': { latest: '19.0.0', next: '19.1.0-rc.1' },
+      versions: {
+        '18.2.0': { version: '18.2.0', peerDependencies: { react: '^18.2.0' }, dist: { tarball: 'x' } },
+        '19.0.0': { version: '19.0.0', peerDependencies: { react: '^19.0.0' } },
+        '19.1.0-rc.1': { version: '19.1.0-rc.1', peerDependencies: { react: '^19.1.0-rc.1' } }
+      }
+    }
+  });
+  
+  try {
+    const config = { ...DEFAULTS, registry: registry.url };
+    const context = { cwd: testDir, config };
+    
+    assert.strictEqual(await resolveVersion('react-dom', 'next', context), '19.1.0-rc.1');
+    assert.strictEqual(await resolveVersion('react-dom', '^18.0.0', context), '18.2.0');
+    assert.deepStrictEqual(await getPeerDependencies('react-dom', '19', context), { react: '^19.0.0' });
+    assert.strictEqual(registry.requests.length, 1, 'A fresh cache entry should answer repeat lookups');
+    
+    const packument = await fetchPackument('react-dom', context);
+    assert.strictEqual(packument.versions['18.2.0'].dist, undefined, 'Unused packument fields should not be cached');
+    
+    // A later run of a whole command against the unchanged project needs no network
+    const [result] = await require('../src').checkUpgrade('react-dom@19', { cwd: testDir, config: { registry: registry.url } });
+    assert.strictEqual(result.peers[0].status, 'violated');
+    assert.strictEqual(registry.requests.length, 1);
+    
+    // Once stale, the entry is revalidated with If-None-Match and kept on 304
+    await fetchPackument('react-dom', { cwd: testDir, config: { ...config, cacheTtl: 0 } });
+    assert.strictEqual(registry.requests.length, 2);
+    assert(registry.requests[1].headers['if-none-match'], 'Stale entries should be revalidated with their ETag');
+    
+    assert.strictEqual(await fetchPackument('missing-package', context), null);
+    
+    const stats = getCacheStats(config, testDir);
+    assert.strictEqual(stats.entries, 1);
+    assert.strictEqual(stats.fresh, 1);
+    assert.strictEqual(clearCache(config, testDir).removed, 1);
+    assert.strictEqual(getCacheStats(config, testDir).entries, 0);
+  } finally {
+    await registry.close();
+    cleanup(testDir);
+  }
+}
+
+// Test .npmrc registries, scoped registries and auth tokens are honored
+async function testNpmrcRegistries() {
+  const packument = name => ({ name, 'dist-tags': { latest: '1.0.0' }, versions: { '1.0.0': { version: '1.0.0' } } });
+  const publicRegistry = await startRegistry({ 'left-pad': packument('left-pad') });
+  const privateRegistry = await startRegistry({ '@acme/ui': packument('@acme/ui') }, { token: 's3cret' });
+  const testDir = createFixtureProject('npmrc', { name: 'npmrc-app' });
+  
+  try {
+    const privateHost = privateRegistry.url.replace(/^http:/, '');
+    fs.writeFileSync(path.join(testDir, '.npmrc'), [
+      `registry=${publicRegistry.url}`,
+      `@acme:registry=${privateRegistry.url}`,
+      `${privateHost}:_authToken=\${ACME_TOKEN}`
+    ].join('\n'));
+    
+    const env = { ACME_TOKEN: 's3cret', NPM_CONFIG_USERCONFIG: path.join(testDir, 'missing-user-npmrc') };
+    const npmrc = readNpmrc(testDir, env);
+    assert.strictEqual(npmrc[`${privateHost}:_authToken`], 's3cret', '${VAR} references should be expanded');
+    assert.strictEqual(getRegistryFor('@acme/ui', npmrc, DEFAULTS, 'x'), privateRegistry.url);
+    assert.strictEqual(getRegistryFor('left-pad', npmrc, DEFAULTS, 'x'), publicRegistry.url);
+    assert.strictEqual(getRegistryFor('left-pad', npmrc, { ...DEFAULTS, registry: 'https://mirror.test' }, 'x'), 'https://mirror.test/',
+      'The registry option should win over .npmrc for unscoped packages');
+    assert.strictEqual(getAuthHeader(`${privateRegistry.url}@acme%2fui`, npmrc), 'Bearer s3cret');
+    assert.strictEqual(getAuthHeader(`${publicRegistry.url}left-pad`, npmrc), null, 'Tokens should only go to their registry');
+    assert.deepStrictEqual(parseNpmrc('; comment\nstrict-peer-deps = "true"\n'), { 'strict-peer-deps': 'true' });
+    
+    const context = { cwd: testDir, config: DEFAULTS, npmrc };
+    assert.strictEqual((await fetchPackument('@acme/ui', context)).name, '@acme/ui');
+    assert.strictEqual((await fetchPackument('left-pad', context)).name, 'left-pad');
+    assert.strictEqual(privateRegistry.requests[0].url, '/@acme%2fui');
+    assert.strictEqual(publicRegistry.requests[0].headers.authorization, undefined);
+    
+    await assert.rejects(fetchPackument('left-pad', { ...context, config: { ...DEFAULTS, registry: 'registry.example.com' } }),
+      /Invalid registry "registry.example.com"/, 'Registries without a scheme should be rejected, not crash the request');
+    fs.writeFileSync(path.join(testDir, '.npmrc'), '@acme:registry=ftp://registry.example.com\n');
+    assert.throws(() => readNpmrc(testDir, env), /Invalid @acme:registry "ftp:\/\/registry.example.com" in npm config/);
+  } finally {
+    await publicRegistry.close();
+    await privateRegistry.close();
+    cleanup(testDir);
+  }
+}
+
+// Test packuments are fetched in parallel, never more than the concurrency limit at once
+async function testConcurrentRegistryRequests() {
+  const names = Array.from({ length: 6 }, (_, index) => `pkg-${index}`);
+  const registry = await startRegistry(Object.fromEntries(names.map(name => [name, {
+    name, 'dist-tags': { latest: '1.0.0' }, versions: { '1.0.0': { version: '1.0.0' } }
+  }])), { delay: 50 });
+  const testDir = createFixtureProject('concurrency', { name: 'concurrency-app' });
+  
+  try {
+    const config = { ...DEFAULTS, registry: registry.url, concurrency: 3 };
+    const packuments = await fetchPackuments([...names, 'pkg-0'], { cwd: testDir, config, npmrc: {} });
+    
+    assert.strictEqual(packuments.size, 6);
+    assert(names.every(name => packuments.get(name).name === name));
+    assert.strictEqual(registry.requests.length, 6, 'Duplicate names should be fetched once');
+    assert.strictEqual(registry.stats.maxActive, 3, 'Requests should run in parallel up to the limit');
+    
+    const [first, second] = await Promise.all([
+      fetchPackument('pkg-1', { cwd: testDir, config: { ...config, cacheTtl: 0 }, npmrc: {} }),
+      fetchPackument('pkg-1', { cwd: testDir, config: { ...config, cacheTtl: 0 }, npmrc: {} })
+    ]);
+    assert.strictEqual(first, second, 'Concurrent lookups of one package should share a request');
+    assert.strictEqual(registry.requests.length, 7);
+  } finally {
+    await registry.close();
+    cleanup(testDir);
+  }
+}
+
+// Test package specs: scopes, aliases, tags and ranges resolve; git, file and URL specs are rejected
+async function testPackageSpecs() {
+  assert.deepStrictEqual(
+    [parseSpec('@types/react@18'), parseSpec('next@canary'), parseSpec('react@^19'), parseSpec('react@19.0.0')]
+      .map(spec => [spec.name, spec.type, spec.range]),
+    [['@types/react', 'range', '18'], ['next', 'tag', 'canary'], ['react', 'range', '^19'], ['react', 'version', '19.0.0']]
+  );
+  const alias = parseSpec('react18@npm:react@^18');
+  assert.deepStrictEqual([alias.name, alias.registryName, alias.type, alias.range], ['react18', 'react', 'alias', '^18']);
+  for (const spec of ['github:user/repo', 'user/repo#v1', 'git+https://example.com/a.git', 'file:../lib', './lib', 'lib@link:../lib', 'https://example.com/a.tgz', '_private', 'not valid']) {
+    assert(parseSpec(spec).error, `${spec} should be rejected`);
+  }
+  const legacy = parseSpec('JSONStream@1.3.5');
+  assert.deepStrictEqual([legacy.name, legacy.type, legacy.error], ['JSONStream', 'version', null], 'Legacy uppercase names are still installable');
+  
+  const testDir = createFixtureProject('specs', { name: 'specs-app', dependencies: { react: '^18.0.0' } }, [
+    { name: 'react', version: '18.2.0' }
+  ]);
+  const registry = await startRegistry({
+    'react-dom': {
+      name: 'react-dom',
+      'dist-tags': { latest: '18.2.0', canary: '19.1.0-canary-1' },
+      versions: {
+        '18.2.0': { version: '18.2.0', peerDependencies: { react: '^18.2.0' } },
+        '19.1.0-canary-1': { version: '19.1.0-canary-1', peerDependencies: { react: '19.1.0-canary-1' } }
+      }
+    }
+  });
+  
+  try {
+    const { checkUpgrade } = require('../src');
+    const options = { cwd: testDir, config: { registry: registry.url } };
+    const [canary, alias, git] = await checkUpgrade(['react-dom@canary', 'dom@npm:react-dom@^18', 'github:facebook/react'], options);
+    
+    assert.strictEqual(canary.version, '19.1.0-canary-1', 'Dist-tags should resolve to the tagged version');
+    assert.strictEqual(canary.requested, 'canary');
+    assert.strictEqual(canary.peers[0].status, 'violated');
+    assert.strictEqual(alias.name, 'dom');
+    assert.strictEqual(alias.alias, 'react-dom');
+    assert.strictEqual(alias.version, '18.2.0');
+    assert.strictEqual(alias.peers[0].status, 'satisfied');
+    assert.match(git.error, /^Cannot analyze github:facebook\/react: git dependencies/);
+    assert.strictEqual(registry.requests.length, 1, 'Rejected specs should never reach the registry');
+  } finally {
+    await registry.close();
+    cleanup(testDir);
+  }
+}
+
+// Test upgrade plans: companion upgrades in peer order, and the constraint that blocks an impossible plan
+async function testUpgradePlan() {
+  const installed = [
+    { name: 'react', version: '18.2.0' },
+    { name: 'react-dom', version: '18.2.0', peerDependencies: { react: '^18.2.0' } },
+    { name: 'next', version: '14.0.0', peerDependencies: { react: '^18.2.0', 'react-dom': '^18.2.0' } },
+    { name: '@testing-library/react', version: '14.0.0', peerDependencies: { react: '^18.0.0', 'react-dom': '^18.0.0' } },
+    { name: 'lodash', version: '4.17.21' }
+  ];
+  const testDir = createFixtureProject('plan', {
+    name: 'plan-app',
+    packageManager: 'npm@10.0.0',
+    dependencies: { react: '^18.2.0', 'react-dom': '^18.2.0', next: '^14.0.0', lodash: '^4.17.21' },
+    devDependencies: { '@testing-library/react': '^14.0.0' }
+  }, installed);
+  const blockedDir = createFixtureProject('plan-blocked', {
+    name: 'plan-blocked-app',
+    packageManager: 'npm@10.0.0',
+    dependencies: { react: '^18.2.0', 'legacy-lib': '^1.0.0' }
+  }, [installed[0], { name: 'legacy-lib', version: '1.0.0', peerDependencies: { react: '^17.0.0 || ^18.0.0' } }]);
+  const registry = await startRegistry({
+    react: {
+      name: 'react',
+      'dist-tags': { latest: '19.0.0' },
+      versions: { '18.2.0': { version: '18.2.0' }, '19.0.0': { version: '19.0.0' } }
+    },
+    'react-dom': {
+      name: 'react-dom',
+      'dist-tags': { latest: '19.0.0' },
+      versions: {
+        '18.2.0': { version: '18.2.0', peerDependencies: { react: '^18.2.0' } },
+        '19.0.0': { version: '19.0.0', peerDependencies: { react: '^19.0.0' } }
+      }
+    },
+    next: {
+      name: 'next',
+      'dist-tags': { latest: '15.0.0' },
+      versions: {
+        '14.0.0': { version: '14.0.0', peerDependencies: { react: '^18.2.0', 'react-dom': '^18.2.0' } },
+        '15.0.0': { version: '15.0.0', peerDependencies: { react: '^18.2.0 || ^19.0.0', 'react-dom': '^18.2.0 || ^19.0.0' } }
+      }
+    },
+    '@testing-library/react': {
+      name: '@testing-library/react',
+      'dist-tags': { latest: '16.0.0' },
+      versions: {
+        '14.0.0': { version: '14.0.0', peerDependencies: { react: '^18.0.0', 'react-dom': '^18.0.0' } },
+        '16.0.0': {
+          version: '16.0.0',
+          peerDependencies: { react: '^18.0.0 || ^19.0.0', 'react-dom': '^18.0.0 || ^19.0.0', '@types/react': '^18.0.0 || ^19.0.0' },
+          peerDependenciesMeta: { '@types/react': { optional: true } }
+        }
+      }
+    },
+    'legacy-lib': {
+      name: 'legacy-lib',
+      'dist-tags': { latest: '1.0.0' },
+      versions: { '1.0.0': { version: '1.0.0', peerDependencies: { react: '^17.0.0 || ^18.0.0' } } }
+    }
+  });
+  
+  try {
+    const { planUpgrade } = require('../src');
+    const config = { registry: registry.url };
+    const plan = await planUpgrade('react@19', { cwd: testDir, config });
+    
+    assert.strictEqual(plan.solved, true);
+    assert.deepStrictEqual(plan.steps.map(step => `${step.name}@${step.to}`),
+      ['react@19.0.0', 'react-dom@19.0.0', '@testing-library/react@16.0.0', 'next@15.0.0'],
+      'Peers should be upgraded before the packages that require them');
+    assert.strictEqual(plan.steps[0].reason, null);
+    assert.strictEqual(plan.steps[1].reason, 'react-dom@18.2.0 requires react ^18.2.0');
+    assert.deepStrictEqual(plan.commands, [
+      'npm install react@19.0.0 react-dom@19.0.0 next@15.0.0',
+      'npm install --save-dev @testing-library/react@16.0.0'
+    ]);
+    assert(!registry.requests.some(request => request.url === '/lodash'), 'Unrelated packages should not be fetched');
+    
+    const blocked = await planUpgrade(['react@19'], { cwd: blockedDir, config });
+    assert.strictEqual(blocked.solved, false);
+    assert.strictEqual(blocked.summary.highest, 'error');
+    assert.deepStrictEqual(blocked.blockers.map(blocker => blocker.message), [
+      'No published version of legacy-lib accepts react@19.0.0 (latest legacy-lib@1.0.0 requires react ^17.0.0 || ^18.0.0)'
+    ]);
+  } finally {
+    await registry.close();
+    cleanup(testDir);
+    cleanup(blockedDir);
+  }
+}
+
+// Test reverse peer lookups: every dependent with its range and path, and the intersection of the ranges
+async function testReversePeerLookup() {
+  assert.strictEqual(intersectRanges(['^18.0.0', '^18.2.0 || ^19.0.0', '>=16.8.0']), '>=18.2.0 <19.0.0-0');
+  assert.strictEqual(intersectRanges(['18.2.0', '^18.0.0']), '18.2.0');
+  assert.strictEqual(intersectRanges(['^17.0.0', '^18.0.0']), null);
+  assert.strictEqual(intersectRanges([]), '*');
+  
+  const testDir = createFixtureProject('why', {
+    name: 'why-app',
+    packageManager: 'npm@10.0.0',
+    dependencies: { react: '^18.2.0', 'ui-kit': '^1.0.0', chart: '^2.0.0' }
+  });
+  fs.writeFileSync(path.join(testDir, 'package-lock.json'), JSON.stringify({
+    lockfileVersion: 3,
+    packages: {
+      '': { name: 'why-app', dependencies: { react: '^18.2.0', 'ui-kit': '^1.0.0', chart: '^2.0.0' } },
+      'node_modules/react': { version: '18.2.0' },
+      'node_modules/ui-kit': { version: '1.0.0', dependencies: { 'react-dom': '^18.0.0' } },
+      'node_modules/ui-kit/node_modules/react-dom': { version: '18.2.0', peerDependencies: { react: '^18.2.0' } },
+      'node_modules/chart': {
+        version: '2.0.0',
+        peerDependencies: { react: '^16.8.0 || ^17.0.0 || ^18.0.0' },
+        peerDependenciesMeta: { react: { optional: true } }
+      }
+    }
+  }));
+  const registry = await startRegistry({
+    react: {
+      name: 'react',
+      'dist-tags': { latest: '19.0.0' },
+      versions: { '18.2.0': { version: '18.2.0' }, '18.3.1': { version: '18.3.1' }, '19.0.0': { version: '19.0.0' } }
+    }
+  });
+  
+  try {
+    const { whyPeer } = require('../src');
+    const result = await whyPeer('react', { cwd: testDir, config: { registry: registry.url } });
+    
+    assert.deepStrictEqual(result.installed.map(copy => copy.location), ['node_modules/react']);
+    assert.deepStrictEqual(result.dependents.map(dependent => [dependent.package, dependent.range, dependent.optional, dependent.status]), [
+      ['chart', '^16.8.0 || ^17.0.0 || ^18.0.0', true, 'satisfied'],
+      ['react-dom', '^18.2.0', false, 'satisfied']
+    ]);
+    assert.deepStrictEqual(result.dependents[1].path, ['why-app', 'ui-kit', 'react-dom']);
+    assert.strictEqual(result.intersection, '>=18.2.0 <19.0.0-0');
+    assert.strictEqual(result.newest, '18.3.1', 'The newest published version inside the intersection should be reported');
+    assert.strictEqual(result.summary.highest, null);
+  } finally {
+    await registry.close();
+    cleanup(testDir);
+  }
+}
+
+// Test potential conflicts cover every direct dependency, against lockfile-resolved versions
+async function testPotentialConflicts() {
+  const packageJson = {
+    name: 'vue-app',
+    packageManager: 'npm@10.0.0',
+    dependencies: { vue: '^3.3.0', pinia: '^2.1.0', 'vue-router': '^4.2.0', lodash: '^4.17.0', 'my-lib': 'github:acme/my-lib' },
+    devDependencies: { storybook: '^8.1.0', '@storybook/vue3': '^8.1.0' }
+  };
+  const testDir = createFixtureProject('potential', packageJson);
+  fs.writeFileSync(path.join(testDir, 'package-lock.json'), JSON.stringify({
+    lockfileVersion: 3,
+    packages: {
+      '': { name: 'vue-app', dependencies: packageJson.dependencies, devDependencies: packageJson.devDependencies },
+      'node_modules/vue': { version: '3.3.4' },
+      'node_modules/pinia': { version: '2.1.0', peerDependencies: { vue: '^3.2.0' } },
+      'node_modules/lodash': { version: '4.17.21' },
+      'node_modules/storybook': { version: '8.1.0', dev: true },
+      'node_modules/@storybook/vue3': { version: '8.1.0', dev: true, peerDependencies: { storybook: '^8.1.0' } }
+    }
+  }));
+  const packument = (name, versions) => ({
+    name,
+    'dist-tags': { latest: Object.keys(versions).pop() },
+    versions: Object.fromEntries(Object.entries(versions).map(([version, peers]) => [version, { version, peerDependencies: peers }]))
+  });
+  const registry = await startRegistry({
+    vue: packument('vue', { '3.3.4': {}, '3.5.0': {} }),
+    pinia: packument('pinia', { '2.1.0': { vue: '^3.2.0' }, '3.0.0': { vue: '^3.5.0' } }),
+    'vue-router': packument('vue-router', { '4.2.0': { vue: '^3.2.0' }, '4.2.5': { vue: '^3.2.0' }, '4.4.0': { vue: '^3.2.0' } }),
+    lodash: packument('lodash', { '4.17.21': {} }),
+    storybook: packument('storybook', { '8.1.0': {}, '8.2.0': {} }),
+    '@storybook/vue3': packument('@storybook/vue3', { '8.1.0': { storybook: '^8.1.0' }, '8.2.0': { storybook: '^8.2.0', vue: '^3.0.0' } })
+  });
+  
+  try {
+    const { analyzePeers } = require('../src');
+    const config = { registry: registry.url };
+    const analysis = await analyzePeers({ cwd: testDir, config });
+    const byPackage = Object.fromEntries(analysis.potentialConflicts.map(conflict => [conflict.package, conflict]));
+    
+    assert.deepStrictEqual(Object.keys(byPackage).sort(), ['@storybook/vue3', 'pinia'],
+      'Only dependencies whose latest peers are unmet should be reported');
+    assert.strictEqual(byPackage.pinia.current, '2.1.0');
+    assert.deepStrictEqual(byPackage.pinia.peers.map(peer => [peer.name, peer.status, peer.current, peer.source]),
+      [['vue', 'violated', '3.3.4', 'installed']], 'Peers should be compared with the lockfile-resolved version');
+    assert.strictEqual(byPackage['@storybook/vue3'].peers.find(peer => peer.name === 'storybook').status, 'violated');
+    assert(registry.requests.some(request => request.url === '/vue-router'), 'Dependencies beyond a fixed list should be analyzed');
+    assert(!registry.requests.some(request => request.url.includes('my-lib')), 'git dependencies should not reach the registry');
+    
+    const production = await analyzePeers({ cwd: testDir, config: { ...config, includeDevDependencies: false } });
+    assert.deepStrictEqual(production.potentialConflicts.map(conflict => conflict.package), ['pinia']);
+  } finally {
+    await registry.close();
+    cleanup(testDir);
+  }
+}
+
+// Test workspaces: discovery from package.json and pnpm-workspace.yaml, per-workspace issues, drift and filtering
+async function testWorkspaces() {
+  const testDir = createFixtureProject('workspaces', {
+    name: 'mono',
+    private: true,
+    packageManager: 'pnpm@9.0.0',
+    workspaces: ['apps/*', '!apps/legacy']
+  });
+  const writeManifest = (dir, manifest) => {
+    fs.mkdirSync(path.join(testDir, dir), { recursive: true });
+    fs.writeFileSync(path.join(testDir, dir, 'package.json'), JSON.stringify(manifest, null, 2));
+  };
+  writeManifest('apps/web', { name: 'web', dependencies: { react: '^18.2.0', 'react-dom': '^18.2.0', ui: 'workspace:*' } });
+  writeManifest('apps/admin', { name: 'admin', dependencies: { react: '^17.0.0', 'react-dom': '^18.2.0' } });
+  writeManifest('apps/legacy', { name: 'legacy', dependencies: { react: '^16.0.0' } });
+  writeManifest('packages/ui', { name: 'ui', peerDependencies: { react: '^17.0.0 || ^18.0.0' }, devDependencies: { react: '^18.2.0' } });
+  fs.writeFileSync(path.join(testDir, 'pnpm-workspace.yaml'), YAML.stringify({ packages: ['packages/**'] }));
+  fs.writeFileSync(path.join(testDir, 'pnpm-lock.yaml'), YAML.stringify({
+    lockfileVersion: '9.0',
+    importers: {
+      '.': {},
+      'apps/web': {
+        dependencies: {
+          react: { specifier: '^18.2.0', version: '18.3.1' },
+          'react-dom': { specifier: '^18.2.0', version: '18.3.1(react@18.3.1)' },
+          ui: { specifier: 'workspace:*', version: 'link:../../packages/ui' }
+        }
+      },
+      'apps/admin': {
+        dependencies: {
+          react: { specifier: '^17.0.0', version: '17.0.2' },
+          'react-dom': { specifier: '^18.2.0', version: '18.3.1(react@17.0.2)' }
+        }
+      },
+      'packages/ui': { devDependencies: { react: { specifier: '^18.2.0', version: '18.3.1' } } }
+    },
+    packages: {
+      'react@17.0.2': { resolution: { integrity: 'sha512-a' } },
+      'react@18.3.1': { resolution: { integrity: 'sha512-b' } },
+      'react-dom@18.3.1': { resolution: { integrity: 'sha512-c' }, peerDependencies: { react: '^18.3.1' } }
+    },
+    snapshots: {
+      'react@17.0.2': {},
+      'react@18.3.1': {},
+      'react-dom@18.3.1(react@17.0.2)': { dependencies: { react: '17.0.2' } },
+      'react-dom@18.3.1(react@18.3.1)': { dependencies: { react: '18.3.1' } }
+    }
+  }));
+  
+  try {
+    const { analyzePeers } = require('../src');
+    assert.deepStrictEqual(listWorkspaces(testDir, readPackageJson(testDir)).map(workspace => `${workspace.name}:${workspace.dir}`),
+      ['admin:apps/admin', 'web:apps/web', 'ui:packages/ui'], 'Negated patterns should exclude workspaces');
+    
+    const all = await analyzePeers({ cwd: testDir, brief: true });
+    assert.deepStrictEqual(all.workspaces.map(workspace => [workspace.name, workspace.currentIssues.length]),
+      [['mono', 0], ['admin', 1], ['web', 0], ['ui', 0]]);
+    assert.deepStrictEqual(all.workspaces[1].currentIssues[0].path, ['admin', 'react-dom']);
+    assert.deepStrictEqual(all.drift.map(drift => [drift.name, drift.versions, drift.severity]),
+      [['react', ['17.0.2', '18.3.1'], 'error']], 'Shared peers resolved to different versions should drift');
+    assert.strictEqual(all.summary.highest, 'error');
+    
+    const web = await analyzePeers({ cwd: testDir, brief: true, config: { workspaces: ['apps/web'] } });
+    assert.deepStrictEqual(web.workspaces.map(workspace => workspace.name), ['web']);
+    assert.deepStrictEqual(web.currentIssues, [], 'Filtering should leave out other workspaces\' issues');
+    assert.strictEqual(web.drift.length, 1, 'Drift involving the selected workspace is still reported');
+    
+    await assert.rejects(analyzePeers({ cwd: testDir, brief: true, config: { workspaces: ['mobile'] } }), /Unknown workspace "mobile"/);
+  } finally {
+    cleanup(testDir);
+  }
+}
+
+// Test duplicate singletons: every copy with its path, and the dependent forcing each extra copy
+async function testDuplicateSingletons() {
+  const lockfile = {
+    lockfileVersion: 3,
+    packages: {
+      '': { name: 'app', dependencies: { react: '^18.2.0', 'ui-kit': '^1.0.0', chart: '^2.0.0', 'my-store': '^1.0.0', widget: '^1.0.0', lodash: '^4.0.0' } },
+      'node_modules/react': { version: '18.2.0' },
+      'node_modules/ui-kit': { version: '1.0.0', dependencies: { react: '^17.0.0' } },
+      'node_modules/ui-kit/node_modules/react': { version: '17.0.2' },
+      'node_modules/chart': { version: '2.0.0', dependencies: { react: '>=17.0.0', lodash: '^3.0.0' } },
+      'node_modules/chart/node_modules/react': { version: '17.0.2' },
+      'node_modules/chart/node_modules/lodash': { version: '3.10.1' },
+      'node_modules/lodash': { version: '4.17.21' },
+      'node_modules/my-store': { version: '1.0.0' },
+      'node_modules/widget': { version: '1.0.0', dependencies: { 'my-store': '^2.0.0' } },
+      'node_modules/widget/node_modules/my-store': { version: '2.0.0' }
+    }
+  };
+  const graph = parseNpmLockfile(lockfile, { cwd: os.tmpdir(), packageJson: {} });
+  
+  const builtIn = findDuplicateSingletons(graph, { config: DEFAULTS });
+  assert.deepStrictEqual(builtIn.map(duplicate => duplicate.package), ['react'], 'Only singletons should be reported, not lodash');
+  
+  const [react] = builtIn;
+  assert.deepStrictEqual(react.versions, ['17.0.2', '18.2.0']);
+  assert.strictEqual(react.primary, '18.2.0', 'The copy the root resolves is the one to keep');
+  const old = react.copies.find(copy => copy.version === '17.0.2');
+  assert.deepStrictEqual(old.locations, ['node_modules/ui-kit/node_modules/react', 'node_modules/chart/node_modules/react']);
+  assert.deepStrictEqual(old.path, ['app', 'ui-kit', 'react']);
+  assert.deepStrictEqual(old.forcedBy.map(dependent => dependent.message), [
+    'ui-kit@1.0.0 requires react ^17.0.0, which 18.2.0 does not satisfy',
+    'chart@2.0.0 requires react >=17.0.0, which 18.2.0 also satisfies (a dedupe should fix it)'
+  ]);
+  
+  const configured = findDuplicateSingletons(graph, { config: { ...DEFAULTS, singletons: ['my-*'] } });
+  assert.deepStrictEqual(configured.map(duplicate => duplicate.package), ['my-store', 'react'], 'config.singletons should extend the list');
+  
+  const excluded = findDuplicateSingletons(graph, { config: { ...DEFAULTS, excludePackages: ['react'] } });
+  assert.deepStrictEqual(excluded, []);
+}
+
+// Test the upgrade selector: grouping, key handling and the live peer impact of a selection
+async function testUpgradeSelector() {
+  const { groupUpgrades, createImpactChecker } = require('../src/upgrade');
+  const { createSelector, handleKey, renderSelector, selectUpgrades } = require('../src/upgrade-ui');
+  const { PassThrough } = require('stream');
+  
+  const upgrades = [
+    { name: 'react', current: '18.2.0', latest: '19.0.0', updateType: 'major', dev: false },
+    { name: 'react-dom', current: '18.2.0', latest: '19.0.0', updateType: 'major', dev: false },
+    { name: 'lodash', current: '4.17.20', latest: '4.17.21', updateType: 'patch', dev: false },
+    { name: 'axios', current: '1.6.0', latest: '1.7.0', updateType: 'minor', dev: true }
+  ];
+  const groups = groupUpgrades(upgrades);
+  assert.deepStrictEqual(Object.keys(groups), ['patch', 'minor', 'major']);
+  assert.deepStrictEqual(groups.major.map(upgrade => upgrade.name), ['react', 'react-dom']);
+  
+  const state = createSelector(groups);
+  assert.deepStrictEqual(state.items.map(item => item.name), ['lodash', 'axios', 'react', 'react-dom']);
+  assert.strictEqual(handleKey(state, { name: 'up' }), false);
+  assert.strictEqual(state.cursor, 3, 'Moving up from the top should wrap to the bottom');
+  assert.strictEqual(handleKey(state, { name: 'a' }), true);
+  assert.deepStrictEqual([...state.selected], ['react', 'react-dom'], '"a" should select the whole group');
+  handleKey(state, { name: 'space' });
+  assert.deepStrictEqual([...state.selected], ['react']);
+  
+  const testDir = createFixtureProject('upgrade', {
+    name: 'upgrade-app',
+    packageManager: 'npm@10.0.0',
+    dependencies: { react: '^18.2.0', 'react-dom': '^18.2.0' }
+  }, [
+    { name: 'react', version: '18.2.0' },
+    { name: 'react-dom', version: '18.2.0', peerDependencies: { react: '^18.2.0' } }
+  ]);
+  const registry = await startRegistry({
+    react: {
+      name: 'react',
+      'dist-tags': { latest: '19.0.0' },
+      versions: { '18.2.0': { version: '18.2.0' }, '19.0.0': { version: '19.0.0' } }
+    },
+    'react-dom': {
+      name: 'react-dom',
+      'dist-tags': { latest: '19.0.0' },
+      versions: {
+        '18.2.0': { version: '18.2.0', peerDependencies: { react: '^18.2.0' } },
+        '19.0.0': { version: '19.0.0', peerDependencies: { react: '^19.0.0' } }
+      }
+    }
+  });
+  
+  try {
+    const checkImpact = createImpactChecker({ cwd: testDir, config: { ...DEFAULTS, registry: registry.url } });
+    const impact = await checkImpact([groups.major[0]]);
+    assert.deepStrictEqual(impact.violations.map(violation => violation.message),
+      ['react-dom@18.2.0 requires react ^18.2.0, but react would be 19.0.0']);
+    assert.strictEqual(impact.summary.highest, 'error');
+    assert.deepStrictEqual((await checkImpact(groups.major)).violations, [], 'Upgrading both together should be clean');
+    
+    const screen = renderSelector(state, impact).join('\n');
+    assert(screen.includes('› ◯ react-dom 18.2.0 → 19.0.0'), 'The cursor should point at react-dom');
+    assert(screen.includes('💡 Select the packages above too, or run "pdc plan react@19.0.0"'));
+    
+    // Drive the terminal loop: down, select axios, confirm
+    const input = new PassThrough();
+    const output = new PassThrough();
+    output.resume();
+    const selecting = selectUpgrades(groups, { input, output, checkImpact: async () => ({ violations: [], summary: summarizeFindings([]) }) });
+    input.write('\x1b[B');
+    input.write(' ');
+    input.write('\r');
+    const selection = await selecting;
+    assert.deepStrictEqual(selection.map(item => item.name), ['axios']);
+  } finally {
+    await registry.close();
+    cleanup(testDir);
+  }
+}
+
+// Test pdc fix: bump the peer or its dependent, add a missing peer, move a peer, keeping package.json formatting
+async function testPeerFixes() {
+  const { findFixes, applyFixes } = require('../src/fix');
+  const packageJson = {
+    name: 'fix-app',
+    packageManager: 'npm@10.0.0',
+    dependencies: { chart: '^2.0.0', d3: '^7.0.0', react: '~17.0.2', 'react-dom': '^18.2.0', 'ui-kit': '^1.0.0' },
+    devDependencies: { 'prop-types': '^15.8.1' }
+  };
+  const testDir = createFixtureProject('fix', packageJson);
+  const original = JSON.stringify(packageJson, null, 4) + '\n';
+  fs.writeFileSync(path.join(testDir, 'package.json'), original);
+  fs.writeFileSync(path.join(testDir, 'package-lock.json'), JSON.stringify({
+    lockfileVersion: 3,
+    packages: {
+      '': { name: 'fix-app', dependencies: packageJson.dependencies, devDependencies: packageJson.devDependencies },
+      'node_modules/react': { version: '17.0.2' },
+      'node_modules/react-dom': { version: '18.2.0', peerDependencies: { react: '^18.2.0' } },
+      'node_modules/ui-kit': {
+        version: '1.0.0',
+        peerDependencies: { react: '^17.0.0 || ^18.0.0', 'styled-components': '^5.0.0 || ^6.0.0', 'prop-types': '^15.0.0' }
+      },
+      'node_modules/chart': { version: '2.0.0', peerDependencies: { d3: '^5.0.0' } },
+      'node_modules/d3': { version: '7.0.0' },
+      'node_modules/prop-types': { version: '15.8.1', dev: true }
+    }
+  }));
+  const versions = list => Object.fromEntries(list.map(([version, peerDependencies]) => [version, { version, peerDependencies }]));
+  const registry = await startRegistry({
+    react: { name: 'react', versions: versions([['17.0.2'], ['18.2.0'], ['18.3.1'], ['19.0.0']]) },
+    'styled-components': { name: 'styled-components', versions: versions([['5.3.11'], ['6.1.0']]) },
+    chart: { name: 'chart', versions: versions([['2.0.0', { d3: '^5.0.0' }], ['3.0.0', { d3: '^6.0.0 || ^7.0.0' }]]) },
+    d3: { name: 'd3', versions: versions([['5.16.0'], ['7.0.0']]) }
+  });
+  
+  try {
+    const config = { ...DEFAULTS, registry: registry.url };
+    const result = await findFixes({ cwd: testDir, config });
+    assert.deepStrictEqual(result.edits.map(edit => edit.message), [
+      'Bump react in dependencies from ~17.0.2 to ~18.3.1',
+      'Add styled-components@^6.1.0 to dependencies',
+      'Bump chart in dependencies from ^2.0.0 to ^3.0.0',
+      'Move prop-types from devDependencies to dependencies'
+    ]);
+    assert.deepStrictEqual(result.edits[0].reasons, ['react-dom@18.2.0 requires react ^18.2.0']);
+    assert.deepStrictEqual(result.unresolved, []);
+    
+    const [{ file, diff }] = result.files;
+    assert.strictEqual(file, 'package.json');
+    assert(diff.startsWith('--- a/package.json\n+++ b/package.json\n@@ '));
+    assert(diff.includes('\n-        "react": "~17.0.2",\n+        "prop-types": "^15.8.1",\n+        "react": "~18.3.1",\n'),
+      'The diff should show the edited lines');
+    assert.strictEqual(fs.readFileSync(path.join(testDir, 'package.json'), 'utf8'), original, 'findFixes should not write anything');
+    
+    assert.deepStrictEqual(await applyFixes(result.edits, { cwd: testDir, config }), ['package.json']);
+    const written = fs.readFileSync(path.join(testDir, 'package.json'), 'utf8');
+    const fixed = JSON.parse(written);
+    assert.deepStrictEqual(fixed.dependencies, {
+      chart: '^3.0.0',
+      d3: '^7.0.0',
+      'prop-types': '^15.8.1',
+      react: '~18.3.1',
+      'react-dom': '^18.2.0',
+      'styled-components': '^6.1.0',
+      'ui-kit': '^1.0.0'
+    });
+    assert.strictEqual(fixed.devDependencies, undefined);
+    assert.strictEqual(written, JSON.stringify(fixed, null, 4) + '\n', 'Indentation and the final newline should be kept');
+  } finally {
+    await registry.close();
+    cleanup(testDir);
+  }
+}
+
+// Test overrides: forced versions and relaxed peers in each package manager's format, written with notes
+async function testOverrides() {
+  const { findOverrides, writeOverrides } = require('../src/overrides');
+  const { renderOverrides } = require('../src/report');
+  const npmJson = {
+    name: 'override-app',
+    packageManager: 'npm@10.0.0',
+    dependencies: { react: '^18.2.0', 'ui-kit': '^1.0.0', chart: '^2.0.0', plot: '^1.0.0' }
+  };
+  const npmDir = createFixtureProject('override-npm', npmJson);
+  fs.writeFileSync(path.join(npmDir, 'package-lock.json'), JSON.stringify({
+    lockfileVersion: 3,
+    packages: {
+      '': { name: 'override-app', dependencies: npmJson.dependencies },
+      'node_modules/react': { version: '18.2.0' },
+      'node_modules/ui-kit': { version: '1.0.0', peerDependencies: { react: '^17.0.0' } },
+      'node_modules/chart': { version: '2.0.0', dependencies: { 'd3-scale': '^3.0.0' }, peerDependencies: { 'd3-scale': '^4.0.0' } },
+      'node_modules/plot': { version: '1.0.0', peerDependencies: { 'd3-scale': '>=3.5.0' } },
+      'node_modules/d3-scale': { version: '3.0.0' }
+    }
+  }));
+  const pnpmDir = createFixtureProject('override-pnpm', {
+    name: 'app',
+    packageManager: 'pnpm@9.0.0',
+    dependencies: { react: '^17.0.0', 'react-dom': '^18.0.0' },
+    devDependencies: { devtools: '^5.0.0' }
+  });
+  fs.writeFileSync(path.join(pnpmDir, 'pnpm-lock.yaml'), `lockfileVersion: '9.0'
+importers:
+  .:
+    dependencies:
+      react:
+        specifier: ^17.0.0
+        version: 17.0.2
+      react-dom:
+        specifier: ^18.0.0
+        version: 18.2.0(react@17.0.2)
+    devDependencies:
+      devtools:
+        specifier: ^5.0.0
+        version: 5.0.0(react@17.0.2)
+packages:
+  react@17.0.2:
+    resolution: {integrity: sha512-a}
+  react-dom@18.2.0:
+    resolution: {integrity: sha512-b}
+    peerDependencies:
+      react: ^18.2.0
+  devtools@5.0.0:
+    resolution: {integrity: sha512-c}
+    peerDependencies:
+      react: ^18.0.0
+      query: ^5.0.0
+snapshots:
+  react@17.0.2: {}
+  react-dom@18.2.0(react@17.0.2):
+    dependencies:
+      react: 17.0.2
+  devtools@5.0.0(react@17.0.2):
+    dependencies:
+      react: 17.0.2
+`);
+  const registry = await startRegistry({
+    'd3-scale': { name: 'd3-scale', versions: { '3.0.0': { version: '3.0.0' }, '4.0.2': { version: '4.0.2' }, '5.0.0': { version: '5.0.0' } } }
+  });
+  const fixableJson = { name: 'fixable-app', packageManager: 'npm@10.0.0', dependencies: { react: '~17.0.2', 'react-dom': '^18.2.0' } };
+  const fixableDir = createFixtureProject('override-fixable', fixableJson);
+  fs.writeFileSync(path.join(fixableDir, 'package-lock.json'), JSON.stringify({
+    lockfileVersion: 3,
+    packages: {
+      '': { name: 'fixable-app', dependencies: fixableJson.dependencies },
+      'node_modules/react': { version: '17.0.2' },
+      'node_modules/react-dom': { version: '18.2.0', peerDependencies: { react: '^18.2.0' } }
+    }
+  }));
+  const fixableRegistry = await startRegistry({
+    react: { name: 'react', versions: { '17.0.2': { version: '17.0.2' }, '18.3.1': { version: '18.3.1' } } }
+  });
+  
+  try {
+    const config = { ...DEFAULTS, registry: registry.url };
+    const npm = await findOverrides([], { cwd: npmDir, config });
+    assert.deepStrictEqual(npm.block, {
+      overrides: { 'ui-kit': { react: '$react' }, 'd3-scale': '4.0.2' }
+    }, 'A direct peer is relaxed with a $ reference, a transitive one forced to a version every dependent accepts');
+    assert.deepStrictEqual(npm.entries[1].conflicts, [
+      'chart@2.0.0 requires peer d3-scale@^4.0.0, but 3.0.0 is installed (major version behind 4.0.0)',
+      'plot@1.0.0 requires peer d3-scale@>=3.5.0, but 3.0.0 is installed (minor version behind 3.5.0)'
+    ], 'One forced version should cover every conflict it resolves');
+    assert(renderOverrides(npm).includes([
+      '    "ui-kit": {',
+      '      // ui-kit@1.0.0 requires peer react@^17.0.0, but 18.2.0 is installed (newer than the range allows)',
+      '      // → Makes ui-kit use the project\'s react',
+      '      "react": "$react"'
+    ].join('\n')), 'Each entry should be annotated with the conflict it addresses');
+    
+    const only = await findOverrides(['d3-scale'], { cwd: npmDir, config });
+    assert.deepStrictEqual(Object.keys(only.block.overrides), ['d3-scale'], 'Named packages should limit the conflicts');
+    
+    assert.strictEqual(await writeOverrides(npm.entries, { cwd: npmDir, config }), true);
+    const written = JSON.parse(fs.readFileSync(path.join(npmDir, 'package.json'), 'utf8'));
+    assert.deepStrictEqual(written.overrides, npm.block.overrides);
+    assert.deepStrictEqual(written['//'], [
+      'overrides.ui-kit react: ui-kit@1.0.0 requires peer react@^17.0.0, but 18.2.0 is installed (newer than the range allows)',
+      'overrides d3-scale: chart@2.0.0 requires peer d3-scale@^4.0.0, but 3.0.0 is installed (major version behind 4.0.0); ' +
+        'plot@1.0.0 requires peer d3-scale@>=3.5.0, but 3.0.0 is installed (minor version behind 3.5.0)'
+    ]);
+    assert.strictEqual(await writeOverrides(npm.entries, { cwd: npmDir, config }), false, 'Writing twice should not duplicate notes');
+    
+    const pnpm = await findOverrides([], { cwd: pnpmDir, config });
+    assert.deepStrictEqual(pnpm.block, {
+      pnpm: {
+        peerDependencyRules: {
+          allowedVersions: { 'react-dom>react': '17', 'devtools>react': '17' },
+          ignoreMissing: ['query']
+        }
+      }
+    });
+    assert.deepStrictEqual(pnpm.unresolved, []);
+    
+    const pnpmText = fs.readFileSync(path.join(pnpmDir, 'package.json'), 'utf8')
+      .replace('"name": "app",', '"name": "app",\n  "engines": { "node": ">=18" },\n  "files": ["dist"],');
+    fs.writeFileSync(path.join(pnpmDir, 'package.json'), pnpmText);
+    assert.strictEqual(await writeOverrides(pnpm.entries, { cwd: pnpmDir, config }), true);
+    const pnpmWritten = fs.readFileSync(path.join(pnpmDir, 'package.json'), 'utf8');
+    assert(pnpmWritten.startsWith(`${pnpmText.slice(0, -2)},\n  "pnpm": {\n    "peerDependencyRules": {`),
+      'Writing overrides should add the block without touching the rest of package.json');
+    
+    const fixable = await findOverrides([], { cwd: fixableDir, config: { ...DEFAULTS, registry: fixableRegistry.url } });
+    assert.deepStrictEqual(fixable.entries, [], 'A conflict "pdc fix" resolves with an upgrade should not be overridden');
+    assert.deepStrictEqual(fixable.fixable, ['react-dom@18.2.0 requires peer react@^18.2.0, but 17.0.2 is installed (major version behind 18.2.0)']);
+    assert(renderOverrides(fixable).includes('💡 Run "pdc fix" for the upgrades that resolve these'));
+  } finally {
+    await registry.close();
+    await fixableRegistry.close();
+    cleanup(npmDir);
+    cleanup(pnpmDir);
+    cleanup(fixableDir);
+  }
+}
+
+async function testPeerRules() {
+  const { analyzePeers } = require('../src/peer-check');
+  const { readPeerSettings, classifyIssue } = require('../src/peer-rules');
+  const { findOverrides } = require('../src/overrides');
+  const { renderAnalysis } = require('../src/report');
+  const pnpmDir = createFixtureProject('rules-pnpm', {
+    name: 'app',
+    packageManager: 'pnpm@9.0.0',
+    dependencies: { react: '^17.0.0', 'react-dom': '^18.0.0' },
+    devDependencies: { devtools: '^5.0.0' },
+    pnpm: {
+      peerDependencyRules: {
+        ignoreMissing: ['query', 'legacy-*'],
+        allowAny: ['@types/*'],
+        allowedVersions: { 'react-dom>react': '17' }
+      }
+    }
+  });
+  fs.writeFileSync(path.join(pnpmDir, '.npmrc'), 'strict-peer-dependencies=true\nauto-install-peers=false\n');
+  fs.writeFileSync(path.join(pnpmDir, 'pnpm-lock.yaml'), `lockfileVersion: '9.0'
+importers:
+  .:
+    dependencies:
+      react:
+        specifier: ^17.0.0
+        version: 17.0.2
+      react-dom:
+        specifier: ^18.0.0
+        version: 18.2.0(react@17.0.2)
+    devDependencies:
+      devtools:
+        specifier: ^5.0.0
+        version: 5.0.0(react@17.0.2)
+packages:
+  react@17.0.2:
+    resolution: {integrity: sha512-a}
+  react-dom@18.2.0:
+    resolution: {integrity: sha512-b}
+    peerDependencies:
+      react: ^18.2.0
+  devtools@5.0.0:
+    resolution: {integrity: sha512-c}
+    peerDependencies:
+      react: ^18.0.0
+      query: ^5.0.0
+snapshots:
+  react@17.0.2: {}
+  react-dom@18.2.0(react@17.0.2):
+    dependencies:
+      react: 17.0.2
+  devtools@5.0.0(react@17.0.2):
+    dependencies:
+      react: 17.0.2
+`);
+  const npmJson = { name: 'legacy-app', packageManager: 'npm@10.0.0', dependencies: { react: '^18.2.0', 'ui-kit': '^1.0.0' } };
+  const npmDir = createFixtureProject('rules-npm', npmJson);
+  fs.writeFileSync(path.join(npmDir, 'package-lock.json'), JSON.stringify({
+    lockfileVersion: 3,
+    packages: {
+      '': { name: 'legacy-app', dependencies: npmJson.dependencies },
+      'node_modules/react': { version: '18.2.0' },
+      'node_modules/ui-kit': { version: '1.0.0', peerDependencies: { react: '^17.0.0' } }
+    }
+  }));
+  
+  try {
+    const analysis = await analyzePeers({ cwd: pnpmDir, brief: true });
+    const byPeer = Object.fromEntries(analysis.currentIssues.map(issue => [`${issue.package}>${issue.peer}`, issue]));
+    assert.strictEqual(byPeer['react-dom>react'].install, 'suppressed', 'allowedVersions should suppress the conflict it allows');
+    assert.strictEqual(byPeer['react-dom>react'].severity, 'info', 'Suppressed findings should not gate CI');
+    assert.strictEqual(byPeer['devtools>react'].install, 'fail');
+    assert.strictEqual(byPeer['devtools>react'].installReason, 'strict-peer-dependencies=true');
+    assert.strictEqual(byPeer['devtools>query'].install, 'suppressed');
+    assert.deepStrictEqual(analysis.staleRules.map(stale => stale.rule), [
+      'peerDependencyRules.ignoreMissing legacy-*',
+      'peerDependencyRules.allowAny @types/*'
+    ], 'Rules matching no finding should be reported as stale');
+    assert.deepStrictEqual(analysis.summary, { errors: 1, warnings: 0, info: 4, highest: 'error' });
+    
+    const report = renderAnalysis(analysis, { config: DEFAULTS });
+    assert(report.includes('   ⛔ will fail install: strict-peer-dependencies=true'), 'Findings should say what they do to the install');
+    assert(report.includes('🔇 react-dom@18.2.0 requires peer react@^18.2.0, but 17.0.2 is installed'), 'Suppressed findings should be marked');
+    assert(report.includes('🗑️  peerDependencyRules.allowAny @types/* (package.json) no longer suppresses any peer issue'));
+    
+    // An empty registry leaves no upgrade for "pdc fix", so every unsuppressed conflict needs an override
+    const registry = await startRegistry({});
+    try {
+      const overrides = await findOverrides([], { cwd: pnpmDir, config: { ...DEFAULTS, registry: registry.url } });
+      assert.deepStrictEqual(overrides.block, {
+        pnpm: { peerDependencyRules: { allowedVersions: { 'devtools>react': '17' } } }
+      }, 'Conflicts an existing rule suppresses should not get another override');
+    } finally {
+      await registry.close();
+    }
+    
+    const env = { NPM_CONFIG_USERCONFIG: path.join(npmDir, 'missing-npmrc') };
+    const lockfile = JSON.parse(fs.readFileSync(path.join(npmDir, 'package-lock.json'), 'utf8'));
+    const [issue] = findPeerIssues(parseNpmLockfile(lockfile, { cwd: npmDir, packageJson: npmJson }), { config: DEFAULTS });
+    const strict = readPeerSettings(npmDir, { name: 'npm', version: '10.0.0' }, npmJson, env);
+    assert.deepStrictEqual(classifyIssue(issue, strict), {
+      install: 'fail',
+      reason: 'npm refuses conflicting peers of direct dependencies (ERESOLVE)'
+    });
+    assert.strictEqual(classifyIssue(issue, readPeerSettings(npmDir, { name: 'npm', version: '6.14.0' }, npmJson, env)).install, 'warn');
+    assert.strictEqual(classifyIssue(issue, readPeerSettings(npmDir, { name: 'yarn', version: '4.0.0' }, npmJson, env)).install, 'warn');
+    
+    fs.writeFileSync(path.join(npmDir, '.npmrc'), 'legacy-peer-deps=true\n');
+    const legacy = readPeerSettings(npmDir, { name: 'npm', version: '10.0.0' }, npmJson, env);
+    assert.deepStrictEqual(classifyIssue(issue, legacy), { install: 'suppressed', reason: 'legacy-peer-deps=true (.npmrc)' });
+  } finally {
+    cleanup(pnpmDir);
+    cleanup(npmDir);
+  }
+}
+
+async function testCompatibilityMatrix() {
+  const { buildMatrix } = require('../src/matrix');
+  const { renderMatrix } = require('../src/report');
+  const packageJson = { name: 'matrix-app', packageManager: 'npm@10.0.0', dependencies: { react: '^17.0.0', 'react-dom': '^17.0.0', 'ui-kit': '^1.0.0' } };
+  const testDir = createFixtureProject('matrix', packageJson);
+  fs.writeFileSync(path.join(testDir, 'package-lock.json'), JSON.stringify({
+    lockfileVersion: 3,
+    packages: {
+      '': { name: 'matrix-app', dependencies: packageJson.dependencies },
+      'node_modules/react': { version: '17.0.2' },
+      'node_modules/react-dom': { version: '17.0.2', peerDependencies: { react: '17.0.2' } },
+      'node_modules/ui-kit': { version: '1.0.0', peerDependencies: { react: '^17.0.0 || ^18.0.0' } }
+    }
+  }));
+  const versions = list => Object.fromEntries(list.map(([version, manifest = {}]) => [version, { version, ...manifest }]));
+  const registry = await startRegistry({
+    react: {
+      name: 'react',
+      versions: versions([['16.14.0'], ['17.0.1'], ['17.0.2'], ['18.0.0'], ['18.2.0'], ['18.3.1'], ['19.0.0'], ['19.1.0-rc.1'], ['19.1.0', { deprecated: 'broken' }]])
+    },
+    'react-dom': {
+      name: 'react-dom',
+      versions: versions([['18.3.1', { peerDependencies: { react: '^18.3.1' } }], ['19.0.0', { peerDependencies: { react: '^19.0.0' } }]])
+    }
+  });
+  
+  try {
+    const config = { ...DEFAULTS, registry: registry.url };
+    const matrix = await buildMatrix('react', { cwd: testDir, config });
+    assert.strictEqual(matrix.range, '>=17.0.0', 'Columns should start at the installed major');
+    assert.deepStrictEqual(matrix.versions, ['17.0.2', '18.0.0', '18.2.0', '18.3.1', '19.0.0'],
+      'Each minor should show its newest release, leaving out prereleases and deprecated versions');
+    assert.deepStrictEqual(matrix.dependents.map(row => [row.label, row.cells.map(cell => cell.status)]), [
+      ['react-dom@17.0.2', ['accepted', 'rejected', 'rejected', 'rejected', 'rejected']],
+      ['ui-kit@1.0.0', ['accepted', 'accepted', 'accepted', 'accepted', 'rejected']]
+    ]);
+    assert.deepStrictEqual(matrix.everyone.map(column => column.satisfied), [true, false, false, false, false]);
+    assert.deepStrictEqual(matrix.everyone[4].blockedBy, ['react-dom@17.0.2', 'ui-kit@1.0.0']);
+    assert.strictEqual(matrix.newest, '17.0.2');
+    
+    const majors = await buildMatrix('react@>=16', { cwd: testDir, config, by: 'major' });
+    assert.deepStrictEqual(majors.versions, ['16.14.0', '17.0.2', '18.3.1', '19.0.0']);
+    
+    const own = await buildMatrix('react-dom', { cwd: testDir, config });
+    assert.deepStrictEqual(own.requires.map(row => [row.label, row.cells.map(cell => cell.status)]), [
+      ['needs react (17.0.2)', ['rejected', 'rejected']]
+    ], 'The candidates\' own peers should be checked against the installed versions');
+    assert.strictEqual(own.newest, null);
+    assert.strictEqual(own.summary.highest, 'warning');
+    
+    const report = renderMatrix(matrix);
+    assert(report.includes('\n                    17.0.2*  18.0.0  18.2.0  18.3.1  19.0.0\n'), 'Columns should be the candidate versions, marking the installed one');
+    assert(report.includes('\nui-kit@1.0.0        ✅       ✅      ✅      ✅      ❌\n'), 'Rows should be the installed dependents');
+    assert(report.includes('\neveryone satisfied  ✅       ❌      ❌      ❌      ❌\n'), 'A summary row should say where every dependent is satisfied');
+    assert(report.includes('🎯 Newest version everyone accepts: react@17.0.2'));
+    
+    await assert.rejects(buildMatrix('react', { cwd: testDir, config, by: 'patch' }), /use major or minor/);
+  } finally {
+    await registry.close();
+    cleanup(testDir);
+  }
+}
+
+async function testResolveCompatible() {
+  const { resolveCompatible } = require('../src/resolve');
+  const { renderResolve } = require('../src/report');
+  const packageJson = { name: 'resolve-app', packageManager: 'npm@10.0.0', devDependencies: { eslint: '^8.50.0', 'eslint-plugin-x': '^1.0.0' } };
+  const testDir = createFixtureProject('resolve', packageJson);
+  fs.writeFileSync(path.join(testDir, 'package-lock.json'), JSON.stringify({
+    lockfileVersion: 3,
+    packages: {
+      '': { name: 'resolve-app', devDependencies: packageJson.devDependencies },
+      'node_modules/eslint': { version: '8.50.0', dev: true },
+      'node_modules/eslint-plugin-x': { version: '1.0.0', dev: true, peerDependencies: { eslint: '^7.0.0 || ^8.0.0' } }
+    }
+  }));
+  const registry = await startRegistry({
+    eslint: {
+      name: 'eslint',
+      'dist-tags': { latest: '9.1.0' },
+      versions: {
+        '8.50.0': { version: '8.50.0' },
+        '8.57.0': { version: '8.57.0', peerDependencies: { jiti: '*' }, peerDependenciesMeta: { jiti: { optional: true } } },
+        '8.57.1': { version: '8.57.1', peerDependencies: { '@types/node': '>=20' } },
+        '9.0.0': { version: '9.0.0' },
+        '9.1.0-beta.0': { version: '9.1.0-beta.0' },
+        '9.1.0': { version: '9.1.0' }
+      }
+    }
+  });
+  
+  try {
+    const config = { ...DEFAULTS, registry: registry.url };
+    const result = await resolveCompatible('eslint', { cwd: testDir, config });
+    assert.strictEqual(result.version, '8.57.0', 'A missing optional peer should not reject a version');
+    assert.deepStrictEqual(result.rejected.map(entry => [entry.version, entry.reasons.map(reason => reason.message)]), [
+      ['9.1.0', ['eslint-plugin-x@1.0.0 accepts eslint ^7.0.0 || ^8.0.0']],
+      ['9.0.0', ['eslint-plugin-x@1.0.0 accepts eslint ^7.0.0 || ^8.0.0']],
+      ['8.57.1', ['requires @types/node >=20, which is not installed']]
+    ], 'Every newer version should say why it was rejected');
+    assert.deepStrictEqual(result.commands, ['npm install --save-dev eslint@8.57.0']);
+    assert.strictEqual(result.summary.highest, null);
+    
+    const report = renderResolve(result);
+    assert(report.includes('✅ eslint@8.57.0 (latest: 9.1.0, installed: 8.50.0)'));
+    assert(report.includes('9.0.0 – 9.1.0 (2 versions)\n   ❌ eslint-plugin-x@1.0.0 accepts eslint ^7.0.0 || ^8.0.0'), 'Versions rejected for the same reason should be grouped');
+    
+    const limited = await resolveCompatible('eslint@^9', { cwd: testDir, config });
+    assert.strictEqual(limited.version, null);
+    assert.strictEqual(limited.summary.highest, 'error', 'No fitting version should fail the run');
+  } finally {
+    await registry.close();
+    cleanup(testDir);
+  }
+}
+
+async function testOptionalPeers() {
+  const { checkUpgrade, analyzePeers } = require('../src');
+  const { renderCheck } = require('../src/report');
+  const packageJson = { name: 'orm-app', packageManager: 'npm@10.0.0', dependencies: { typeorm: '^0.2.0', pg: '^7.0.0' } };
+  const testDir = createFixtureProject('optional-peers', packageJson, [
+    { name: 'typeorm', version: '0.2.0' },
+    { name: 'pg', version: '7.18.0' }
+  ]);
+  fs.writeFileSync(path.join(testDir, 'package-lock.json'), JSON.stringify({
+    lockfileVersion: 3,
+    packages: {
+      '': { name: 'orm-app', dependencies: packageJson.dependencies },
+      'node_modules/typeorm': {
+        version: '0.2.0',
+        peerDependencies: { pg: '^7.0.0', mysql2: '^2.0.0' },
+        peerDependenciesMeta: { pg: { optional: true }, mysql2: { optional: true } }
+      },
+      'node_modules/pg': { version: '7.18.0' }
+    }
+  }));
+  const optional = { pg: { optional: true }, mysql2: { optional: true } };
+  const registry = await startRegistry({
+    typeorm: {
+      name: 'typeorm',
+      'dist-tags': { latest: '0.3.0' },
+      versions: {
+        '0.2.0': { version: '0.2.0', peerDependencies: { pg: '^7.0.0', mysql2: '^2.0.0' }, peerDependenciesMeta: optional },
+        '0.3.0': { version: '0.3.0', peerDependencies: { pg: '^8.0.0', mysql2: '^3.0.0' }, peerDependenciesMeta: optional }
+      }
+    },
+    pg: { name: 'pg', 'dist-tags': { latest: '7.18.0' }, versions: { '7.18.0': { version: '7.18.0' } } }
+  });
+  
+  try {
+    const config = { registry: registry.url };
+    const [result] = await checkUpgrade(['typeorm@0.3.0'], { cwd: testDir, config });
+    assert.deepStrictEqual(result.peers.map(peer => [peer.name, peer.optional, peer.status]), [
+      ['pg', true, 'violated'],
+      ['mysql2', true, 'satisfied']
+    ], 'A present optional peer should be range-checked and a missing one ignored');
+    assert.strictEqual(result.summary.errors, 1);
+    const report = renderCheck([result], { config: DEFAULTS });
+    assert(report.includes('❌ pg ^8.0.0 (optional) — violated (installed 7.18.0, major version behind 8.0.0)'));
+    assert(report.includes('✅ mysql2 ^3.0.0 (optional) — not installed, which is fine'), 'Optional peers should be labelled');
+    
+    const analysis = await analyzePeers({ cwd: testDir, config });
+    assert.deepStrictEqual(analysis.currentIssues, [], 'Missing optional peers of installed packages are not issues');
+    const [conflict] = analysis.potentialConflicts;
+    assert.deepStrictEqual(conflict.peers.map(peer => [peer.name, peer.status]), [['pg', 'violated'], ['mysql2', 'satisfied']],
+      'Potential conflicts should honor the latest version\'s peerDependenciesMeta');
+    assert.deepStrictEqual(conflict.peerDependenciesMeta, optional);
+  } finally {
+    await registry.close();
+    cleanup(testDir);
+  }
+}
+
+async function testNodeEngines() {
+  const { checkEngines } = require('../src');
+  const { compareEngines } = require('../src/engines');
+  const { renderEngines } = require('../src/report');
+  const packageJson = { name: 'engines-app', packageManager: 'npm@10.0.0', engines: { node: '>=18' }, dependencies: { 'old-lib': '^1.0.0', 'new-lib': '^2.0.0' } };
+  const testDir = createFixtureProject('engines', packageJson);
+  fs.writeFileSync(path.join(testDir, '.nvmrc'), 'v18.19.0\n');
+  fs.writeFileSync(path.join(testDir, '.node-version'), 'lts/iron\n');
+  fs.writeFileSync(path.join(testDir, 'package-lock.json'), JSON.stringify({
+    lockfileVersion: 3,
+    packages: {
+      '': { name: 'engines-app', dependencies: packageJson.dependencies, engines: packageJson.engines },
+      'node_modules/old-lib': { version: '1.0.0', dependencies: { 'nested-dep': '^1.0.0' }, engines: { node: '>=12' } },
+      'node_modules/nested-dep': { version: '1.0.0', engines: { node: '^18.0.0 || ^20.0.0' } },
+      'node_modules/new-lib': { version: '2.0.0', engines: { node: '>=20' } }
+    }
+  }));
+  const registry = await startRegistry({
+    'old-lib': {
+      name: 'old-lib',
+      'dist-tags': { latest: '2.0.0' },
+      versions: { '1.0.0': { version: '1.0.0', engines: { node: '>=12' } }, '2.0.0': { version: '2.0.0', engines: { node: '>=22' } } }
+    },
+    'new-lib': { name: 'new-lib', 'dist-tags': { latest: '2.0.0' }, versions: { '2.0.0': { version: '2.0.0', engines: { node: '>=20' } } } }
+  });
+  
+  try {
+    assert.deepStrictEqual(compareEngines('>=20', [{ source: 'running Node', value: 'v20.11.0', range: '20.11.0' }]), []);
+    assert.deepStrictEqual(compareEngines('>=16', [{ source: 'package.json engines', value: '^14 || ^16', range: '^14 || ^16' }]).map(conflict => conflict.overlap), [true]);
+    
+    const config = { registry: registry.url };
+    const result = await checkEngines({ cwd: testDir, config, nodeVersion: 'v20.11.0' });
+    assert.deepStrictEqual(result.node.map(target => [target.source, target.range]), [
+      ['package.json engines', '>=18'],
+      ['.nvmrc', '18.19.0'],
+      ['.node-version', null],
+      ['running Node', '20.11.0']
+    ], 'Version files should be read, keeping aliases without a range');
+    
+    assert.deepStrictEqual(result.installed.map(finding => [finding.package, finding.severity, finding.conflicts.map(conflict => conflict.source)]), [
+      ['nested-dep', 'warning', ['package.json engines']],
+      ['new-lib', 'error', ['package.json engines', '.nvmrc']]
+    ], 'A Node version a package cannot run is an error; a partly covered range is a warning');
+    assert.deepStrictEqual(result.installed[0].path, ['engines-app', 'old-lib', 'nested-dep']);
+    assert.strictEqual(result.installed[1].message, 'new-lib@2.0.0 requires node >=20; package.json engines allows >=18, not all of which it supports; .nvmrc is v18.19.0');
+    
+    assert.deepStrictEqual(result.upgrades.map(finding => [finding.package, finding.from, finding.version, finding.previousEngines, finding.severity]), [
+      ['old-lib', '1.0.0', '2.0.0', '>=12', 'warning']
+    ], 'The latest version of each dependency should be checked before upgrading');
+    assert.deepStrictEqual([result.summary.errors, result.summary.warnings], [1, 2]);
+    
+    const report = renderEngines(result);
+    assert(report.includes('📌 .node-version: lts/iron (lts/iron is an alias pdc cannot compare)'));
+    assert(report.includes('❌ new-lib@2.0.0 requires node >=20\n   package.json engines allows >=18, not all of which it supports\n   .nvmrc is v18.19.0'));
+    assert(report.includes('⚠️  old-lib 1.0.0 → 2.0.0 requires node >=22 (was >=12)'));
+    
+    const legacy = await checkEngines({ cwd: testDir, config, nodeVersion: 'v16.20.0' });
+    const nested = legacy.installed.find(finding => finding.package === 'nested-dep');
+    assert.deepStrictEqual([nested.severity, nested.conflicts.map(conflict => conflict.message)], [
+      'error',
+      ['package.json engines allows >=18, not all of which it supports', 'running Node is v16.20.0']
+    ], 'A running Node the package cannot run should be an error');
+  } finally {
+    await registry.close();
+    cleanup(testDir);
+  }
+}
+
+async function testMissingLockfile() {
+  const { analyzePeers, findFixes, findOverrides, checkEngines } = require('../src');
+  const packageJson = { name: 'unlocked-app', dependencies: { react: '^17.0.0', 'ui-kit': '^1.0.0' } };
+  const installedDir = createFixtureProject('unlocked', packageJson, [
+    { name: 'react', version: '17.0.2' },
+    { name: 'ui-kit', version: '1.0.0', peerDependencies: { react: '^18.0.0' } }
+  ]);
+  const emptyDir = createFixtureProject('uninstalled', packageJson);
+  const registry = await startRegistry({});
+  const pdc = `node "${path.join(__dirname, '..', 'bin', 'pdc.js')}"`;
+  const exitCode = (command, cwd) => {
+    try {
+      execSync(command, { cwd, stdio: 'pipe' });
+      return 0;
+    } catch (error) {
+      return error.status;
+    }
+  };
+  
+  try {
+    const fallback = await analyzePeers({ cwd: installedDir, brief: true });
+    assert.strictEqual(fallback.installedTree, 'node_modules', 'node_modules should stand in for a missing lockfile');
+    assert.strictEqual(fallback.error, null);
+    assert.deepStrictEqual(fallback.currentIssues.map(issue => [issue.package, issue.peer, issue.status]), [['ui-kit', 'react', 'violated']]);
+    
+    const empty = await analyzePeers({ cwd: emptyDir, brief: true });
+    assert(/No lockfile or node_modules to read/.test(empty.error), 'Nothing installed should be reported, not passed as clean');
+    assert(!empty.recommendations.some(recommendation => /look good/.test(recommendation.message)));
+    assert.strictEqual(exitCode(`${pdc} analyze --brief`, emptyDir), EXIT_CODES.incomplete);
+    assert.strictEqual(exitCode(`${pdc} precheck`, emptyDir), EXIT_CODES.incomplete);
+    assert.strictEqual(exitCode(`${pdc} fix`, emptyDir), EXIT_CODES.incomplete, 'fix should not pass an uninstalled project as clean');
+    assert.strictEqual(exitCode(`${pdc} override`, emptyDir), EXIT_CODES.incomplete);
+    
+    const config = { ...DEFAULTS, registry: registry.url };
+    const fixes = await findFixes({ cwd: installedDir, config });
+    assert.strictEqual(fixes.error, null);
+    assert.deepStrictEqual(fixes.unresolved.map(issue => [issue.package, issue.peer]), [['ui-kit', 'react']],
+      'fix should read node_modules like analyze does');
+    const overrides = await findOverrides([], { cwd: installedDir, config });
+    assert.strictEqual(overrides.installedTree, 'node_modules');
+    assert.deepStrictEqual(overrides.block, { overrides: { 'ui-kit': { react: '$react' } } });
+    const engines = await checkEngines({ cwd: emptyDir, config, nodeVersion: 'v20.11.0' });
+    assert(/No lockfile or node_modules to read/.test(engines.error));
+  } finally {
+    await registry.close();
+    cleanup(installedDir);
+    cleanup(emptyDir);
+  }
+}
+
+async function testPackageJsonFormatting() {
+  const { applyFixes } = require('../src/fix');
+  const { updatePackageJsonText } = require('../src/package-json');
+  const original = [
+    '{',
+    '  "name": "format-app",',
+    '  "engines": { "node": ">=16" },',
+    '  "files": ["bin", "src"],',
+    '  "scripts": {"test": "node test.js"},',
+    '  "dependencies": {',
+    '    "react": "^17.0.2",',
+    '    "ui-kit": "^1.0.0"',
+    '  },',
+    '  "devDependencies": { "prop-types": "^15.8.1", "typescript": "^5.0.0" }',
+    '}',
+    ''
+  ].join('\r\n');
+  const testDir = createFixtureProject('format', {});
+  fs.writeFileSync(path.join(testDir, 'package.json'), original);
+  
+  try {
+    const edits = [
+      { file: 'package.json', type: 'bump', field: 'dependencies', name: 'react', to: '^18.3.1' },
+      { file: 'package.json', type: 'add', field: 'dependencies', name: 'chart', to: '^3.0.0' },
+      { file: 'package.json', type: 'move', fromField: 'devDependencies', field: 'dependencies', name: 'prop-types', to: '^15.8.1' }
+    ];
+    assert.deepStrictEqual(await applyFixes(edits, { cwd: testDir }), ['package.json']);
+    assert.strictEqual(fs.readFileSync(path.join(testDir, 'package.json'), 'utf8'), [
+      '{',
+      '  "name": "format-app",',
+      '  "engines": { "node": ">=16" },',
+      '  "files": ["bin", "src"],',
+      '  "scripts": {"test": "node test.js"},',
+      '  "dependencies": {',
+      '    "chart": "^3.0.0",',
+      '    "prop-types": "^15.8.1",',
+      '    "react": "^18.3.1",',
+      '    "ui-kit": "^1.0.0"',
+      '  },',
+      '  "devDependencies": { "typescript": "^5.0.0" }',
+      '}',
+      ''
+    ].join('\r\n'), 'Only the edited entries should change; inline objects, arrays and CRLF line endings stay as written');
+    
+    const inline = updatePackageJsonText('{"name": "x", "files": ["bin"], "dependencies": { "a": "1" }}', packageJson => {
+      packageJson.dependencies.b = '2';
+      packageJson.files.push('src');
+    });
+    assert.strictEqual(inline, '{"name": "x", "files": ["bin", "src"], "dependencies": { "a": "1", "b": "2" }}');
+    assert.strictEqual(updatePackageJsonText(original, () => {}), original, 'An update that changes nothing should return the text as is');
+  } finally {
+    cleanup(testDir);
+  }
+}
+
+async function testCheckWithPnpmLockfile() {
+  const { checkUpgrade } = require('../src');
+  const testDir = createFixtureProject('check-pnpm', {
+    name: 'pnpm-app',
+    packageManager: 'pnpm@9.0.0',
+    dependencies: { react: '^18.2.0', 'ui-kit': '^1.0.0' }
+  });
+  fs.writeFileSync(path.join(testDir, 'pnpm-lock.yaml'), `lockfileVersion: '9.0'
+importers:
+  .:
+    dependencies:
+      react:
+        specifier: ^18.2.0
+        version: 18.2.0
+      ui-kit:
+        specifier: ^1.0.0
+        version: 1.0.0(react@18.2.0)
+packages:
+  react@18.2.0:
+    resolution: {integrity: sha512-a}
+  ui-kit@1.0.0:
+    resolution: {integrity: sha512-b}
+  react-select@5.0.0:
+    resolution: {integrity: sha512-c}
+    peerDependencies:
+      react: ^16.8.0 || ^17.0.0 || ^18.0.0
+snapshots:
+  react@18.2.0: {}
+  ui-kit@1.0.0(react@18.2.0):
+    dependencies:
+      react-select: 5.0.0(react@18.2.0)
+  react-select@5.0.0(react@18.2.0):
+    dependencies:
+      react: 18.2.0
+`);
+  const registry = await startRegistry({
+    react: { name: 'react', 'dist-tags': { latest: '19.0.0' }, versions: { '18.2.0': { version: '18.2.0' }, '19.0.0': { version: '19.0.0' } } },
+    'react-dom': {
+      name: 'react-dom',
+      'dist-tags': { latest: '19.0.0' },
+      versions: { '19.0.0': { version: '19.0.0', peerDependencies: { react: '^19.0.0' } } }
+    }
+  });
+  
+  try {
+    const config = { registry: registry.url };
+    const [react] = await checkUpgrade(['react@19'], { cwd: testDir, config });
+    const [reactDom] = await checkUpgrade(['react-dom@19'], { cwd: testDir, config });
+    assert.deepStrictEqual(react.dependents.map(dependent => [dependent.name, dependent.status, dependent.path]), [
+      ['react-select', 'violated', ['pnpm-app', 'ui-kit', 'react-select']]
+    ], 'Transitive dependents in the pnpm store should be found without node_modules');
+    assert.strictEqual(react.summary.errors, 1);
+    assert.deepStrictEqual(reactDom.peers.map(peer => [peer.name, peer.current, peer.source, peer.status]), [
+      ['react', '18.2.0', 'installed', 'violated']
+    ], 'Installed peer versions should come from the lockfile');
+  } finally {
+    await registry.close();
+    cleanup(testDir);
+  }
+}
+
+// Test that several upgrades in one check are evaluated as a set installed together
+async function testCheckUpgradeSet() {
+  const { checkUpgrade } = require('../src');
+  const testDir = createFixtureProject('check-set', {
+    name: 'set-app',
+    dependencies: { react: '^18.2.0', 'react-dom': '^18.2.0' },
+    devDependencies: { '@testing-library/react': '^14.0.0' }
+  }, [
+    { name: 'react', version: '18.2.0' },
+    { name: 'react-dom', version: '18.2.0', peerDependencies: { react: '^18.2.0' } },
+    { name: '@testing-library/react', version: '14.0.0', peerDependencies: { react: '^18.0.0', 'react-dom': '^18.0.0' } }
+  ]);
+  const registry = await startRegistry({
+    react: { name: 'react', 'dist-tags': { latest: '19.0.0' }, versions: { '19.0.0': { version: '19.0.0' } } },
+    'react-dom': {
+      name: 'react-dom',
+      'dist-tags': { latest: '19.0.0' },
+      versions: { '19.0.0': { version: '19.0.0', peerDependencies: { react: '^19.0.0' } } }
+    },
+    '@testing-library/react': {
+      name: '@testing-library/react',
+      'dist-tags': { latest: '16.0.0' },
+      versions: { '16.0.0': { version: '16.0.0', peerDependencies: { react: '^18.0.0 || ^19.0.0', 'react-dom': '^18.0.0 || ^19.0.0' } } }
+    }
+  });
+  
+  try {
+    const options = { cwd: testDir, config: { registry: registry.url } };
+    const results = await checkUpgrade(['react@19', 'react-dom@19', '@testing-library/react@16'], options);
+    assert.deepStrictEqual(results.map(result => result.summary.highest), [null, null, null], 'A consistent set should pass as a whole');
+    const [react, reactDom] = results;
+    assert.deepStrictEqual(reactDom.peers.map(peer => [peer.name, peer.current, peer.source, peer.status]), [
+      ['react', '19.0.0', 'requested', 'satisfied']
+    ], 'Peers should be read from the other requested upgrades');
+    assert.deepStrictEqual(react.dependents.map(dependent => `${dependent.name}@${dependent.version} ${dependent.status}`), [
+      '@testing-library/react@16.0.0 satisfied',
+      'react-dom@19.0.0 satisfied'
+    ], 'Upgraded dependents replace the installed copies');
+    
+    const [partial] = await checkUpgrade(['react@19', 'react-dom@19'], options);
+    assert.deepStrictEqual(partial.dependents.filter(dependent => dependent.status === 'violated').map(dependent => `${dependent.name}@${dependent.version}`),
+      ['@testing-library/react@14.0.0'], 'Dependents left out of the set still reject it');
+  } finally {
+    await registry.close();
+    cleanup(testDir);
+  }
+}
+
+// Test that upgrade plans leave alone transitive packages the upgraded dependents no longer pull in
+async function testPlanSkipsUndeclared() {
+  const { planUpgrade } = require('../src');
+  const packageJson = {
+    name: 'redux-app',
+    packageManager: 'npm@10.0.0',
+    dependencies: { react: '^17.0.0', 'react-redux': '^7.2.0' }
+  };
+  const testDir = createFixtureProject('plan-undeclared', packageJson, [
+    { name: 'react', version: '17.0.2' },
+    { name: 'react-redux', version: '7.2.9', dependencies: { redux: '^4.0.0' }, peerDependencies: { react: '^16.8.3 || ^17 || ^18' } },
+    { name: 'redux', version: '4.2.1' }
+  ]);
+  const registry = await startRegistry({
+    react: { name: 'react', 'dist-tags': { latest: '19.0.0' }, versions: { '17.0.2': { version: '17.0.2' }, '19.0.0': { version: '19.0.0' } } },
+    'react-redux': {
+      name: 'react-redux',
+      'dist-tags': { latest: '9.0.0' },
+      versions: {
+        '7.2.9': { version: '7.2.9', dependencies: { redux: '^4.0.0' }, peerDependencies: { react: '^16.8.3 || ^17 || ^18' } },
+        '9.0.0': {
+          version: '9.0.0',
+          peerDependencies: { react: '^18.0 || ^19', redux: '^5.0.0' },
+          peerDependenciesMeta: { redux: { optional: true } }
+        }
+      }
+    },
+    redux: { name: 'redux', 'dist-tags': { latest: '5.0.1' }, versions: { '4.2.1': { version: '4.2.1' }, '5.0.1': { version: '5.0.1' } } }
+  });
+  
+  try {
+    const plan = await planUpgrade('react@19', { cwd: testDir, config: { registry: registry.url } });
+    assert.strictEqual(plan.solved, true);
+    assert.deepStrictEqual(plan.steps.map(step => `${step.name}@${step.to}`), ['react@19.0.0', 'react-redux@9.0.0']);
+    assert(plan.steps.every(step => step.name in packageJson.dependencies), 'Plans should only contain declared packages');
+    assert.deepStrictEqual(plan.commands, ['npm install react@19.0.0 react-redux@9.0.0']);
+  } finally {
+    await registry.close();
+    cleanup(testDir);
+  }
+}
+
+// Main test execution
+async function runAllTests() {
+  const runner = new TestRunner();
+  
+  await runner.runTest('Spec Splitting', testSpecSplitting);
+  await runner.runTest('Peer Evaluation', testPeerEvaluation);
+  await runner.runTest('Dependents Rejecting Upgrade', testDependentsRejectingUpgrade);
+  await runner.runTest('Gap Descriptions', testGapDescriptions);
+  await runner.runTest('Config Precedence', testConfigPrecedence);
+  await runner.runTest('Config Limits Analysis', testConfigLimitsAnalysis);
+  await runner.runTest('Programmatic API', testProgrammaticApi);
+  await runner.runTest('Scan Parsers', testScanParsers);
+  await runner.runTest('JSON Output', testJsonOutput);
+  await runner.runTest('Exit Codes', testExitCodes);
+  await runner.runTest('npm Lockfile Peers', testNpmLockfilePeers);
+  await runner.runTest('npm Lockfile v1', testNpmLockfileV1);
+  await runner.runTest('pnpm Lockfile v9', testPnpmLockfileV9);
+  await runner.runTest('pnpm Lockfile v6', testPnpmLockfileV6);
+  await runner.runTest('yarn Classic Lockfile', testYarnClassicLockfile);
+  await runner.runTest('yarn Berry Lockfile', testYarnBerryLockfile);
+  await runner.runTest('Package Manager Detection', testPackageManagerDetection);
+  await runner.runTest('Registry Cache', testRegistryCache);
+  await runner.runTest('npmrc Registries', testNpmrcRegistries);
+  await runner.runTest('Concurrent Registry Requests', testConcurrentRegistryRequests);
+  await runner.runTest('Package Specs', testPackageSpecs);
+  await runner.runTest('Upgrade Plan', testUpgradePlan);
+  await runner.runTest('Reverse Peer Lookup', testReversePeerLookup);
+  await runner.runTest('Potential Conflicts', testPotentialConflicts);
+  await runner.runTest('Workspaces', testWorkspaces);
+  await runner.runTest('Duplicate Singletons', testDuplicateSingletons);
+  await runner.runTest('Upgrade Selector', testUpgradeSelector);
+  await runner.runTest('Peer Fixes', testPeerFixes);
+  await runner.runTest('Overrides', testOverrides);
+  await runner.runTest('Peer Rules', testPeerRules);
+  await runner.runTest('Compatibility Matrix', testCompatibilityMatrix);
+  await runner.runTest('Newest Compatible Version', testResolveCompatible);
+  await runner.runTest('Optional Peers', testOptionalPeers);
+  await runner.runTest('Node Engines', testNodeEngines);
+  await runner.runTest('Missing Lockfile', testMissingLockfile);
+  await runner.runTest('Package.json Formatting', testPackageJsonFormatting);
+  await runner.runTest('Check Against pnpm Lockfile', testCheckWithPnpmLockfile);
+  await runner.runTest('Plan Skips Undeclared Packages', testPlanSkipsUndeclared);
+  await runner.runTest('Check Upgrade Set', testCheckUpgradeSet);
+  
+  const success = runner.summary();
+  process.exit(success ? 0 : 1);
+}
+
+// Run tests if this script is executed directly
+if (require.main === module) {
+  runAllTests().catch(console.error);
+}
+
+module.exports = { runAllTests };